@@ -0,0 +1,77 @@
+import request from 'supertest';
+import { createTestApp } from './helpers/app.js';
+import { PortfolioSections } from '../src/constants/portfolioSections.js';
+import { JSON_SCHEMA_DIALECT } from '../src/validation/jsonSchema.js';
+
+// Every "$ref" in a JSON value
+const findRefs = (value) => {
+  if (Array.isArray(value)) {
+    return value.flatMap(findRefs);
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, child]) => (key === '$ref' ? [child] : findRefs(child)));
+  }
+  return [];
+};
+
+describe('section JSON Schemas', () => {
+  let app;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+  });
+
+  test('describes the rules sections are validated with', async () => {
+    const res = await request(app).get('/api/portfolio/schema/about');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ $schema: JSON_SCHEMA_DIALECT, title: 'about', type: 'object', required: ['content'] });
+
+    const [text, translations] = res.body.properties.content.anyOf;
+    expect(text).toEqual({ type: 'string', minLength: 10, maxLength: 1000 });
+    expect(translations).toMatchObject({
+      type: 'object',
+      patternProperties: { '^[a-z]{2,3}(-[A-Z]{2})?$': text },
+      additionalProperties: false,
+      minProperties: 1
+    });
+  });
+
+  test('answers 400 to sections that don\'t exist', async () => {
+    const res = await request(app).get('/api/portfolio/schema/unknown');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid section');
+  });
+});
+
+describe('OpenAPI document', () => {
+  let document;
+
+  beforeAll(async () => {
+    const { app } = await createTestApp();
+    const res = await request(app).get('/api/docs/openapi.json');
+    expect(res.status).toBe(200);
+    document = res.body;
+  });
+
+  test('describes every section with its schema', () => {
+    expect(document.openapi).toBe('3.1.0');
+    for (const section of PortfolioSections) {
+      expect(document.paths[`/api/portfolio/${section}`]).toBeDefined();
+      expect(document.components.schemas[section].type).toBe('object');
+    }
+  });
+
+  test('only refers to schemas it defines', () => {
+    const refs = new Set(findRefs(document));
+    expect(refs.size).toBeGreaterThan(0);
+    for (const ref of refs) {
+      expect(ref).toMatch(/^#\/components\/schemas\//);
+      expect(document.components.schemas[ref.split('/').pop()]).toBeDefined();
+    }
+  });
+
+  test('lists the scopes of protected operations', () => {
+    const { put } = document.paths['/api/portfolio/projects'];
+    expect(put.security).toEqual([{ bearerAuth: expect.arrayContaining(['projects:write']) }]);
+  });
+});
\ No newline at end of file
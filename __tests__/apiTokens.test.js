@@ -0,0 +1,93 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+import { createApiToken, revokeApiToken, verifyApiToken } from '../src/utils/apiTokens.js';
+
+const about = { content: 'An about text that is long enough' };
+
+describe('API tokens and scopes', () => {
+  let app;
+  let storage;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app, storage } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  const createToken = async (body) => {
+    const res = await request(app).post('/api/auth/tokens').set('Authorization', auth).send(body);
+    expect(res.status).toBe(201);
+    return res.body;
+  };
+
+  test('only lets a token do what its scopes allow', async () => {
+    const { token } = await createToken({ name: 'ci', scopes: ['about:write'] });
+
+    const allowed = await request(app).put('/api/portfolio/about').set('Authorization', `Bearer ${token}`).send(about);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.draft.updatedBy).toBe('token:ci');
+
+    const denied = await request(app)
+      .put('/api/portfolio/projects')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ projects: [] });
+    expect(denied.status).toBe(403);
+    expect(denied.body.missingScopes).toEqual(['projects:write']);
+  });
+
+  test('gives editors no access to tokens', async () => {
+    const { token } = await createToken({ name: 'editor', role: 'editor' });
+
+    const res = await request(app).get('/api/auth/tokens').set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(403);
+    expect(res.body.missingScopes).toEqual(['tokens:manage']);
+  });
+
+  test('lists tokens without their secrets', async () => {
+    const { apiToken } = await createToken({ name: 'ci', scopes: ['about:write'] });
+
+    const res = await request(app).get('/api/auth/tokens').set('Authorization', auth);
+    const listed = res.body.tokens.find(token => token.id === apiToken.id);
+    expect(listed.name).toBe('ci');
+    expect(listed.secretHash).toBeUndefined();
+  });
+
+  test('rejects revoked and expired tokens', async () => {
+    const { token, apiToken } = await createToken({ name: 'ci', scopes: ['about:write'] });
+    expect((await request(app).delete(`/api/auth/tokens/${apiToken.id}`).set('Authorization', auth)).status).toBe(200);
+    expect((await request(app).delete(`/api/auth/tokens/${apiToken.id}`).set('Authorization', auth)).status).toBe(404);
+
+    const revoked = await request(app).put('/api/portfolio/about').set('Authorization', `Bearer ${token}`).send(about);
+    expect(revoked.status).toBe(403);
+
+    const expired = await createApiToken(storage, { name: 'old', scopes: ['about:write'], author: 'admin' });
+    const key = `auth/apiTokens/${expired.apiToken.id}`;
+    await storage.write(key, { ...(await storage.read(key)), expiresAt: new Date(Date.now() - 1000).toISOString() });
+    expect(await verifyApiToken(storage, expired.token)).toBeNull();
+  });
+
+  test('rejects tokens with a wrong secret or an id that is not a UUID', async () => {
+    const { token, apiToken } = await createApiToken(storage, { name: 'ci', scopes: ['about:write'], author: 'admin' });
+
+    expect(await verifyApiToken(storage, token)).toMatchObject({ id: apiToken.id, name: 'ci' });
+    const wrongSecret = `${token.slice(0, -1)}${token.endsWith('0') ? '1' : '0'}`;
+    expect(await verifyApiToken(storage, wrongSecret)).toBeNull();
+    expect(await verifyApiToken(storage, 'pat_../credentials_secret')).toBeNull();
+    expect(await revokeApiToken(storage, '../../auth/credentials')).toBe(false);
+
+    // A stored hash of another length must not make the comparison throw
+    const key = `auth/apiTokens/${apiToken.id}`;
+    await storage.write(key, { ...(await storage.read(key)), secretHash: 'abcd' });
+    expect(await verifyApiToken(storage, token)).toBeNull();
+  });
+
+  test('does not let a token grant scopes it does not have', async () => {
+    const { token } = await createToken({ name: 'managers', scopes: ['tokens:manage'] });
+
+    const res = await request(app)
+      .post('/api/auth/tokens')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'escalated', role: 'admin' });
+    expect(res.status).toBe(403);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { writeFilesAtomic, recoverTransaction } from '../src/utils/atomicWrite.js';
+import { createFileStorage } from '../src/storage/fileStorage.js';
+
+describe('atomic multi-file writes', () => {
+  let dir;
+  let journalPath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(os.tmpdir(), 'portfolio-transactions-'));
+    journalPath = join(dir, '.transaction.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('writes every file', async () => {
+    await writeFilesAtomic([
+      { path: join(dir, 'a.json'), content: 'new a' },
+      { path: join(dir, 'nested/b.json'), content: 'new b' }
+    ], { journalPath });
+
+    expect(await fs.readFile(join(dir, 'a.json'), 'utf8')).toBe('new a');
+    expect(await fs.readFile(join(dir, 'nested/b.json'), 'utf8')).toBe('new b');
+    expect(await fs.readdir(dir)).toEqual(['a.json', 'nested']);
+  });
+
+  test('restores every file when a write fails', async () => {
+    await fs.writeFile(join(dir, 'a.json'), 'old a');
+    // A directory can't be replaced by a file
+    await fs.mkdir(join(dir, 'b.json/sub'), { recursive: true });
+
+    await expect(writeFilesAtomic([
+      { path: join(dir, 'a.json'), content: 'new a' },
+      { path: join(dir, 'c.json'), content: 'new c' },
+      { path: join(dir, 'b.json'), content: 'new b' }
+    ], { journalPath })).rejects.toThrow();
+
+    expect(await fs.readFile(join(dir, 'a.json'), 'utf8')).toBe('old a');
+    expect((await fs.readdir(dir)).sort()).toEqual(['a.json', 'b.json']);
+  });
+
+  test('rolls back a transaction interrupted while committing', async () => {
+    const id = 'interrupted';
+    await fs.writeFile(join(dir, 'a.json'), 'new a');
+    await fs.writeFile(join(dir, `a.json.${id}.bak`), 'old a');
+    await fs.writeFile(join(dir, 'b.json'), 'new b');
+    await fs.writeFile(journalPath, JSON.stringify({
+      id,
+      status: 'committing',
+      entries: [
+        { path: join(dir, 'a.json'), tempPath: join(dir, `a.json.${id}.tmp`), backupPath: join(dir, `a.json.${id}.bak`) },
+        { path: join(dir, 'b.json'), tempPath: join(dir, `b.json.${id}.tmp`), backupPath: null }
+      ]
+    }));
+
+    expect(await recoverTransaction(journalPath)).toBe(true);
+    expect(await fs.readFile(join(dir, 'a.json'), 'utf8')).toBe('old a');
+    expect(await fs.readdir(dir)).toEqual(['a.json']);
+    expect(await recoverTransaction(journalPath)).toBe(false);
+  });
+
+  test('file storage runs concurrent transactions one at a time', async () => {
+    const storage = createFileStorage({ dataDir: dir });
+    await storage.init();
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) => storage.writeMany([
+      { key: 'shared', value: { i } },
+      { key: `own/${i}`, value: { i } }
+    ])));
+
+    expect(await storage.read('shared')).toEqual({ i: 9 });
+    expect(await storage.list('own/')).toHaveLength(10);
+    expect((await fs.readdir(dir)).filter(file => file.startsWith('.') || file.endsWith('.tmp'))).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,85 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import { createTestApp, adminAuth, loginAsAdmin } from './helpers/app.js';
+import { getLockoutRemainingMs, recordLoginFailure } from '../src/utils/loginThrottle.js';
+
+describe('sessions', () => {
+  let app;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+  });
+
+  test('rejects a wrong password', async () => {
+    const res = await request(app).post('/api/login').send({ password: 'not the password' });
+    expect(res.status).toBe(401);
+    expect(res.body.token).toBeUndefined();
+  });
+
+  test('rotates refresh tokens, which can only be used once', async () => {
+    const { refreshToken } = await loginAsAdmin(app);
+
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refreshToken).not.toBe(refreshToken);
+
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(reused.status).toBe(401);
+  });
+
+  test('revokes the access token on logout', async () => {
+    const auth = await adminAuth(app);
+    expect((await request(app).post('/api/auth/logout').set('Authorization', auth)).status).toBe(200);
+
+    const res = await request(app).get('/api/auth/tokens').set('Authorization', auth);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('login throttling', () => {
+  afterEach(() => {
+    delete process.env.LOGIN_MAX_ATTEMPTS;
+    delete process.env.TRUST_PROXY;
+    jest.restoreAllMocks();
+  });
+
+  const failLogin = (app, client) => request(app)
+    .post('/api/login')
+    .set('X-Forwarded-For', client)
+    .send({ password: 'not the password' });
+
+  test('locks out clients told apart by a trusted proxy one by one', async () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '1';
+    process.env.TRUST_PROXY = 'true';
+    const { app } = await createTestApp();
+
+    expect((await failLogin(app, '203.0.113.1')).status).toBe(401);
+    const locked = await failLogin(app, '203.0.113.1');
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+
+    expect((await failLogin(app, '203.0.113.2')).status).toBe(401);
+  });
+
+  test('forgets failed logins after a while without one', () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '2';
+    const now = Date.now();
+    recordLoginFailure('198.51.100.1');
+
+    jest.spyOn(Date, 'now').mockReturnValue(now + 16 * 60 * 1000);
+    recordLoginFailure('198.51.100.1');
+    expect(getLockoutRemainingMs('198.51.100.1')).toBe(0);
+
+    recordLoginFailure('198.51.100.1');
+    expect(getLockoutRemainingMs('198.51.100.1')).toBeGreaterThan(0);
+  });
+
+  // Locks out the address of the connection, so it runs last
+  test('ignores X-Forwarded-For unless the proxy is trusted', async () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '1';
+    const { app } = await createTestApp();
+
+    expect((await failLogin(app, '203.0.113.3')).status).toBe(401);
+    expect((await failLogin(app, '203.0.113.4')).status).toBe(429);
+  });
+});
\ No newline at end of file
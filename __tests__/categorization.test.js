@@ -0,0 +1,46 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+
+describe('skill categorization preferences', () => {
+  let app;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  const configure = (categorization) => request(app)
+    .post('/api/linkedin/configure-categorization')
+    .set('Authorization', auth)
+    .send({ categorization });
+
+  test('saves preferences, filling in the defaults', async () => {
+    const res = await configure({ categoryOverrides: { 'Frontend Development': 'flat' } });
+    expect(res.status).toBe(200);
+    expect(res.body.preferences).toEqual({
+      useSubcategories: true,
+      minSkillsForSubcategory: 3,
+      categoryOverrides: { 'Frontend Development': 'flat' }
+    });
+
+    const saved = await request(app).get('/api/linkedin/configure-categorization').set('Authorization', auth);
+    expect(saved.body).toEqual(res.body.preferences);
+  });
+
+  test('rejects invalid preferences and overrides of unknown roles', async () => {
+    for (const categorization of [
+      { minSkillsForSubcategory: 0 },
+      { minSkillsForSubcategory: 2.5 },
+      { categoryOverrides: { 'Frontend Development': 'nested' } },
+      { categoryOverrides: { 'Not a role': 'flat' } }
+    ]) {
+      const res = await configure(categorization);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation failed');
+    }
+
+    const saved = await request(app).get('/api/linkedin/configure-categorization').set('Authorization', auth);
+    expect(saved.body.categoryOverrides).toEqual({});
+  });
+});
\ No newline at end of file
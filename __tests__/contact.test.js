@@ -0,0 +1,72 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+
+const contactMessage = {
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  subject: 'Hello',
+  message: 'I would like to talk about a project.'
+};
+
+describe('contact form', () => {
+  let app;
+
+  beforeEach(async () => {
+    process.env.TRUST_PROXY = 'true';
+    ({ app } = await createTestApp());
+  });
+
+  afterEach(() => {
+    delete process.env.TRUST_PROXY;
+    delete process.env.CONTACT_RATE_LIMIT;
+  });
+
+  const send = (client, body = contactMessage) => request(app)
+    .post('/api/contact/messages')
+    .set('X-Forwarded-For', client)
+    .send(body);
+
+  const listMessages = async () => (await request(app)
+    .get('/api/contact/messages')
+    .set('Authorization', await adminAuth(app))).body.messages;
+
+  test('stores messages for the inbox', async () => {
+    expect((await send('203.0.113.1')).status).toBe(201);
+
+    const messages = await listMessages();
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({ name: 'Jane Doe', email: 'jane@example.com' });
+  });
+
+  test('rejects invalid messages', async () => {
+    const res = await send('203.0.113.2', { ...contactMessage, email: 'not an email' });
+    expect(res.status).toBe(400);
+    expect(await listMessages()).toEqual([]);
+  });
+
+  test('pretends to accept messages that fill in the honeypot but drops them', async () => {
+    expect((await send('203.0.113.3', { ...contactMessage, website: 'https://spam.example' })).status).toBe(201);
+    expect(await listMessages()).toEqual([]);
+  });
+
+  test('limits the messages of each client behind a trusted proxy', async () => {
+    process.env.CONTACT_RATE_LIMIT = '1';
+    expect((await send('203.0.113.4')).status).toBe(201);
+
+    const limited = await send('203.0.113.4');
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+    expect((await send('203.0.113.5')).status).toBe(201);
+  });
+
+  // Uses up the limit of the address of the connection, so it runs last
+  test('ignores X-Forwarded-For unless the proxy is trusted', async () => {
+    delete process.env.TRUST_PROXY;
+    process.env.CONTACT_RATE_LIMIT = '1';
+    ({ app } = await createTestApp());
+
+    expect((await send('203.0.113.6')).status).toBe(201);
+    expect((await send('203.0.113.7')).status).toBe(429);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,35 @@
+import { Readable } from 'stream';
+import { normalizeHeader, readCsv } from '../src/utils/csvReader.js';
+
+describe('CSV reader', () => {
+  test('reads quoted fields, escaped quotes and line breaks with a BOM and CRLF line endings', async () => {
+    const document = '﻿Company Name,Description,Started On\r\n' +
+      'Acme,"Built things, ""fast""\r\nand well",Jan 2020\r\n' +
+      'Old Co,Interned,Mar 2018\r\n';
+
+    const { headers, rows, errors } = await readCsv(Buffer.from(document));
+    expect(headers).toEqual(['company_name', 'description', 'started_on']);
+    expect(rows).toEqual([
+      { company_name: 'Acme', description: 'Built things, "fast"\r\nand well', started_on: 'Jan 2020' },
+      { company_name: 'Old Co', description: 'Interned', started_on: 'Mar 2018' }
+    ]);
+    expect(errors).toEqual([]);
+  });
+
+  test('reports malformed rows with the line they start on and skips blank lines', async () => {
+    const document = 'Name,Description\n"Acme","Two\nlines"\n\nBroken\nOld Co,Fine\n';
+
+    const { rows, errors } = await readCsv(Readable.from([document]));
+    expect(rows.map(row => row.name)).toEqual(['Acme', 'Old Co']);
+    expect(errors).toEqual([{ line: 5, message: 'Expected 2 fields but found 1' }]);
+  });
+
+  test('reads empty documents', async () => {
+    expect(await readCsv('')).toEqual({ headers: [], rows: [], errors: [] });
+  });
+
+  test('normalizes headers to snake case', () => {
+    expect(normalizeHeader(' Finished On ')).toBe('finished_on');
+    expect(normalizeHeader('Degree Name (Major)')).toBe('degree_name_major');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,167 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+import { scheduleDrafts } from '../src/utils/drafts.js';
+import { publishDueDrafts } from '../src/utils/publishScheduler.js';
+
+const draftText = 'A draft of the about text';
+
+describe('drafts and publishing', () => {
+  let app;
+  let storage;
+  let auth;
+  let published;
+
+  beforeEach(async () => {
+    ({ app, storage } = await createTestApp());
+    auth = await adminAuth(app);
+    published = (await request(app).get('/api/portfolio/about')).body.content;
+  });
+
+  const saveDraft = (content = draftText) => request(app)
+    .put('/api/portfolio/about')
+    .set('Authorization', auth)
+    .send({ content });
+
+  const getPublished = async () => (await request(app).get('/api/portfolio/about')).body.content;
+
+  test('saves edits as drafts that visitors don\'t see', async () => {
+    const res = await saveDraft();
+    expect(res.status).toBe(200);
+    expect(res.body.draft).toMatchObject({ section: 'about', updatedBy: 'admin', publishAt: null });
+
+    expect(await getPublished()).toBe(published);
+    const draft = await request(app).get('/api/portfolio/drafts/about').set('Authorization', auth);
+    expect(draft.body.data.content).toBe(draftText);
+
+    const preview = await request(app).get('/api/portfolio/preview').set('Authorization', auth);
+    expect(preview.body.drafts).toEqual(['about']);
+    expect(preview.body.portfolio.about.content).toBe(draftText);
+  });
+
+  test('keeps drafts to signed-in users', async () => {
+    expect((await request(app).get('/api/portfolio/drafts')).status).toBe(401);
+    expect((await request(app).get('/api/portfolio/preview')).status).toBe(401);
+  });
+
+  test('diffs a draft against the published data', async () => {
+    await saveDraft();
+
+    const res = await request(app).get('/api/portfolio/drafts/about/diff').set('Authorization', auth);
+    expect(res.body.diffs).toEqual([
+      { section: 'about', changes: [{ path: 'content', type: 'changed', from: published, to: draftText }] }
+    ]);
+  });
+
+  test('publishes a draft with a revision and removes it', async () => {
+    await saveDraft();
+
+    const res = await request(app).post('/api/portfolio/drafts/about/publish').set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body.sections).toEqual(['about']);
+    expect(await getPublished()).toBe(draftText);
+    expect((await request(app).get('/api/portfolio/drafts').set('Authorization', auth)).body.drafts).toEqual([]);
+
+    const history = await request(app).get('/api/portfolio/about/history').set('Authorization', auth);
+    expect(history.body.revisions[0].source).toBe('publish');
+  });
+
+  test('discards a draft and keeps the published data', async () => {
+    await saveDraft();
+
+    expect((await request(app).delete('/api/portfolio/drafts/about').set('Authorization', auth)).status).toBe(200);
+    expect(await getPublished()).toBe(published);
+    expect((await request(app).get('/api/portfolio/drafts/about').set('Authorization', auth)).status).toBe(404);
+  });
+
+  test('publishes right away when asked to', async () => {
+    await saveDraft('An older draft of the about text');
+
+    const res = await request(app)
+      .put('/api/portfolio/about?publish=true')
+      .set('Authorization', auth)
+      .send({ content: draftText });
+    expect(res.status).toBe(200);
+    expect(await getPublished()).toBe(draftText);
+    expect(await storage.has('drafts/about')).toBe(false);
+  });
+
+  test('schedules a publication and publishes it once it is due', async () => {
+    await saveDraft();
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const res = await request(app)
+      .post('/api/portfolio/drafts/about/publish')
+      .set('Authorization', auth)
+      .send({ publishAt });
+    expect(res.status).toBe(200);
+    expect(res.body.drafts[0].publishAt).toBe(publishAt);
+
+    await publishDueDrafts(storage);
+    expect(await getPublished()).toBe(published);
+
+    await scheduleDrafts(storage, ['about'], new Date(Date.now() - 1000).toISOString());
+    await publishDueDrafts(storage);
+    expect(await getPublished()).toBe(draftText);
+  });
+
+  test('saves imports as drafts unless published right away', async () => {
+    const resume = { basics: { name: 'Jane Doe', label: 'Engineer', summary: 'Imported summary of the profile' } };
+
+    const drafted = await request(app)
+      .post('/api/portfolio/import/json-resume')
+      .set('Authorization', auth)
+      .send({ resume });
+    expect(drafted.status).toBe(200);
+    expect(drafted.body.published).toBe(false);
+    expect((await storage.read('personalInfo')).name).not.toBe('Jane Doe');
+    expect((await storage.read('drafts/personalInfo')).data.name).toBe('Jane Doe');
+
+    const res = await request(app)
+      .post('/api/portfolio/import/json-resume?publish=true')
+      .set('Authorization', auth)
+      .send({ resume });
+    expect(res.status).toBe(200);
+    expect(res.body.published).toBe(true);
+    expect((await storage.read('personalInfo')).name).toBe('Jane Doe');
+    expect(await storage.has('drafts/personalInfo')).toBe(false);
+  });
+
+  test('merges imports with a pending draft instead of overwriting it', async () => {
+    const draftProject = { name: 'Draft Project', description: 'A project that is not published yet', technologies: [] };
+    await request(app).put('/api/portfolio/projects').set('Authorization', auth).send({ projects: [draftProject] });
+
+    const resume = { projects: [{ name: 'Imported Project', description: 'A project from the resume', keywords: ['Node'] }] };
+    const res = await request(app)
+      .post('/api/portfolio/import/json-resume')
+      .set('Authorization', auth)
+      .send({ resume, mergeStrategies: { projects: 'append' } });
+    expect(res.status).toBe(200);
+
+    const draft = await storage.read('drafts/projects');
+    expect(draft.data.projects.map(project => project.name)).toEqual(['Draft Project', 'Imported Project']);
+  });
+
+  test('refuses to commit an import session staged before its draft was edited', async () => {
+    const positions = 'Company Name,Title,Description,Location,Started On,Finished On\nAcme,Developer,Built things,"Berlin, Germany",Jan 2020,';
+    const job = { title: 'Engineer', company: 'Old Co', startDate: '2018-03', isCurrent: true, location: 'remote', country: 'Germany', city: 'Hamburg' };
+    const saveExperienceDraft = (title) => request(app)
+      .put('/api/portfolio/experience')
+      .set('Authorization', auth)
+      .send({ jobs: [{ ...job, title }] });
+    await saveExperienceDraft('Draft title');
+
+    const staged = await request(app)
+      .post('/api/linkedin/imports')
+      .set('Authorization', auth)
+      .field('mergeStrategies', 'append')
+      .attach('files', Buffer.from(positions), 'Positions.csv');
+    const { id, portfolioData } = staged.body.session;
+    expect(portfolioData.experience.jobs[0].title).toBe('Draft title');
+
+    await saveExperienceDraft('Edited again');
+    const res = await request(app).post(`/api/linkedin/imports/${id}/commit`).set('Authorization', auth);
+    expect(res.status).toBe(409);
+    expect(res.body.sections).toEqual(['experience']);
+    expect((await storage.read('drafts/experience')).data.jobs[0].title).toBe('Edited again');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,53 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+
+const degree = (degreeName, startDate, extra = {}) => ({
+  degree: degreeName,
+  school: 'Technical University',
+  field: 'Computer Science',
+  startDate,
+  endDate: '',
+  ...extra
+});
+
+describe('education section', () => {
+  let app;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  const publishEducation = (degrees) => request(app)
+    .put('/api/portfolio/education?publish=true')
+    .set('Authorization', auth)
+    .send({ degrees });
+
+  test('is served with the rest of the portfolio', async () => {
+    const section = await request(app).get('/api/portfolio/education');
+    expect(section.status).toBe(200);
+    expect(Array.isArray(section.body.degrees)).toBe(true);
+
+    const portfolio = await request(app).get('/api/portfolio');
+    expect(portfolio.body.education).toEqual(section.body);
+  });
+
+  test('sorts degrees like jobs: current ones first, then newest first', async () => {
+    const res = await publishEducation([
+      degree('Bachelor', '2012-09', { endDate: '2015-07' }),
+      degree('Master', '2016-09', { endDate: '2018-07' }),
+      degree('PhD', '2010-01', { isCurrent: true })
+    ]);
+    expect(res.status).toBe(200);
+
+    const { degrees } = (await request(app).get('/api/portfolio/education')).body;
+    expect(degrees.map(entry => entry.degree)).toEqual(['PhD', 'Master', 'Bachelor']);
+  });
+
+  test('rejects invalid degrees', async () => {
+    const res = await publishEducation([degree('Bachelor', 'September 2012')]);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
\ No newline at end of file
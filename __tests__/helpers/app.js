@@ -0,0 +1,56 @@
+import express from 'express';
+import request from 'supertest';
+import { createStorage, setStorage } from '../../src/storage/index.js';
+import portfolioRoutes from '../../src/routes/portfolio.js';
+import linkedinRoutes from '../../src/routes/linkedin.js';
+import profileRoutes from '../../src/routes/profiles.js';
+import mediaRoutes from '../../src/routes/media.js';
+import contactRoutes from '../../src/routes/contact.js';
+import taxonomyRoutes from '../../src/routes/taxonomy.js';
+import docsRoutes from '../../src/routes/docs.js';
+import authRoutes, { login } from '../../src/routes/auth.js';
+import { useDefaultProfile } from '../../src/middleware/profile.js';
+import { initializeProfiles } from '../../src/utils/profiles.js';
+import { invalidateStorage } from '../../src/utils/sectionCache.js';
+import { DEFAULT_ADMIN_PASSWORD } from '../../src/utils/credentials.js';
+import { getTrustProxySetting } from '../../src/utils/trustProxy.js';
+
+/**
+ * App with the API routes of the server on a fresh in-memory storage,
+ * initialized like a new data directory
+ */
+export const createTestApp = async () => {
+  const storage = createStorage('memory');
+  setStorage(storage);
+  // Sections are cached by key, so forget the ones of the previous app's storage
+  invalidateStorage(storage);
+  await initializeProfiles(storage);
+
+  const app = express();
+  app.set('trust proxy', getTrustProxySetting());
+  app.use(express.json());
+  app.post('/api/login', login);
+  app.use('/api/auth', authRoutes);
+  app.use('/api/portfolio', useDefaultProfile, portfolioRoutes);
+  app.use('/api/linkedin', useDefaultProfile, linkedinRoutes);
+  app.use('/api/contact', useDefaultProfile, contactRoutes);
+  app.use('/api/media', useDefaultProfile, mediaRoutes);
+  app.use('/api/profiles', profileRoutes);
+  app.use('/api/taxonomy', taxonomyRoutes);
+  app.use('/api/docs', docsRoutes);
+
+  return { app, storage };
+};
+
+/**
+ * Log in with the admin password, returning the tokens of the response
+ */
+export const loginAsAdmin = async (app) => {
+  const res = await request(app).post('/api/login').send({ password: DEFAULT_ADMIN_PASSWORD });
+  return res.body;
+};
+
+/**
+ * Authorization header of an admin session
+ */
+export const adminAuth = async (app) => `Bearer ${(await loginAsAdmin(app)).token}`;
\ No newline at end of file
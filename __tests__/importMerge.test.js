@@ -0,0 +1,77 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+import { mergeSectionData, normalizeName, resolveMergeStrategies } from '../src/utils/importMerge.js';
+
+const job = (company, title, extra = {}) => ({ company, title, startDate: '2020-01', ...extra });
+
+describe('import merge strategies', () => {
+  const existing = {
+    jobs: [job('Acme', 'Developer', { description: 'Hand-written description', achievements: ['Shipped v1'] })]
+  };
+  const imported = {
+    jobs: [
+      job('Acme', 'Developer', { description: 'LinkedIn description', achievements: ['Shipped v2'], city: 'Berlin' }),
+      job('Old Co', 'Intern')
+    ]
+  };
+
+  test('replaces the section', () => {
+    expect(mergeSectionData('experience', existing, imported, 'replace')).toEqual({ data: imported, conflicts: [] });
+  });
+
+  test('appends only new items, matching jobs by company, title and start date', () => {
+    const { data, conflicts } = mergeSectionData('experience', existing, imported, 'append');
+    expect(data.jobs).toEqual([existing.jobs[0], imported.jobs[1]]);
+    expect(conflicts).toEqual([]);
+  });
+
+  test('merges matching items, keeping edited values and reporting them as conflicts', () => {
+    const { data, conflicts } = mergeSectionData('experience', existing, imported, 'merge');
+    expect(data.jobs[0]).toEqual({
+      ...existing.jobs[0],
+      achievements: ['Shipped v1', 'Shipped v2'],
+      city: 'Berlin'
+    });
+    expect(data.jobs).toHaveLength(2);
+    expect(conflicts).toEqual([{
+      section: 'experience',
+      item: 'Acme / Developer / 2020-01',
+      path: 'jobs[0].description',
+      existing: 'Hand-written description',
+      imported: 'LinkedIn description'
+    }]);
+  });
+
+  test('matches skills by normalized name and keeps their edited levels', () => {
+    const skills = { skillCategories: { Backend: [{ name: 'Node.js', level: 'Expert' }] } };
+    const importedSkills = { skillCategories: { Backend: [{ name: 'NodeJS', level: 'Beginner' }, { name: 'Go', level: 'Beginner' }] } };
+
+    const { data, conflicts } = mergeSectionData('skills', skills, importedSkills, 'merge');
+    expect(data.skillCategories.Backend.map(skill => skill.name)).toEqual(['Node.js', 'Go']);
+    expect(conflicts).toEqual([expect.objectContaining({ item: 'Node.js', existing: 'Expert', imported: 'Beginner' })]);
+    expect(normalizeName('node js')).toBe(normalizeName('Node.js'));
+  });
+
+  test('reads one strategy for every section or a map per section', () => {
+    expect(resolveMergeStrategies('merge')('skills')).toBe('merge');
+
+    const perSection = resolveMergeStrategies('{"experience":"append"}');
+    expect(perSection('experience')).toBe('append');
+    expect(perSection('skills')).toBe('replace');
+
+    expect(() => resolveMergeStrategies({ experience: 'overwrite' })).toThrow('Invalid merge strategy for experience');
+  });
+});
+
+describe('import merge strategy requests', () => {
+  test('answer 400 to invalid merge strategies', async () => {
+    const { app } = await createTestApp();
+    const res = await request(app)
+      .post('/api/portfolio/import/json-resume')
+      .set('Authorization', await adminAuth(app))
+      .send({ resume: { basics: { name: 'Jane Doe' } }, mergeStrategies: 'overwrite' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid merge strategies');
+  });
+});
\ No newline at end of file
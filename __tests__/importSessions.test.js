@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+import { createFileStorage } from '../src/storage/fileStorage.js';
+import { deleteSession, getSession as getSessionById } from '../src/utils/importSessions.js';
+
+const positions = [
+  'Company Name,Title,Description,Location,Started On,Finished On',
+  'Acme,Developer,"Built things, and more","Berlin, Germany",Jan 2020,',
+  'Old Co,Intern,Learned a lot there,"Hamburg, Germany",Mar 2018,Dec 2019'
+].join('\n');
+
+describe('import sessions', () => {
+  let app;
+  let storage;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app, storage } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  const createSession = async () => {
+    const res = await request(app)
+      .post('/api/linkedin/imports')
+      .set('Authorization', auth)
+      .attach('files', Buffer.from(positions), 'Positions.csv');
+    expect(res.status).toBe(201);
+    return res.body.session;
+  };
+
+  const getSession = (id) => request(app).get(`/api/linkedin/imports/${id}`).set('Authorization', auth);
+
+  test('stages an import without changing the portfolio', async () => {
+    const before = await storage.read('experience');
+    const session = await createSession();
+
+    expect(Object.keys(session.portfolioData)).toEqual(['experience']);
+    expect(session.validation.valid).toBe(true);
+    expect(Date.parse(session.expiresAt)).toBeGreaterThan(Date.now());
+    expect(await storage.read('experience')).toEqual(before);
+
+    const res = await getSession(session.id);
+    expect(res.status).toBe(200);
+    expect(res.body.portfolioData.experience.jobs.map(job => job.company)).toEqual(['Acme', 'Old Co']);
+  });
+
+  test('commits edited sections as drafts and closes the session', async () => {
+    const session = await createSession();
+    const { portfolioData } = (await getSession(session.id)).body;
+
+    const edited = await request(app)
+      .put(`/api/linkedin/imports/${session.id}/sections/experience`)
+      .set('Authorization', auth)
+      .send({ ...portfolioData.experience, jobs: portfolioData.experience.jobs.slice(0, 1) });
+    expect(edited.status).toBe(200);
+
+    const res = await request(app).post(`/api/linkedin/imports/${session.id}/commit`).set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ published: false, sections: ['experience'] });
+
+    const draft = await request(app).get('/api/portfolio/drafts/experience').set('Authorization', auth);
+    expect(draft.body.data.jobs.map(job => job.company)).toEqual(['Acme']);
+    expect((await getSession(session.id)).status).toBe(404);
+  });
+
+  test('publishes a commit right away when asked to', async () => {
+    const session = await createSession();
+
+    const res = await request(app)
+      .post(`/api/linkedin/imports/${session.id}/commit?publish=true`)
+      .set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body.published).toBe(true);
+    expect((await storage.read('experience')).jobs.map(job => job.company)).toEqual(['Acme', 'Old Co']);
+  });
+
+  test('leaves sections out of an import', async () => {
+    const session = await createSession();
+
+    const res = await request(app)
+      .delete(`/api/linkedin/imports/${session.id}/sections/experience`)
+      .set('Authorization', auth);
+    expect(res.status).toBe(200);
+
+    const commit = await request(app).post(`/api/linkedin/imports/${session.id}/commit`).set('Authorization', auth);
+    expect(commit.status).toBe(400);
+  });
+
+  test('discards a session', async () => {
+    const session = await createSession();
+
+    expect((await request(app).delete(`/api/linkedin/imports/${session.id}`).set('Authorization', auth)).status).toBe(200);
+    expect((await getSession(session.id)).status).toBe(404);
+  });
+
+  test('treats expired sessions and sessions without an expiry as gone', async () => {
+    const session = await createSession();
+    const key = `imports/${session.id}`;
+    const { expiresAt, ...withoutExpiry } = await storage.read(key);
+
+    await storage.write(key, { ...withoutExpiry, expiresAt: new Date(Date.now() - 1000).toISOString() });
+    expect((await getSession(session.id)).status).toBe(404);
+
+    await storage.write(key, withoutExpiry);
+    expect((await getSession(session.id)).status).toBe(404);
+
+    // Expired sessions are purged when the next one is created
+    await storage.write(key, withoutExpiry);
+    await createSession();
+    expect(await storage.has(key)).toBe(false);
+  });
+
+  test('answers 400 to sections that don\'t exist and 404 to sections not in the import', async () => {
+    const session = await createSession();
+    const sectionUrl = (section) => `/api/linkedin/imports/${session.id}/sections/${section}`;
+
+    for (const section of ['toString', 'constructor']) {
+      expect((await request(app).put(sectionUrl(section)).set('Authorization', auth).send({})).status).toBe(400);
+      expect((await request(app).delete(sectionUrl(section)).set('Authorization', auth)).status).toBe(400);
+    }
+    expect((await request(app).delete(sectionUrl('skills')).set('Authorization', auth)).status).toBe(404);
+    expect(Object.keys((await getSession(session.id)).body.portfolioData)).toEqual(['experience']);
+  });
+
+  test('answers 404 to session ids that are not UUIDs', async () => {
+    expect((await getSession('not-a-session')).status).toBe(404);
+  });
+});
+
+describe('import session ids', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(os.tmpdir(), 'portfolio-imports-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('never reach documents outside of the sessions', async () => {
+    const storage = createFileStorage({ dataDir: dir });
+    const credentials = { passwordHash: 'hash', expiresAt: new Date(Date.now() + 60000).toISOString() };
+    await storage.write('auth/credentials', credentials);
+
+    expect(await getSessionById(storage, '../auth/credentials')).toBeNull();
+    await deleteSession(storage, '../auth/credentials');
+    expect(await storage.read('auth/credentials')).toEqual(credentials);
+  });
+});
\ No newline at end of file
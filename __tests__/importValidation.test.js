@@ -0,0 +1,70 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+import { mapLinkedInLocation, normalizeLinkedInDate } from '../src/utils/linkedinNormalize.js';
+
+describe('LinkedIn value normalization', () => {
+  test('normalizes dates to YYYY-MM', () => {
+    expect(normalizeLinkedInDate('Jan 2020')).toEqual({ value: '2020-01' });
+    expect(normalizeLinkedInDate('September 2018')).toEqual({ value: '2018-09' });
+    expect(normalizeLinkedInDate('03/2021')).toEqual({ value: '2021-03' });
+    expect(normalizeLinkedInDate('2019').warning).toMatch('assumed January');
+    expect(normalizeLinkedInDate('')).toBeNull();
+    expect(normalizeLinkedInDate('Sometime').error).toMatch('Unrecognised date');
+  });
+
+  test('maps locations to location types, cities and countries', () => {
+    expect(mapLinkedInLocation('Berlin, Germany (Hybrid)')).toEqual({ location: 'hybrid', city: 'Berlin', country: 'Germany' });
+    expect(mapLinkedInLocation('Remote')).toEqual({ location: 'remote' });
+    expect(mapLinkedInLocation('Hamburg, Germany')).toMatchObject({ location: 'on-site', city: 'Hamburg', country: 'Germany' });
+    expect(mapLinkedInLocation('Hamburg, Germany').warning).toMatch('assumed on-site');
+  });
+});
+
+describe('LinkedIn import validation', () => {
+  let app;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  const stagePositions = async (rows) => {
+    const csv = ['Company Name,Title,Description,Location,Started On,Finished On', ...rows].join('\n');
+    const res = await request(app)
+      .post('/api/linkedin/imports')
+      .set('Authorization', auth)
+      .attach('files', Buffer.from(csv), 'Positions.csv');
+    expect(res.status).toBe(201);
+    return res.body.session;
+  };
+
+  test('imports normalized data without inventing anything', async () => {
+    const session = await stagePositions(['Acme,Developer,,"Berlin, Germany (Remote)",Jan 2020,']);
+
+    expect(session.validation).toEqual({ valid: true, errors: [], warnings: [] });
+    expect(session.portfolioData.experience.jobs).toEqual([{
+      title: 'Developer',
+      company: 'Acme',
+      startDate: '2020-01',
+      isCurrent: true,
+      location: 'remote',
+      city: 'Berlin',
+      country: 'Germany',
+      achievements: [],
+      skills: []
+    }]);
+  });
+
+  test('reports field errors and warnings and refuses to commit invalid data', async () => {
+    const session = await stagePositions(['Bad Co,Tester,,"Berlin, Germany",Sometime,Dec 2019']);
+
+    expect(session.validation.valid).toBe(false);
+    expect(session.validation.errors).toEqual([expect.objectContaining({ section: 'experience', path: 'jobs[0].startDate' })]);
+    expect(session.validation.warnings.map(warning => warning.path)).toEqual(['jobs[0].startDate', 'jobs[0].location']);
+
+    const commit = await request(app).post(`/api/linkedin/imports/${session.id}/commit`).set('Authorization', auth);
+    expect(commit.status).toBe(400);
+    expect(commit.body.validation.valid).toBe(false);
+  });
+});
\ No newline at end of file
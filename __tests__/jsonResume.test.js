@@ -0,0 +1,92 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+import { JSON_RESUME_SCHEMA_URL, toJsonResume } from '../src/utils/jsonResume.js';
+
+const resume = {
+  basics: {
+    name: 'Jane Doe',
+    label: 'Software Engineer',
+    email: 'jane@example.com',
+    summary: 'Engineer building web applications for a living',
+    location: { city: 'Berlin', countryCode: 'DE' },
+    profiles: [{ network: 'GitHub', url: 'https://github.com/jane' }]
+  },
+  work: [{
+    name: 'Acme',
+    position: 'Developer',
+    location: 'Berlin, Germany (Remote)',
+    startDate: '2020-01-15',
+    highlights: ['Shipped the new checkout']
+  }]
+};
+
+describe('JSON Resume', () => {
+  let app;
+  let storage;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app, storage } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  test('maps portfolio sections to a JSON Resume document', () => {
+    const document = toJsonResume({
+      personalInfo: { name: 'Jane Doe', title: 'Engineer', location: 'Berlin, Germany' },
+      experience: { jobs: [{ company: 'Acme', title: 'Developer', city: 'Berlin', country: 'Germany', startDate: '2020-01', isCurrent: true, endDate: '' }] },
+      skills: { skillCategories: { Frontend: { Frameworks: [{ name: 'React', level: 'expert' }] } } },
+      contact: { email: 'jane@example.com', socialLinks: [{ platform: 'github', url: 'https://github.com/jane' }] }
+    });
+
+    expect(document.$schema).toBe(JSON_RESUME_SCHEMA_URL);
+    expect(document.basics).toEqual({
+      name: 'Jane Doe',
+      label: 'Engineer',
+      email: 'jane@example.com',
+      location: { city: 'Berlin', region: 'Germany' },
+      profiles: [{ network: 'github', username: 'jane', url: 'https://github.com/jane' }]
+    });
+    expect(document.work).toEqual([{ name: 'Acme', position: 'Developer', location: 'Berlin, Germany', startDate: '2020-01' }]);
+    expect(document.skills).toEqual([{ name: 'React', level: 'expert' }]);
+  });
+
+  test('exports the public portfolio', async () => {
+    const res = await request(app).get('/api/portfolio/export/json-resume');
+    expect(res.status).toBe(200);
+    expect(res.body.basics.name).toBe((await storage.read('personalInfo')).name);
+    expect(res.body.work).toHaveLength((await storage.read('experience')).jobs.length);
+  });
+
+  test('previews an import without saving it', async () => {
+    const before = await storage.read('experience');
+    const res = await request(app)
+      .post('/api/portfolio/import/json-resume/preview')
+      .set('Authorization', auth)
+      .send({ resume });
+
+    expect(res.status).toBe(200);
+    expect(res.body.sections).toEqual(['personalInfo', 'about', 'contact', 'experience']);
+    expect(res.body.portfolioData.experience.jobs[0]).toMatchObject({
+      title: 'Developer',
+      company: 'Acme',
+      startDate: '2020-01',
+      isCurrent: true,
+      location: 'remote'
+    });
+    expect(res.body.validation.valid).toBe(true);
+    expect(await storage.read('experience')).toEqual(before);
+  });
+
+  test('rejects missing documents and data that fails validation', async () => {
+    const missing = await request(app).post('/api/portfolio/import/json-resume').set('Authorization', auth).send({});
+    expect(missing.status).toBe(400);
+
+    const invalid = await request(app)
+      .post('/api/portfolio/import/json-resume')
+      .set('Authorization', auth)
+      .send({ resume: { work: [{ name: 'Acme', startDate: 'someday' }] } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.validation.errors.map(error => error.path)).toEqual(expect.arrayContaining(['jobs[0].title', 'jobs[0].startDate']));
+    expect(await storage.has('drafts/experience')).toBe(false);
+  });
+});
\ No newline at end of file
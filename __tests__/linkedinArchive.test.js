@@ -0,0 +1,62 @@
+import AdmZip from 'adm-zip';
+import { extractLinkedInArchive } from '../src/utils/linkedinArchive.js';
+
+const positions = 'Company Name,Title,Started On\nAcme,Developer,Jan 2020';
+
+const createArchive = (files) => {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  return zip.toBuffer();
+};
+
+// Make every entry of an archive claim to be `size` bytes once inflated,
+// in its local header and in the central directory
+const declareSize = (archive, size) => {
+  const patched = Buffer.from(archive);
+  for (let offset = 0; offset < patched.length - 4; offset++) {
+    const signature = patched.readUInt32LE(offset);
+    if (signature === 0x04034b50) {
+      patched.writeUInt32LE(size, offset + 22);
+    } else if (signature === 0x02014b50) {
+      patched.writeUInt32LE(size, offset + 24);
+    }
+  }
+  return patched;
+};
+
+describe('LinkedIn archives', () => {
+  test('extracts the known export files and lists the others', () => {
+    const { files, ignored } = extractLinkedInArchive(createArchive({
+      'Basic_LinkedInDataExport/Positions.csv': positions,
+      'Basic_LinkedInDataExport/Messages.csv': 'From,To\na,b'
+    }));
+
+    expect(files).toEqual([{ originalname: 'Positions.csv', buffer: Buffer.from(positions) }]);
+    expect(ignored).toEqual(['Basic_LinkedInDataExport/Messages.csv']);
+  });
+
+  test('rejects what is not a ZIP archive', () => {
+    expect(() => extractLinkedInArchive(Buffer.from('not an archive'))).toThrow('Invalid ZIP archive');
+  });
+
+  test('rejects files declared larger than the limit without inflating them', () => {
+    const archive = declareSize(createArchive({ 'Positions.csv': positions }), 11 * 1024 * 1024);
+    expect(() => extractLinkedInArchive(archive)).toThrow('Positions.csv is larger than 10MB');
+  });
+
+  test('stops inflating files that are larger than they declare', () => {
+    const bomb = declareSize(createArchive({ 'Skills.csv': Buffer.alloc(11 * 1024 * 1024, 'a') }), 1024);
+    expect(() => extractLinkedInArchive(bomb)).toThrow('Skills.csv is larger than 10MB');
+  });
+
+  test('limits the size of all extracted files together', () => {
+    const nineMB = Buffer.alloc(9 * 1024 * 1024, 'a');
+    const archive = createArchive(Object.fromEntries(
+      ['Profile', 'Positions', 'Skills', 'Education', 'Projects', 'Certifications']
+        .map(name => [`${name}.csv`, nineMB])
+    ));
+    expect(() => extractLinkedInArchive(archive)).toThrow('The extracted files are larger than 50MB');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+
+const content = { en: 'Some words about me in English', de: 'Ein paar Worte über mich auf Deutsch' };
+
+describe('localized content', () => {
+  let app;
+  let auth;
+
+  beforeEach(async () => {
+    process.env.SUPPORTED_LOCALES = 'de';
+    ({ app } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  afterEach(() => {
+    delete process.env.SUPPORTED_LOCALES;
+  });
+
+  const publish = (section, data) => request(app)
+    .put(`/api/portfolio/${section}?publish=true`)
+    .set('Authorization', auth)
+    .send(data);
+
+  test('answers in the requested locale, the negotiated one or the default one', async () => {
+    expect((await publish('about', { content })).status).toBe(200);
+
+    const german = await request(app).get('/api/portfolio/about?lang=de-AT');
+    expect(german.body.content).toBe(content.de);
+    expect(german.headers['content-language']).toBe('de');
+
+    const negotiated = await request(app).get('/api/portfolio/about').set('Accept-Language', 'fr, de;q=0.5');
+    expect(negotiated.body.content).toBe(content.de);
+
+    const unsupported = await request(app).get('/api/portfolio/about?lang=fr');
+    expect(unsupported.body.content).toBe(content.en);
+    expect(unsupported.headers['content-language']).toBe('en');
+
+    const all = await request(app).get('/api/portfolio/about?lang=all');
+    expect(all.body.content).toEqual(content);
+  });
+
+  test('falls back to the default locale for missing translations', async () => {
+    await publish('about', { content: { en: content.en } });
+
+    expect((await request(app).get('/api/portfolio/about?lang=de')).body.content).toBe(content.en);
+  });
+
+  test('lists the translations that are missing', async () => {
+    await publish('projects', {
+      projects: [
+        { name: 'Translated', description: { en: 'A translated project', de: 'Ein übersetztes Projekt' } },
+        { name: 'Untranslated', description: 'A project only described in English' }
+      ]
+    });
+
+    const res = await request(app).get('/api/portfolio/translations/projects').set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      defaultLocale: 'en',
+      locales: ['en', 'de'],
+      total: 1,
+      missing: { projects: [{ path: 'projects[1].description', missing: ['de'] }] }
+    });
+  });
+
+  test('keeps missing translations to signed-in users and known sections', async () => {
+    expect((await request(app).get('/api/portfolio/translations')).status).toBe(401);
+
+    const res = await request(app).get('/api/portfolio/translations/unknown').set('Authorization', auth);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid section');
+  });
+
+  test('rejects translations under keys that aren\'t locales', async () => {
+    const res = await publish('about', { content: { EN: content.en } });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import request from 'supertest';
+import sharp from 'sharp';
+import { createTestApp, adminAuth } from './helpers/app.js';
+
+const project = (image) => ({
+  name: 'Portfolio',
+  description: 'A portfolio backend with media uploads',
+  technologies: ['Node.js'],
+  image
+});
+
+describe('media cleanup', () => {
+  let app;
+  let auth;
+  let png;
+
+  beforeAll(async () => {
+    png = await sharp({ create: { width: 20, height: 10, channels: 3, background: 'teal' } }).png().toBuffer();
+  });
+
+  beforeEach(async () => {
+    process.env.MEDIA_DIR = await fs.mkdtemp(join(os.tmpdir(), 'portfolio-media-'));
+    ({ app } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  afterEach(async () => {
+    await fs.rm(process.env.MEDIA_DIR, { recursive: true, force: true });
+    delete process.env.MEDIA_DIR;
+    delete process.env.HISTORY_RETENTION;
+  });
+
+  const upload = async () => {
+    const res = await request(app).post('/api/media').set('Authorization', auth).attach('file', png, 'screenshot.png');
+    expect(res.status).toBe(201);
+    return res.body.media;
+  };
+
+  const mediaFiles = () => fs.readdir(process.env.MEDIA_DIR);
+
+  const putProjects = (projects, query = '?publish=true') => request(app)
+    .put(`/api/portfolio/projects${query}`)
+    .set('Authorization', auth)
+    .send({ projects });
+
+  test('stores uploads with a thumbnail and rejects other files', async () => {
+    const media = await upload();
+    expect(media).toMatchObject({ contentType: 'image/png', width: 20, height: 10 });
+    expect((await mediaFiles()).sort()).toEqual([media.file, media.thumbnail].sort());
+
+    const res = await request(app)
+      .post('/api/media')
+      .set('Authorization', auth)
+      .attach('file', Buffer.from('not an image'), { filename: 'fake.png', contentType: 'image/png' });
+    expect(res.status).toBe(415);
+  });
+
+  test('keeps the images of retained revisions so a rollback gets them back', async () => {
+    const media = await upload();
+    await putProjects([project(media.id)]);
+    await putProjects([]);
+    expect(await mediaFiles()).toHaveLength(2);
+
+    const history = await request(app).get('/api/portfolio/projects/history').set('Authorization', auth);
+    const withImage = history.body.revisions[1];
+    await request(app).post(`/api/portfolio/projects/rollback/${withImage.id}`).set('Authorization', auth);
+
+    const projects = (await request(app).get('/api/portfolio/projects')).body.projects;
+    expect(projects[0].imageUrl).toBe(media.url);
+  });
+
+  test('deletes images no longer used anywhere', async () => {
+    process.env.HISTORY_RETENTION = '1';
+    const media = await upload();
+    await putProjects([project(media.id)]);
+    await putProjects([]);
+
+    expect(await mediaFiles()).toEqual([]);
+    expect((await request(app).get(`/api/media/${media.id}`)).status).toBe(404);
+  });
+
+  test('deletes the images of a discarded draft', async () => {
+    const media = await upload();
+    await putProjects([project(media.id)], '');
+
+    await request(app).delete('/api/portfolio/drafts/projects').set('Authorization', auth);
+    expect(await mediaFiles()).toEqual([]);
+  });
+
+  test('keeps files a cloned profile still uses', async () => {
+    const media = await upload();
+    const clone = await request(app).post('/api/profiles/default/clone').set('Authorization', auth).send({ slug: 'copy' });
+    expect(clone.status).toBe(201);
+
+    expect((await request(app).delete(`/api/media/${media.id}`).set('Authorization', auth)).status).toBe(200);
+    expect(await mediaFiles()).toHaveLength(2);
+    expect((await request(app).get(`/api/profiles/copy/media/${media.id}`)).status).toBe(200);
+
+    expect((await request(app).delete('/api/profiles/copy').set('Authorization', auth)).status).toBe(200);
+    expect(await mediaFiles()).toEqual([]);
+  });
+});
\ No newline at end of file
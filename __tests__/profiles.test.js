@@ -0,0 +1,65 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+
+describe('profiles', () => {
+  let app;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  afterEach(() => {
+    delete process.env.DEFAULT_PROFILE;
+  });
+
+  const createProfile = (slug) => request(app).post('/api/profiles').set('Authorization', auth).send({ slug });
+
+  const getAbout = async (base) => (await request(app).get(`${base}/about`)).body.content;
+
+  test('keeps the data of every profile apart', async () => {
+    expect((await createProfile('jane')).status).toBe(201);
+    const defaultAbout = await getAbout('/api/portfolio');
+
+    const res = await request(app)
+      .put('/api/profiles/jane/portfolio/about?publish=true')
+      .set('Authorization', auth)
+      .send({ content: 'About Jane, in a profile of its own' });
+    expect(res.status).toBe(200);
+
+    expect(await getAbout('/api/profiles/jane/portfolio')).toBe('About Jane, in a profile of its own');
+    expect(await getAbout('/api/portfolio')).toBe(defaultAbout);
+    expect(await getAbout('/api/profiles/default/portfolio')).toBe(defaultAbout);
+
+    const profiles = await request(app).get('/api/profiles');
+    expect(profiles.body.profiles.map(profile => profile.slug).sort()).toEqual(['default', 'jane']);
+  });
+
+  test('serves the configured default profile under /api/portfolio', async () => {
+    await createProfile('jane');
+    await request(app)
+      .put('/api/profiles/jane/portfolio/about?publish=true')
+      .set('Authorization', auth)
+      .send({ content: 'About Jane, in a profile of its own' });
+
+    process.env.DEFAULT_PROFILE = 'jane';
+    expect(await getAbout('/api/portfolio')).toBe('About Jane, in a profile of its own');
+  });
+
+  test('clones and deletes profiles', async () => {
+    const clone = await request(app).post('/api/profiles/default/clone').set('Authorization', auth).send({ slug: 'copy' });
+    expect(clone.status).toBe(201);
+    expect(await getAbout('/api/profiles/copy/portfolio')).toBe(await getAbout('/api/portfolio'));
+
+    expect((await request(app).delete('/api/profiles/copy').set('Authorization', auth)).status).toBe(200);
+    expect((await request(app).get('/api/profiles/copy/portfolio/about')).status).toBe(404);
+  });
+
+  test('rejects invalid and existing slugs and keeps the default profile', async () => {
+    expect((await createProfile('Not A Slug')).status).toBe(400);
+    expect((await createProfile('default')).status).toBe(409);
+    expect((await request(app).delete('/api/profiles/default').set('Authorization', auth)).status).toBe(409);
+    expect((await request(app).post('/api/profiles').send({ slug: 'anonymous' })).status).toBe(401);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,69 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+
+const job = (company, startDate, endDate, extra = {}) => ({
+  title: 'Developer',
+  company,
+  startDate,
+  endDate,
+  isCurrent: false,
+  location: 'remote',
+  country: 'Germany',
+  city: 'Berlin',
+  ...extra
+});
+
+describe('CV rendering', () => {
+  let app;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+    const res = await request(app)
+      .put('/api/portfolio/experience?publish=true')
+      .set('Authorization', await adminAuth(app))
+      .send({
+        jobs: [
+          job('Recent Co', '2022-01', '2024-06'),
+          job('Secret Co', '2021-01', '2021-12', { hidden: true }),
+          job('Old Co', '2015-01', '2016-12')
+        ]
+      });
+    expect(res.status).toBe(200);
+  });
+
+  const getResume = (query = '') => request(app).get(`/api/portfolio/resume${query}`);
+
+  test('renders the chosen sections and dates as Markdown, leaving hidden items out', async () => {
+    const res = await getResume('?format=markdown&sections=experience&from=2020');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/markdown; charset=utf-8');
+    expect(res.text).toContain('## Experience');
+    expect(res.text).toContain('Recent Co');
+    expect(res.text).not.toContain('Old Co');
+    expect(res.text).not.toContain('Secret Co');
+    expect(res.text).not.toContain('## Skills');
+  });
+
+  test('renders HTML by default and PDF when asked for with Accept', async () => {
+    const html = await getResume('?template=modern');
+    expect(html.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(html.text).toMatch(/^<!DOCTYPE html>/i);
+    expect(html.text).toContain('Recent Co');
+
+    const pdf = await getResume().set('Accept', 'application/pdf').buffer(true);
+    expect(pdf.status).toBe(200);
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('lists the templates', async () => {
+    const res = await request(app).get('/api/portfolio/resume/templates');
+    expect(res.body.map(template => template.name)).toEqual(['classic', 'modern', 'compact']);
+  });
+
+  test('rejects invalid options and formats it can\'t produce', async () => {
+    expect((await getResume('?template=fancy')).status).toBe(400);
+    expect((await getResume('?sections=hobbies')).status).toBe(400);
+    expect((await getResume().set('Accept', 'image/png')).status).toBe(406);
+  });
+});
\ No newline at end of file
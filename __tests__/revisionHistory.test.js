@@ -0,0 +1,87 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+import { writeSectionsData } from '../src/utils/sectionData.js';
+
+describe('revision history and rollback', () => {
+  let app;
+  let storage;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app, storage } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  afterEach(() => {
+    delete process.env.HISTORY_RETENTION;
+  });
+
+  const publishAbout = (content) => request(app)
+    .put('/api/portfolio/about?publish=true')
+    .set('Authorization', auth)
+    .send({ content });
+
+  test('records a revision of every write, with a baseline of the data before the first one', async () => {
+    const original = (await request(app).get('/api/portfolio/about')).body;
+    await publishAbout('First version of the about text');
+    await publishAbout('Second version of the about text');
+
+    const res = await request(app).get('/api/portfolio/about/history').set('Authorization', auth);
+    expect(res.status).toBe(200);
+    const { revisions } = res.body;
+    expect(revisions).toHaveLength(3);
+    expect(revisions[0]).toMatchObject({ author: 'admin', source: 'api' });
+    expect(revisions[0].data).toBeUndefined();
+
+    const baseline = await request(app)
+      .get(`/api/portfolio/about/history/${revisions[2].id}`)
+      .set('Authorization', auth);
+    expect(baseline.body.data.content).toBe(original.content);
+  });
+
+  test('rolls a section back to a revision', async () => {
+    await publishAbout('First version of the about text');
+    await publishAbout('Second version of the about text');
+    const history = await request(app).get('/api/portfolio/about/history').set('Authorization', auth);
+    const first = history.body.revisions[1];
+
+    const res = await request(app)
+      .post(`/api/portfolio/about/rollback/${first.id}`)
+      .set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body.revision.source).toBe(`rollback:${first.id}`);
+    expect((await request(app).get('/api/portfolio/about')).body.content).toBe('First version of the about text');
+  });
+
+  test('answers 404 to an unknown revision', async () => {
+    const res = await request(app)
+      .post('/api/portfolio/about/rollback/00000000-0000-0000-0000-000000000000')
+      .set('Authorization', auth);
+    expect(res.status).toBe(404);
+  });
+
+  test('keeps only the configured number of revisions', async () => {
+    process.env.HISTORY_RETENTION = '2';
+    for (const version of ['First', 'Second', 'Third']) {
+      await publishAbout(`${version} version of the about text`);
+    }
+
+    const res = await request(app).get('/api/portfolio/about/history').set('Authorization', auth);
+    expect(res.body.revisions).toHaveLength(2);
+  });
+
+  test('writes the sections and their revisions in one transaction', async () => {
+    const about = await storage.read('about');
+    const history = await storage.read('history/about');
+    const writeMany = storage.writeMany;
+    storage.writeMany = async (entries) => {
+      expect(entries.map(entry => entry.key)).toEqual(['about', 'history/about']);
+      throw new Error('Disk full');
+    };
+
+    await expect(writeSectionsData({ about: { content: 'Never written' } }, {}, storage)).rejects.toThrow('Disk full');
+    storage.writeMany = writeMany;
+    expect(await storage.read('about')).toEqual(about);
+    expect(await storage.read('history/about')).toEqual(history);
+  });
+});
\ No newline at end of file
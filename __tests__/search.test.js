@@ -0,0 +1,66 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+import { parseSearchQuery } from '../src/utils/search.js';
+
+const project = (name, description, extra = {}) => ({ name, description, technologies: [], ...extra });
+
+describe('portfolio search', () => {
+  let app;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  const publishProjects = (projects) => request(app)
+    .put('/api/portfolio/projects?publish=true')
+    .set('Authorization', auth)
+    .send({ projects });
+
+  const search = async (q, headers = {}) => {
+    const res = await request(app).get('/api/portfolio/search').query({ q }).set(headers);
+    expect(res.status).toBe(200);
+    return res.body;
+  };
+
+  test('ranks matches in names above matches in descriptions, with highlighted snippets', async () => {
+    await publishProjects([
+      project('Blog', 'A blog about the quokka <b>operator</b> and more'),
+      project('Quokka Operator', 'Deploys things on clusters')
+    ]);
+
+    const { total, results } = await search('quokka');
+    expect(total).toBe(2);
+    expect(results.map(result => [result.section, result.path, result.title])).toEqual([
+      ['projects', 'projects[1]', 'Quokka Operator'],
+      ['projects', 'projects[0]', 'Blog']
+    ]);
+    expect(results[1].matches).toEqual([{
+      field: 'description',
+      snippet: 'A blog about the <mark>quokka</mark> &lt;b&gt;operator&lt;/b&gt; and more'
+    }]);
+  });
+
+  test('needs every term to match, allowing prefixes', async () => {
+    await publishProjects([project('Quokka Operator', 'Deploys things on clusters')]);
+
+    expect((await search('quok deploy')).total).toBe(1);
+    expect((await search('quokka wombat')).total).toBe(0);
+  });
+
+  test('keeps up with written sections and hides hidden items from visitors', async () => {
+    await publishProjects([project('Quokka Operator', 'Deploys things on clusters')]);
+    expect((await search('quokka')).total).toBe(1);
+
+    await publishProjects([project('Quokka Operator', 'Deploys things on clusters', { hidden: true })]);
+    expect((await search('quokka')).total).toBe(0);
+    expect((await search('quokka', { Authorization: auth })).total).toBe(1);
+  });
+
+  test('rejects queries without a word to search for', async () => {
+    expect((await request(app).get('/api/portfolio/search')).status).toBe(400);
+    expect((await request(app).get('/api/portfolio/search').query({ q: '?!' })).status).toBe(400);
+    expect(parseSearchQuery('React  Node.js react')).toEqual(['react', 'node', 'js']);
+  });
+});
\ No newline at end of file
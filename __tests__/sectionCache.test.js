@@ -0,0 +1,76 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+
+describe('conditional section reads', () => {
+  let app;
+  let storage;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app, storage } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  afterEach(() => {
+    delete process.env.CACHE_CONTROL;
+  });
+
+  const getAbout = (headers = {}) => request(app).get('/api/portfolio/about').set(headers);
+
+  const publishAbout = (content) => request(app)
+    .put('/api/portfolio/about?publish=true')
+    .set('Authorization', auth)
+    .send({ content });
+
+  test('answers 304 while the section is unchanged', async () => {
+    const first = await getAbout();
+    expect(first.status).toBe(200);
+    expect(first.headers.etag).toMatch(/^W\/"/);
+    expect(first.headers['last-modified']).toBeDefined();
+    expect(first.headers['cache-control']).toBe('public, max-age=0, must-revalidate');
+
+    const again = await getAbout({ 'If-None-Match': first.headers.etag });
+    expect(again.status).toBe(304);
+    expect(again.text).toBe('');
+  });
+
+  test('serves the new version with a new ETag once the section is written', async () => {
+    const first = await getAbout();
+    await publishAbout('A new version of the about text');
+
+    const res = await getAbout({ 'If-None-Match': first.headers.etag });
+    expect(res.status).toBe(200);
+    expect(res.body.content).toBe('A new version of the about text');
+    expect(res.headers.etag).not.toBe(first.headers.etag);
+  });
+
+  test('gives the aggregate portfolio an ETag of its own', async () => {
+    const first = await request(app).get('/api/portfolio');
+    expect((await request(app).get('/api/portfolio').set('If-None-Match', first.headers.etag)).status).toBe(304);
+
+    await publishAbout('A new version of the about text');
+    expect((await request(app).get('/api/portfolio').set('If-None-Match', first.headers.etag)).status).toBe(200);
+  });
+
+  test('keeps the versions signed-in users see private and apart', async () => {
+    process.env.CACHE_CONTROL = 'public, max-age=60';
+    const anonymous = await getAbout();
+    expect(anonymous.headers['cache-control']).toBe('public, max-age=60');
+
+    const signedIn = await getAbout({ Authorization: auth, 'If-None-Match': anonymous.headers.etag });
+    expect(signedIn.status).toBe(200);
+    expect(signedIn.headers['cache-control']).toBe('private, no-cache');
+    expect(signedIn.headers.vary).toMatch('Authorization');
+  });
+
+  test('keeps the cached sections of profiles apart', async () => {
+    await request(app).post('/api/profiles').set('Authorization', auth).send({ slug: 'jane' });
+    await request(app)
+      .put('/api/profiles/jane/portfolio/about?publish=true')
+      .set('Authorization', auth)
+      .send({ content: 'About Jane, in a profile of its own' });
+
+    expect((await getAbout()).body.content).toBe((await storage.read('about')).content);
+    expect((await request(app).get('/api/profiles/jane/portfolio/about')).body.content).toBe('About Jane, in a profile of its own');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,74 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+
+const job = (title, company, startDate, extra = {}) => ({
+  title,
+  company,
+  startDate,
+  endDate: '',
+  isCurrent: false,
+  location: 'on-site',
+  country: 'Germany',
+  city: 'Berlin',
+  skills: [],
+  ...extra
+});
+
+const jobs = [
+  job('Lead Developer', 'Acme', '2022-03', { isCurrent: true, location: 'remote', skills: ['React', 'Node.js'] }),
+  job('Developer', 'Beta', '2019-05', { endDate: '2022-02', location: 'hybrid', skills: ['React'] }),
+  job('Intern', 'Gamma', '2016-01', { endDate: '2016-12', skills: ['Java'] })
+];
+
+const project = (name, technologies) => ({ name, description: `The ${name} project`, technologies });
+
+describe('section list queries', () => {
+  let app;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+    const auth = await adminAuth(app);
+    await request(app).put('/api/portfolio/experience?publish=true').set('Authorization', auth).send({ jobs });
+    await request(app).put('/api/portfolio/projects?publish=true').set('Authorization', auth).send({
+      projects: [project('Zeta', ['Vue']), project('Alpha', ['react', 'Go']), project('Mu', ['React'])]
+    });
+  });
+
+  const query = async (section, params) => {
+    const res = await request(app).get(`/api/portfolio/${section}?${params}`);
+    expect(res.status).toBe(200);
+    return res.body;
+  };
+
+  test('filters jobs by skill, location type, current role and dates', async () => {
+    const titles = (body) => body.jobs.map(entry => entry.title);
+
+    expect(titles(await query('experience', 'skill=react'))).toEqual(['Lead Developer', 'Developer']);
+    expect(titles(await query('experience', 'location=remote,hybrid&from=2020'))).toEqual(['Lead Developer', 'Developer']);
+    expect(titles(await query('experience', 'current=false&to=2018'))).toEqual(['Intern']);
+  });
+
+  test('sorts and paginates with the total count of matches', async () => {
+    const body = await query('experience', 'sort=company&order=desc&limit=2&offset=1');
+    expect(body.jobs.map(entry => entry.company)).toEqual(['Beta', 'Acme']);
+    expect(body.pagination).toEqual({ total: 3, offset: 1, limit: 2 });
+
+    const projects = await query('projects', 'technology=React&sort=name');
+    expect(projects.projects.map(entry => entry.name)).toEqual(['Alpha', 'Mu']);
+    expect(projects.pagination.total).toBe(2);
+  });
+
+  test('returns the section as stored without a query', async () => {
+    const body = await query('projects', '');
+    expect(body.projects.map(entry => entry.name)).toEqual(['Zeta', 'Alpha', 'Mu']);
+    expect(body.pagination).toBeUndefined();
+  });
+
+  test('rejects invalid queries', async () => {
+    for (const params of ['location=moon', 'sort=salary', 'limit=0', 'from=2020-13-01', 'current=maybe']) {
+      const res = await request(app).get(`/api/portfolio/experience?${params}`);
+      expect(res.status).toBe(400);
+    }
+    expect((await request(app).get('/api/portfolio/projects?sort=startDate')).status).toBe(400);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+import { tokenize } from '../src/utils/skillClassifier.js';
+import { DEFAULT_SKILL_TAXONOMY, categorizeSkill, explainSkillCategory } from '../src/utils/skillTaxonomy.js';
+
+const categorize = (skill) => categorizeSkill(skill, DEFAULT_SKILL_TAXONOMY);
+
+describe('skill classifier', () => {
+  test('matches whole words only', () => {
+    expect(categorize('JavaScript')).toEqual({ role: 'Frontend Development', subcategory: 'Languages' });
+    expect(categorize('Java')).toEqual({ role: 'Backend Development', subcategory: 'Languages' });
+    expect(categorize('Google Analytics')).toEqual({ role: 'Other', subcategory: null });
+    expect(categorize('Restaurant management')).toEqual({ role: 'Other', subcategory: null });
+  });
+
+  test('matches aliases with a little less confidence', () => {
+    expect(categorize('Postgres')).toEqual({ role: 'Data & Analytics', subcategory: 'Databases' });
+    expect(explainSkillCategory('k8s', DEFAULT_SKILL_TAXONOMY).match).toMatchObject({
+      role: 'DevOps & Infrastructure',
+      keyword: 'kubernetes',
+      via: 'alias',
+      alias: 'k8s',
+      confidence: 0.95
+    });
+  });
+
+  test('is less confident about keywords found in longer names', () => {
+    const explanation = explainSkillCategory('REST APIs', DEFAULT_SKILL_TAXONOMY);
+    expect(explanation).toMatchObject({ role: 'Backend Development', subcategory: 'APIs', tokens: ['rest', 'apis'] });
+    expect(explanation.confidence).toBeLessThan(1);
+  });
+
+  test('tokenizes names keeping the symbols of technology names', () => {
+    expect(tokenize('Node.js / Express')).toEqual(['node.js', 'express']);
+    expect(tokenize('C#')).toEqual(['c#']);
+    expect(tokenize('CI-CD')).toEqual(['ci', 'cd']);
+  });
+});
+
+describe('skill category explanations', () => {
+  let app;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  test('explain every skill asked about', async () => {
+    const res = await request(app).get('/api/taxonomy/explain?skill=JS&skill=Underwater%20basket%20weaving').set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body.minConfidence).toBe(0.5);
+    expect(res.body.results.map(result => [result.skill, result.role])).toEqual([
+      ['JS', 'Frontend Development'],
+      ['Underwater basket weaving', 'Other']
+    ]);
+    expect(res.body.results[1]).toMatchObject({ match: null, candidates: [], confidence: 0 });
+  });
+
+  test('need a skill', async () => {
+    const res = await request(app).get('/api/taxonomy/explain').set('Authorization', auth);
+    expect(res.status).toBe(400);
+  });
+});
\ No newline at end of file
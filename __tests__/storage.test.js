@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { createStorage } from '../src/storage/index.js';
+import { createFileStorage } from '../src/storage/fileStorage.js';
+import { createMemoryStorage } from '../src/storage/memoryStorage.js';
+import { createSqliteStorage } from '../src/storage/sqliteStorage.js';
+
+const backends = {
+  file: (dir) => createFileStorage({ dataDir: dir }),
+  memory: () => createMemoryStorage(),
+  sqlite: (dir) => createSqliteStorage({ dbPath: join(dir, 'portfolio.sqlite') })
+};
+
+describe.each(Object.keys(backends))('%s storage', (backend) => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(os.tmpdir(), 'portfolio-storage-'));
+    storage = backends[backend](dir);
+    await storage.init();
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('reads, lists and removes documents', async () => {
+    await storage.write('about', { content: 'About' });
+    await storage.write('history/about', [{ id: 1 }]);
+
+    expect(storage.backend).toBe(backend);
+    expect(await storage.read('about')).toEqual({ content: 'About' });
+    expect(await storage.read('missing')).toBeNull();
+    expect(await storage.has('about')).toBe(true);
+    expect(await storage.list()).toEqual(['about', 'history/about']);
+    expect(await storage.list('history/')).toEqual(['history/about']);
+
+    await storage.remove('about');
+    expect(await storage.has('about')).toBe(false);
+    await storage.clear();
+    expect(await storage.list()).toEqual([]);
+  });
+
+  test('never shares objects with callers', async () => {
+    const value = { skills: ['Node.js'] };
+    await storage.write('skills', value);
+    value.skills.push('Changed');
+
+    const read = await storage.read('skills');
+    read.skills.push('Changed too');
+    expect(await storage.read('skills')).toEqual({ skills: ['Node.js'] });
+  });
+
+  test('writes all documents of a batch or none of them', async () => {
+    await storage.writeMany([{ key: 'about', value: { content: 'About' } }, { key: 'contact', value: { email: 'a@b.c' } }]);
+    expect(await storage.read('contact')).toEqual({ email: 'a@b.c' });
+
+    // BigInts can't be serialized as JSON
+    await expect(storage.writeMany([
+      { key: 'about', value: { content: 'Changed' } },
+      { key: 'projects', value: { count: 1n } }
+    ])).rejects.toThrow();
+    expect(await storage.read('about')).toEqual({ content: 'About' });
+    expect(await storage.has('projects')).toBe(false);
+  });
+});
+
+describe('storage selection', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(os.tmpdir(), 'portfolio-storage-'));
+    process.env.DATA_DIR = dir;
+  });
+
+  afterEach(async () => {
+    delete process.env.DATA_DIR;
+    delete process.env.STORAGE_BACKEND;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('keeps the documents of the configured backend across restarts', async () => {
+    process.env.STORAGE_BACKEND = 'sqlite';
+    await createStorage().write('about', { content: 'Persisted' });
+
+    const restarted = createStorage();
+    expect(restarted.backend).toBe('sqlite');
+    expect(await restarted.read('about')).toEqual({ content: 'Persisted' });
+    expect(await createStorage('file').read('about')).toBeNull();
+  });
+
+  test('rejects unknown backends', () => {
+    expect(() => createStorage('mongodb')).toThrow('Unknown storage backend: mongodb');
+  });
+});
\ No newline at end of file
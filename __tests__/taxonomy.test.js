@@ -0,0 +1,93 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+
+describe('skill taxonomy access', () => {
+  let app;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  const createToken = async (scopes) => {
+    const res = await request(app).post('/api/auth/tokens').set('Authorization', auth).send({ name: 'taxonomy', scopes });
+    expect(res.status).toBe(201);
+    return `Bearer ${res.body.token}`;
+  };
+
+  test('lets tokens with the read scope read the taxonomy but not change it', async () => {
+    const reader = await createToken(['taxonomy:read']);
+
+    const taxonomy = await request(app).get('/api/taxonomy').set('Authorization', reader);
+    expect(taxonomy.status).toBe(200);
+    expect(taxonomy.body.roles.length).toBeGreaterThan(0);
+    expect((await request(app).get('/api/taxonomy/explain?skill=React').set('Authorization', reader)).status).toBe(200);
+
+    const denied = await request(app).put('/api/taxonomy').set('Authorization', reader).send(taxonomy.body);
+    expect(denied.status).toBe(403);
+    expect(denied.body.missingScopes).toEqual(['taxonomy:write']);
+  });
+
+  test('needs the read scope to read it and a sign-in for anything', async () => {
+    const writer = await createToken(['taxonomy:write']);
+    expect((await request(app).post('/api/taxonomy/reset').set('Authorization', writer)).status).toBe(200);
+
+    const denied = await request(app).get('/api/taxonomy').set('Authorization', writer);
+    expect(denied.status).toBe(403);
+    expect(denied.body.missingScopes).toEqual(['taxonomy:read']);
+    expect((await request(app).get('/api/taxonomy')).status).toBe(401);
+  });
+});
+
+describe('skill taxonomy management', () => {
+  let app;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  const mobileRole = { name: 'Mobile Development', subcategories: [{ name: 'Frameworks', keywords: ['flutter', 'react native'] }] };
+
+  const addRole = (role) => request(app).post('/api/taxonomy/roles').set('Authorization', auth).send(role);
+
+  test('adds roles that the skills structure and imports use', async () => {
+    expect((await addRole(mobileRole)).status).toBe(200);
+
+    const structure = await request(app).get('/api/portfolio/skills/structure');
+    expect(structure.body.availableRoles).toContain('Mobile Development');
+
+    // Saved preferences apply to every import
+    await request(app)
+      .post('/api/linkedin/configure-categorization')
+      .set('Authorization', auth)
+      .send({ categorization: { minSkillsForSubcategory: 5, categoryOverrides: { 'Mobile Development': 'subcategories' } } });
+
+    const res = await request(app)
+      .post('/api/linkedin/imports')
+      .set('Authorization', auth)
+      .attach('files', Buffer.from('Name\nFlutter\nReact\nVue'), 'Skills.csv');
+    expect(res.body.session.portfolioData.skills.skillCategories).toEqual({
+      'Frontend Development': [{ name: 'React', level: 'intermediate' }, { name: 'Vue', level: 'intermediate' }],
+      'Mobile Development': { Frameworks: [{ name: 'Flutter', level: 'intermediate' }] }
+    });
+  });
+
+  test('rejects duplicate and invalid roles and answers 404 to unknown ones', async () => {
+    await addRole(mobileRole);
+    expect((await addRole(mobileRole)).status).toBe(409);
+    expect((await addRole({ subcategories: [] })).status).toBe(400);
+    expect((await request(app).delete('/api/taxonomy/roles/Unknown').set('Authorization', auth)).status).toBe(404);
+  });
+
+  test('deletes roles and restores the defaults', async () => {
+    await addRole(mobileRole);
+    expect((await request(app).delete('/api/taxonomy/roles/Mobile%20Development').set('Authorization', auth)).status).toBe(200);
+
+    const reset = await request(app).post('/api/taxonomy/reset').set('Authorization', auth);
+    expect(reset.status).toBe(200);
+    expect(reset.body.taxonomy.roles.map(role => role.name)).not.toContain('Mobile Development');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+import request from 'supertest';
+import { createTestApp, adminAuth } from './helpers/app.js';
+
+const projects = [
+  { name: 'Public Project', description: 'A project everyone can see', technologies: [] },
+  { name: 'Confidential Project', description: 'A project only admins can see', technologies: [], hidden: true }
+];
+
+const contact = {
+  email: 'jane@example.com',
+  phone: '+49 30 1234567',
+  socialLinks: [
+    { platform: 'github', url: 'https://github.com/jane' },
+    { platform: 'twitter', url: 'https://twitter.com/jane', hidden: true }
+  ],
+  hiddenFields: ['phone']
+};
+
+describe('hidden content', () => {
+  let app;
+  let auth;
+
+  beforeEach(async () => {
+    ({ app } = await createTestApp());
+    auth = await adminAuth(app);
+  });
+
+  const publish = (section, data) => request(app)
+    .put(`/api/portfolio/${section}?publish=true`)
+    .set('Authorization', auth)
+    .send(data);
+
+  test('is left out of public responses, flags included', async () => {
+    expect((await publish('projects', { projects })).status).toBe(200);
+    expect((await publish('contact', contact)).status).toBe(200);
+
+    const publicProjects = await request(app).get('/api/portfolio/projects');
+    expect(publicProjects.body.projects).toEqual([projects[0]]);
+
+    const publicContact = await request(app).get('/api/portfolio/contact');
+    expect(publicContact.body).toEqual({ email: contact.email, socialLinks: [contact.socialLinks[0]] });
+
+    const portfolio = await request(app).get('/api/portfolio');
+    expect(portfolio.body.projects.projects).toEqual([projects[0]]);
+    expect(portfolio.body.contact.phone).toBeUndefined();
+  });
+
+  test('is shown to admins with its flags', async () => {
+    await publish('projects', { projects });
+    await publish('contact', contact);
+
+    const res = await request(app).get('/api/portfolio/projects').set('Authorization', auth);
+    expect(res.body.projects).toEqual(projects);
+    expect((await request(app).get('/api/portfolio/contact').set('Authorization', auth)).body).toEqual(contact);
+  });
+
+  test('can only be flagged on supported fields', async () => {
+    const res = await publish('contact', { ...contact, hiddenFields: ['address'] });
+    expect(res.status).toBe(400);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,7 @@
+// Image types that can be uploaded, with the file extension they are stored with
+export const MediaTypes = Object.freeze({
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+  });
\ No newline at end of file
@@ -0,0 +1,5 @@
+export const MergeStrategies = Object.freeze({
+    REPLACE: 'replace',
+    APPEND: 'append',
+    MERGE: 'merge'
+  });
\ No newline at end of file
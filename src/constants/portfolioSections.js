@@ -0,0 +1,9 @@
+export const PortfolioSections = Object.freeze([
+    'personalInfo',
+    'about',
+    'skills',
+    'experience',
+    'education',
+    'projects',
+    'contact'
+  ]);
\ No newline at end of file
@@ -0,0 +1,35 @@
+// Layouts the CV can be rendered with (GET /api/portfolio/resume?template=...).
+// PDFs use the standard PDF fonts, so no font files are needed.
+export const ResumeTemplates = Object.freeze({
+    classic: Object.freeze({
+      description: 'Serif, one column, about first',
+      sections: ['about', 'experience', 'education', 'skills', 'projects'],
+      pdf: { font: 'Times-Roman', boldFont: 'Times-Bold', fontSize: 11, accentColor: '#222222' },
+      css: { fontFamily: 'Georgia, "Times New Roman", serif', fontSize: '11pt', accentColor: '#222222' }
+    }),
+    modern: Object.freeze({
+      description: 'Sans-serif with a colored accent, skills before experience',
+      sections: ['about', 'skills', 'experience', 'projects', 'education'],
+      pdf: { font: 'Helvetica', boldFont: 'Helvetica-Bold', fontSize: 10, accentColor: '#1d4ed8' },
+      css: { fontFamily: '"Helvetica Neue", Arial, sans-serif', fontSize: '10pt', accentColor: '#1d4ed8' }
+    }),
+    compact: Object.freeze({
+      description: 'Small type, skills listed inline, fits more on a page',
+      sections: ['experience', 'skills', 'education', 'projects'],
+      inlineSkills: true,
+      pdf: { font: 'Helvetica', boldFont: 'Helvetica-Bold', fontSize: 9, accentColor: '#444444' },
+      css: { fontFamily: 'Arial, sans-serif', fontSize: '9pt', accentColor: '#444444' }
+    })
+  });
+
+export const DEFAULT_RESUME_TEMPLATE = 'classic';
+
+// Sections a CV can contain. Personal info and contact details always make up the header.
+export const ResumeSections = Object.freeze(['about', 'experience', 'education', 'skills', 'projects']);
+
+// Output formats and their content types
+export const ResumeFormats = Object.freeze({
+    html: 'text/html',
+    pdf: 'application/pdf',
+    markdown: 'text/markdown'
+  });
\ No newline at end of file
@@ -0,0 +1,4 @@
+export const Roles = Object.freeze({
+    ADMIN: 'admin',
+    EDITOR: 'editor'
+  });
\ No newline at end of file
@@ -0,0 +1,36 @@
+import { PortfolioSections } from './portfolioSections.js';
+import { Roles } from './roles.js';
+
+// Scopes that aren't tied to a portfolio section
+export const Scopes = Object.freeze({
+    HISTORY_READ: 'history:read',
+    DRAFTS_READ: 'drafts:read',
+    HIDDEN_READ: 'hidden:read',
+    LINKEDIN_IMPORT: 'linkedin:import',
+    JSON_RESUME_IMPORT: 'json-resume:import',
+    TAXONOMY_READ: 'taxonomy:read',
+    TAXONOMY_WRITE: 'taxonomy:write',
+    PROFILES_WRITE: 'profiles:write',
+    MEDIA_WRITE: 'media:write',
+    MESSAGES_READ: 'messages:read',
+    MESSAGES_MANAGE: 'messages:manage',
+    TRANSLATIONS_READ: 'translations:read',
+    TOKENS_MANAGE: 'tokens:manage',
+    ACCOUNT_MANAGE: 'account:manage',
+    DATA_RESET: 'data:reset'
+  });
+
+// Scope needed to change a portfolio section, e.g. "projects:write"
+export const getSectionWriteScope = (section) => `${section}:write`;
+
+export const AllScopes = Object.freeze([
+    ...PortfolioSections.map(getSectionWriteScope),
+    ...Object.values(Scopes)
+  ]);
+
+// Scopes granted by each role. Editors manage content but not data, tokens or credentials.
+export const RoleScopes = Object.freeze({
+    [Roles.ADMIN]: AllScopes,
+    [Roles.EDITOR]: AllScopes.filter(scope =>
+      ![Scopes.DATA_RESET, Scopes.TOKENS_MANAGE, Scopes.ACCOUNT_MANAGE].includes(scope))
+  });
\ No newline at end of file
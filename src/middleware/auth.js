@@ -1,6 +1,24 @@
-import jwt from 'jsonwebtoken';
+import { getStorage } from '../storage/index.js';
+import { isAccessTokenRevoked, verifyAccessToken } from '../utils/authTokens.js';
+import { getTokenScopes, isApiToken, verifyApiToken } from '../utils/apiTokens.js';
 
-export const authenticateToken = (req, res, next) => {
+// Helper function to authenticate a named API token ("pat_...")
+const authenticateApiToken = async (req, res, next, token) => {
+  const apiToken = await verifyApiToken(getStorage(), token);
+  if (!apiToken) {
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+
+  req.user = {
+    sub: `token:${apiToken.name}`,
+    role: apiToken.role,
+    tokenId: apiToken.id,
+    scopes: getTokenScopes(apiToken)
+  };
+  next();
+};
+
+export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -8,11 +26,70 @@ export const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'No token provided' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
+  if (isApiToken(token)) {
+    try {
+      return await authenticateApiToken(req, res, next, token);
+    } catch (error) {
+      console.error('Error checking API token:', error);
+      return res.status(500).json({ error: 'Error checking token' });
     }
-    req.user = user;
-    next();
-  });
-}; 
\ No newline at end of file
+  }
+
+  let user;
+  try {
+    user = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+
+  try {
+    // Tokens revoked by logout or a password change
+    if (await isAccessTokenRevoked(getStorage(), user)) {
+      return res.status(403).json({ error: 'Token has been revoked' });
+    }
+  } catch (error) {
+    console.error('Error checking token revocation:', error);
+    return res.status(500).json({ error: 'Error checking token' });
+  }
+
+  req.user = { ...user, scopes: getTokenScopes({ role: user.role }) };
+  next();
+};
+
+/**
+ * Authenticate the request if it carries a token, otherwise let it through anonymously.
+ * For public routes that show more to signed-in users.
+ */
+export const authenticateOptional = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  return authenticateToken(req, res, next);
+};
+
+/**
+ * Scopes of a list that the request's token doesn't have
+ */
+export const getMissingScopes = (req, scopes) =>
+  scopes.filter(scope => !req.user?.scopes?.includes(scope));
+
+/**
+ * Only let requests through whose token has every required scope. Use after authenticateToken.
+ * Scopes are given as strings, or as a function of the request returning one or more scopes
+ * (e.g. the write scope of the section in the URL).
+ */
+export const requireScope = (...required) => (req, res, next) => {
+  const scopes = required.flatMap(scope => (typeof scope === 'function' ? scope(req) : scope));
+  const missing = getMissingScopes(req, scopes);
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      missingScopes: missing
+    });
+  }
+  next();
+};
+
+// Identify who made a change, for revision history
+export const getRequestAuthor = (req) => req.user?.sub || req.user?.role || 'anonymous';
\ No newline at end of file
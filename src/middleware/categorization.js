@@ -0,0 +1,16 @@
+import { parseCategorization } from '../utils/importData.js';
+
+/**
+ * Read the skill categorization preferences of an import request (req.categorization)
+ */
+export const parseCategorizationPreferences = (req, res, next) => {
+  try {
+    req.categorization = parseCategorization(req.body.categorization);
+    next();
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid categorization preferences',
+      details: error.message
+    });
+  }
+};
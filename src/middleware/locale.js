@@ -0,0 +1,26 @@
+import { getDefaultLocale, getSupportedLocales, matchLocale } from '../utils/localization.js';
+
+// "lang" value asking for text with every translation instead of one locale
+const ALL_LOCALES = 'all';
+
+/**
+ * Choose the locale of localized text in a response (req.locale): the "lang" query
+ * parameter, else the best match of the Accept-Language header, else the default locale.
+ * With allowAll, "?lang=all" sets req.locale to null to get every translation
+ * (e.g. for editing).
+ */
+export const negotiateLocale = ({ allowAll = false } = {}) => (req, res, next) => {
+  const { lang } = req.query;
+  res.vary('Accept-Language');
+  if (allowAll && lang === ALL_LOCALES) {
+    req.locale = null;
+    return next();
+  }
+
+  const supported = getSupportedLocales();
+  req.locale = (typeof lang === 'string' && matchLocale(lang, supported)) ||
+    req.acceptsLanguages(...supported) ||
+    getDefaultLocale();
+  res.set('Content-Language', req.locale);
+  next();
+};
\ No newline at end of file
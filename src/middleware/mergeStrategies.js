@@ -0,0 +1,16 @@
+import { resolveMergeStrategies } from '../utils/importMerge.js';
+
+/**
+ * Read the per-section merge strategies (replace, append or merge) of an import request
+ */
+export const parseMergeStrategies = (req, res, next) => {
+  try {
+    req.getMergeStrategy = resolveMergeStrategies(req.body.mergeStrategies);
+    next();
+  } catch (error) {
+    res.status(400).json({ 
+      error: 'Invalid merge strategies',
+      details: error.message 
+    });
+  }
+};
\ No newline at end of file
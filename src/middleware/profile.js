@@ -0,0 +1,26 @@
+import { getStorage } from '../storage/index.js';
+import { getDefaultProfile, getProfile, getProfileStorage } from '../utils/profiles.js';
+
+// Helper function to attach a profile and its storage to the request
+const useProfile = async (req, res, next, slug) => {
+  try {
+    const storage = getStorage();
+    const profile = await getProfile(storage, slug);
+    if (!profile) {
+      return res.status(404).json({ error: `Profile not found: ${slug}` });
+    }
+
+    req.profile = profile;
+    req.storage = getProfileStorage(storage, slug);
+    next();
+  } catch (error) {
+    console.error('Error resolving profile:', error);
+    res.status(500).json({ error: 'Error resolving profile' });
+  }
+};
+
+// Serve the profile named in the URL (/api/profiles/:slug/...)
+export const resolveProfile = (req, res, next) => useProfile(req, res, next, req.params.slug);
+
+// Serve the configured default profile (/api/portfolio, /api/linkedin)
+export const useDefaultProfile = (req, res, next) => useProfile(req, res, next, getDefaultProfile());
\ No newline at end of file
@@ -0,0 +1,41 @@
+// Clients tracked before expired windows are swept
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * Limit how many requests each client (IP address, taken from X-Forwarded-For only behind
+ * a trusted proxy, see TRUST_PROXY) may make in a time window.
+ * Counts are kept in memory, a restart clears them. Answers 429 with Retry-After when exceeded.
+ *
+ * @param {Object} options { windowMs, max: number or function returning it (read per request), message }
+ */
+export const rateLimit = ({ windowMs, max, message = 'Too many requests, please try again later' }) => {
+  // Requests per client in the current window: { count, resetAt }
+  const hits = new Map();
+
+  const sweep = (now) => {
+    for (const [client, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(client);
+      }
+    }
+  };
+
+  return (req, res, next) => {
+    const now = Date.now();
+    if (hits.size >= SWEEP_THRESHOLD) {
+      sweep(now);
+    }
+
+    const entry = hits.get(req.ip);
+    const current = entry && entry.resetAt > now ? entry : { count: 0, resetAt: now + windowMs };
+    current.count += 1;
+    hits.set(req.ip, current);
+
+    const limit = typeof max === 'function' ? max() : max;
+    if (current.count > limit) {
+      res.set('Retry-After', String(Math.ceil((current.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+};
\ No newline at end of file
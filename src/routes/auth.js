@@ -0,0 +1,217 @@
+import express from 'express';
+import { authenticateToken, getRequestAuthor, requireScope } from '../middleware/auth.js';
+import { Roles } from '../constants/roles.js';
+import { Scopes } from '../constants/scopes.js';
+import { getStorage } from '../storage/index.js';
+import { apiTokenSchema, passwordChangeSchema, validateWith } from '../validation/schemas.js';
+import {
+  issueRefreshToken,
+  revokeAccessToken,
+  revokeAllRefreshTokens,
+  revokeRefreshToken,
+  rotateRefreshToken,
+  signAccessToken
+} from '../utils/authTokens.js';
+import { createApiToken, getTokenScopes, listApiTokens, revokeApiToken } from '../utils/apiTokens.js';
+import { changeAdminPassword, verifyAdminPassword } from '../utils/credentials.js';
+import { getLockoutRemainingMs, recordLoginFailure, resetLoginFailures } from '../utils/loginThrottle.js';
+
+const router = express.Router();
+
+// Helper function to issue an access token and a refresh token
+const issueTokens = async (storage, claims, refreshToken) => {
+  const accessToken = signAccessToken(claims);
+  const refresh = refreshToken || await issueRefreshToken(storage, claims);
+  return {
+    token: accessToken.token,
+    expiresAt: accessToken.expiresAt,
+    refreshToken: refresh.token,
+    refreshExpiresAt: refresh.expiresAt
+  };
+};
+
+// Helper function to answer 429 while a client is locked out after failed logins
+const rejectIfLockedOut = (req, res) => {
+  const remainingMs = getLockoutRemainingMs(req.ip);
+  if (remainingMs > 0) {
+    const retryAfter = Math.ceil(remainingMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: `Too many failed attempts, try again in ${retryAfter} seconds` });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * POST /api/login (also POST /api/auth/login)
+ * Exchange the admin password for an access token and a refresh token
+ */
+export const login = async (req, res) => {
+  try {
+    if (rejectIfLockedOut(req, res)) return;
+
+    const { password } = req.body;
+    const storage = getStorage();
+
+    if (!password || !(await verifyAdminPassword(storage, password))) {
+      recordLoginFailure(req.ip);
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    resetLoginFailures(req.ip);
+    res.json(await issueTokens(storage, { sub: 'admin', role: Roles.ADMIN }));
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Error logging in' });
+  }
+};
+
+router.post('/login', login);
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * The old refresh token can't be used again.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const storage = getStorage();
+    const rotated = await rotateRefreshToken(storage, refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(await issueTokens(storage, rotated.claims, rotated.refreshToken));
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Error refreshing token' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the access token used for the request and, if given, the refresh token
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const storage = getStorage();
+    await revokeAccessToken(storage, req.user);
+    if (req.body.refreshToken) {
+      await revokeRefreshToken(storage, req.body.refreshToken);
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Error logging out' });
+  }
+});
+
+/**
+ * PUT /api/auth/password
+ * Change the admin password. Every refresh token is revoked, so other sessions
+ * have to log in again once their access token expires; the caller gets new tokens.
+ */
+router.put('/password', authenticateToken, requireScope(Scopes.ACCOUNT_MANAGE), async (req, res) => {
+  try {
+    if (rejectIfLockedOut(req, res)) return;
+
+    const { error, value } = validateWith(passwordChangeSchema, req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const storage = getStorage();
+    if (!(await verifyAdminPassword(storage, value.currentPassword))) {
+      recordLoginFailure(req.ip);
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await changeAdminPassword(storage, value.newPassword);
+    await revokeAllRefreshTokens(storage);
+    await revokeAccessToken(storage, req.user);
+
+    res.json({
+      message: 'Password changed successfully, other sessions have been logged out',
+      ...(await issueTokens(storage, { sub: req.user.sub, role: req.user.role }))
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Error changing password' });
+  }
+});
+
+/**
+ * GET /api/auth/tokens
+ * List API tokens (without their secrets)
+ */
+router.get('/tokens', authenticateToken, requireScope(Scopes.TOKENS_MANAGE), async (req, res) => {
+  try {
+    res.json({ tokens: await listApiTokens(getStorage()) });
+  } catch (error) {
+    console.error('Error listing API tokens:', error);
+    res.status(500).json({ error: 'Error listing API tokens' });
+  }
+});
+
+/**
+ * POST /api/auth/tokens
+ * Create a named API token with a role or a list of scopes, e.g.
+ * { "name": "ci", "scopes": ["projects:write"], "expiresInDays": 90 }.
+ * The token is only shown in this response.
+ */
+router.post('/tokens', authenticateToken, requireScope(Scopes.TOKENS_MANAGE), async (req, res) => {
+  try {
+    const { error, value } = validateWith(apiTokenSchema, req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    // A token can't be given more power than the one creating it
+    const exceeding = getTokenScopes(value).filter(scope => !req.user.scopes.includes(scope));
+    if (exceeding.length > 0) {
+      return res.status(403).json({
+        error: 'Cannot grant scopes you do not have',
+        missingScopes: exceeding
+      });
+    }
+
+    const { token, apiToken } = await createApiToken(getStorage(), { ...value, author: getRequestAuthor(req) });
+    res.status(201).json({
+      message: `API token ${apiToken.name} created, store it now as it won't be shown again`,
+      token,
+      apiToken
+    });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Error creating API token' });
+  }
+});
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * Revoke an API token
+ */
+router.delete('/tokens/:id', authenticateToken, requireScope(Scopes.TOKENS_MANAGE), async (req, res) => {
+  try {
+    if (!(await revokeApiToken(getStorage(), req.params.id))) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+    res.json({ message: 'API token revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Error revoking API token' });
+  }
+});
+
+export default router;
\ No newline at end of file
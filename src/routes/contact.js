@@ -0,0 +1,132 @@
+import express from 'express';
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { Scopes } from '../constants/scopes.js';
+import { contactMessageSchema, contactMessageUpdateSchema, validateWith } from '../validation/schemas.js';
+import { createMessage, deleteMessage, getMessage, listMessages, markMessage } from '../utils/contactMessages.js';
+import { isMailConfigured, sendContactMessageEmail } from '../utils/mailer.js';
+
+const router = express.Router();
+
+const DEFAULT_RATE_LIMIT = 5;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+// Messages each IP address may send per hour (CONTACT_RATE_LIMIT, defaults to 5)
+const getRateLimit = () => {
+  const limit = parseInt(process.env.CONTACT_RATE_LIMIT, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_RATE_LIMIT;
+};
+
+const limitSubmissions = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: getRateLimit,
+  message: 'Too many messages, please try again later'
+});
+
+// Helper function to email a new message if SMTP is configured. Failures are only logged:
+// the message is stored either way.
+const notifyByEmail = async (message, storage) => {
+  if (!isMailConfigured()) {
+    return;
+  }
+  try {
+    const contact = await storage.read('contact');
+    await sendContactMessageEmail(message, contact?.email);
+  } catch (error) {
+    console.error('Error emailing contact message:', error);
+  }
+};
+
+// Send a message with the contact form (public, rate limited per IP)
+router.post('/messages', limitSubmissions, async (req, res) => {
+  try {
+    const { error, value } = validateWith(contactMessageSchema, req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    // Honeypot filled in: pretend it worked so the bot moves on
+    if (value.website) {
+      return res.status(201).json({ message: 'Message sent successfully' });
+    }
+
+    const message = await createMessage(req.storage, value);
+    notifyByEmail(message, req.storage);
+
+    res.status(201).json({ message: 'Message sent successfully' });
+  } catch (error) {
+    console.error('Error saving contact message:', error);
+    res.status(500).json({ error: 'Error sending message' });
+  }
+});
+
+// List messages, newest first (?unread=true for the unread ones only)
+router.get('/messages', authenticateToken, requireScope(Scopes.MESSAGES_READ), async (req, res) => {
+  try {
+    const { unread } = req.query;
+    const messages = await listMessages(req.storage, {
+      unread: unread === undefined ? undefined : unread === 'true'
+    });
+    res.json({
+      messages,
+      unreadCount: messages.filter(message => !message.readAt).length
+    });
+  } catch (error) {
+    console.error('Error listing contact messages:', error);
+    res.status(500).json({ error: 'Error listing messages' });
+  }
+});
+
+// Get a message
+router.get('/messages/:id', authenticateToken, requireScope(Scopes.MESSAGES_READ), async (req, res) => {
+  try {
+    const message = await getMessage(req.storage, req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json(message);
+  } catch (error) {
+    console.error('Error reading contact message:', error);
+    res.status(500).json({ error: 'Error reading message' });
+  }
+});
+
+// Mark a message read or unread ({ read: true | false })
+router.patch('/messages/:id', authenticateToken, requireScope(Scopes.MESSAGES_MANAGE), async (req, res) => {
+  try {
+    const { error, value } = validateWith(contactMessageUpdateSchema, req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const message = await markMessage(req.storage, req.params.id, value.read);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json(message);
+  } catch (error) {
+    console.error('Error updating contact message:', error);
+    res.status(500).json({ error: 'Error updating message' });
+  }
+});
+
+// Delete a message
+router.delete('/messages/:id', authenticateToken, requireScope(Scopes.MESSAGES_MANAGE), async (req, res) => {
+  try {
+    if (!(await deleteMessage(req.storage, req.params.id))) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json({ message: 'Message deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting contact message:', error);
+    res.status(500).json({ error: 'Error deleting message' });
+  }
+});
+
+export default router;
\ No newline at end of file
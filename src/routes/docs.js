@@ -0,0 +1,20 @@
+import express from 'express';
+import swaggerUi from 'swagger-ui-express';
+import { buildOpenApiDocument } from '../utils/openApi.js';
+
+const router = express.Router();
+
+// Built once: it only depends on the routes and schemas
+const openApiDocument = buildOpenApiDocument();
+
+// OpenAPI document, for generating clients
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Interactive API documentation
+router.use('/', swaggerUi.serve, swaggerUi.setup(openApiDocument, {
+  customSiteTitle: 'Dev Portfolio API'
+}));
+
+export default router;
\ No newline at end of file
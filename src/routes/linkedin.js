@@ -1,10 +1,35 @@
 import express from 'express';
 import multer from 'multer';
-import { authenticateToken } from '../middleware/auth.js';
-import { writeSectionData } from './portfolio.js';
+import { authenticateToken, getRequestAuthor, requireScope } from '../middleware/auth.js';
+import { parseMergeStrategies } from '../middleware/mergeStrategies.js';
+import { parseCategorizationPreferences } from '../middleware/categorization.js';
+import { saveImportedSections } from '../utils/sectionData.js';
+import { PortfolioSections } from '../constants/portfolioSections.js';
+import { Scopes } from '../constants/scopes.js';
+import { readCsv } from '../utils/csvReader.js';
+import { extractLinkedInArchive, getLinkedInFileType } from '../utils/linkedinArchive.js';
+import { normalizeLinkedInDate, mapLinkedInLocation } from '../utils/linkedinNormalize.js';
+import { DEFAULT_SKILL_TAXONOMY, getRoleNames, getSkillTaxonomy } from '../utils/skillTaxonomy.js';
+import {
+  DEFAULT_CATEGORIZATION,
+  groupSkills,
+  prepareImport,
+  validateImport
+} from '../utils/importData.js';
+import { createSession, getSession, listSessions, saveSession, deleteSession } from '../utils/importSessions.js';
+import { getDraft } from '../utils/drafts.js';
+import { categorizationSchema, validateWith } from '../validation/schemas.js';
+import { getStorage } from '../storage/index.js';
 
 const router = express.Router();
 
+const isCsvFile = (file) =>
+  file.mimetype === 'text/csv' || file.originalname.endsWith('.csv');
+
+const isZipFile = (file) =>
+  ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype) ||
+  file.originalname.toLowerCase().endsWith('.zip');
+
 // Configure multer for CSV file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -13,7 +38,7 @@ const upload = multer({
     files: 10 // Max 10 files
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    if (isCsvFile(file)) {
       cb(null, true);
     } else {
       cb(new Error('Only CSV files are allowed'), false);
@@ -21,11 +46,80 @@ const upload = multer({
   }
 });
 
+// Configure multer for LinkedIn data export archives
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (isZipFile(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only ZIP archives are allowed'), false);
+    }
+  }
+});
+
+// Configure multer for import sessions: CSV files ("files") and/or an archive ("archive")
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+    files: 11
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname === 'archive' ? isZipFile(file) : isCsvFile(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files and ZIP archives are allowed'), false);
+    }
+  }
+}).fields([
+  { name: 'files', maxCount: 10 },
+  { name: 'archive', maxCount: 1 }
+]);
+
+// Which portfolio sections each LinkedIn export file feeds
+const FILE_TYPE_SECTIONS = {
+  profile: ['personalInfo', 'about'],
+  positions: ['experience'],
+  skills: ['skills'],
+  education: ['education'],
+  projects: ['projects'],
+  certifications: [],
+  languages: []
+};
+
+/**
+ * Describe which files of an archive were recognised, used for the portfolio or ignored
+ */
+function buildArchiveReport(csvData, files, ignored, portfolioData) {
+  const recognised = files.map(file => {
+    const type = getLinkedInFileType(file.originalname);
+    const data = csvData[type];
+    return {
+      file: file.originalname,
+      type,
+      rows: Array.isArray(data) ? data.length : (data ? 1 : 0)
+    };
+  });
+
+  return {
+    recognised,
+    used: recognised
+      .filter(({ type }) => FILE_TYPE_SECTIONS[type].some(section => portfolioData[section]))
+      .map(({ file }) => file),
+    ignored
+  };
+}
+
 /**
  * POST /api/linkedin/preview-csv
  * Preview CSV data without saving
  */
-router.post('/preview-csv', authenticateToken, upload.array('files', 10), async (req, res) => {
+router.post('/preview-csv', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), upload.array('files', 10), parseMergeStrategies, parseCategorizationPreferences, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ 
@@ -33,19 +127,17 @@ router.post('/preview-csv', authenticateToken, upload.array('files', 10), async
       });
     }
 
-    const csvData = await parseLinkedInCSV(req.files);
-    const categorization = req.body.categorization || {
-      useSubcategories: true,
-      minSkillsForSubcategory: 3,
-      categoryOverrides: {}
-    };
-    const portfolioData = transformLinkedInData(csvData, categorization);
+    const { csvData, errors } = await parseLinkedInCSV(req.files);
+    const { portfolioData, conflicts, validation } = await prepareLinkedInImport(csvData, req);
     
     res.json({ 
       message: 'CSV data preview',
       portfolioData,
       sections: Object.keys(portfolioData),
-      fileCount: req.files.length
+      fileCount: req.files.length,
+      conflicts,
+      validation,
+      errors
     });
   } catch (error) {
     console.error('Error previewing CSV data:', error);
@@ -58,9 +150,9 @@ router.post('/preview-csv', authenticateToken, upload.array('files', 10), async
 
 /**
  * POST /api/linkedin/upload-csv
- * Upload and import CSV files
+ * Upload and import CSV files (saved as drafts unless ?publish=true)
  */
-router.post('/upload-csv', authenticateToken, upload.array('files', 10), async (req, res) => {
+router.post('/upload-csv', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), upload.array('files', 10), parseMergeStrategies, parseCategorizationPreferences, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ 
@@ -68,27 +160,48 @@ router.post('/upload-csv', authenticateToken, upload.array('files', 10), async (
       });
     }
 
-    const csvData = await parseLinkedInCSV(req.files);
-    const categorization = req.body.categorization || {
-      useSubcategories: true,
-      minSkillsForSubcategory: 3,
-      categoryOverrides: {}
-    };
-    const portfolioData = transformLinkedInData(csvData, categorization);
+    const { csvData, errors } = await parseLinkedInCSV(req.files);
+    const { portfolioData, conflicts, validation } = await prepareLinkedInImport(csvData, req);
     
-    // Save to portfolio sections
-    await saveToPortfolio(portfolioData);
+    if (!validation.valid) {
+      return res.status(400).json({ 
+        error: 'Imported data failed validation, no sections were changed',
+        conflicts,
+        validation,
+        errors
+      });
+    }
+
+    // Save to portfolio sections, all or nothing
+    let saved;
+    try {
+      saved = await saveToPortfolio(portfolioData, {
+        publish: req.query.publish === 'true',
+        author: getRequestAuthor(req),
+        source: 'linkedin-import'
+      }, req.storage);
+    } catch (error) {
+      console.error('Error saving imported CSV data:', error);
+      return res.status(500).json({ 
+        error: 'Failed to save imported data, no sections were changed',
+        details: error.message 
+      });
+    }
     
     res.json({ 
-      message: 'LinkedIn CSV data imported successfully',
-      sections: Object.keys(portfolioData),
+      message: saved.published ? 'LinkedIn CSV data imported successfully' : 'LinkedIn CSV data imported as drafts',
+      sections: saved.published ? Object.keys(saved.revisions) : saved.drafts.map(draft => draft.section),
+      ...saved,
       fileCount: req.files.length,
       importedData: {
         profile: csvData.profile ? 'Yes' : 'No',
         positions: csvData.positions?.length || 0,
         skills: csvData.skills?.length || 0,
         education: csvData.education?.length || 0
-      }
+      },
+      conflicts,
+      validation,
+      errors
     });
   } catch (error) {
     console.error('Error importing CSV data:', error);
@@ -100,365 +213,615 @@ router.post('/upload-csv', authenticateToken, upload.array('files', 10), async (
 });
 
 /**
- * Parse LinkedIn CSV files
+ * POST /api/linkedin/preview-zip
+ * Preview a LinkedIn data export archive without saving
+ */
+router.post('/preview-zip', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), archiveUpload.single('archive'), parseMergeStrategies, parseCategorizationPreferences, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        error: 'No ZIP archive uploaded' 
+      });
+    }
+
+    let archive;
+    try {
+      archive = extractLinkedInArchive(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: 'Invalid LinkedIn archive',
+        details: error.message 
+      });
+    }
+    const { files, ignored } = archive;
+    const { csvData, errors } = await parseLinkedInCSV(files);
+    const { portfolioData, conflicts, validation } = await prepareLinkedInImport(csvData, req);
+    
+    res.json({ 
+      message: 'LinkedIn archive preview',
+      portfolioData,
+      sections: Object.keys(portfolioData),
+      archive: buildArchiveReport(csvData, files, ignored, portfolioData),
+      conflicts,
+      validation,
+      errors
+    });
+  } catch (error) {
+    console.error('Error previewing LinkedIn archive:', error);
+    res.status(500).json({ 
+      error: 'Failed to preview LinkedIn archive',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/linkedin/upload-zip
+ * Upload and import a LinkedIn data export archive ("Get a copy of your data"),
+ * saved as drafts unless ?publish=true
+ */
+router.post('/upload-zip', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), archiveUpload.single('archive'), parseMergeStrategies, parseCategorizationPreferences, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        error: 'No ZIP archive uploaded' 
+      });
+    }
+
+    let archive;
+    try {
+      archive = extractLinkedInArchive(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: 'Invalid LinkedIn archive',
+        details: error.message 
+      });
+    }
+    const { files, ignored } = archive;
+    if (files.length === 0) {
+      return res.status(400).json({ 
+        error: 'The archive contains no known LinkedIn export files',
+        archive: { recognised: [], used: [], ignored }
+      });
+    }
+
+    const { csvData, errors } = await parseLinkedInCSV(files);
+    const { portfolioData, conflicts, validation } = await prepareLinkedInImport(csvData, req);
+    
+    if (!validation.valid) {
+      return res.status(400).json({ 
+        error: 'Imported data failed validation, no sections were changed',
+        conflicts,
+        validation,
+        errors
+      });
+    }
+
+    // Save to portfolio sections, all or nothing
+    let saved;
+    try {
+      saved = await saveToPortfolio(portfolioData, {
+        publish: req.query.publish === 'true',
+        author: getRequestAuthor(req),
+        source: 'linkedin-archive-import'
+      }, req.storage);
+    } catch (error) {
+      console.error('Error saving imported archive data:', error);
+      return res.status(500).json({ 
+        error: 'Failed to save imported data, no sections were changed',
+        details: error.message 
+      });
+    }
+    
+    res.json({ 
+      message: saved.published ? 'LinkedIn archive imported successfully' : 'LinkedIn archive imported as drafts',
+      sections: saved.published ? Object.keys(saved.revisions) : saved.drafts.map(draft => draft.section),
+      ...saved,
+      archive: buildArchiveReport(csvData, files, ignored, portfolioData),
+      conflicts,
+      validation,
+      errors
+    });
+  } catch (error) {
+    console.error('Error importing LinkedIn archive:', error);
+    res.status(500).json({ 
+      error: 'Failed to import LinkedIn archive',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/linkedin/imports
+ * Start a staged import: parse CSV files ("files") and/or a LinkedIn archive
+ * ("archive") into an import session that can be reviewed, edited and committed
+ */
+router.post('/imports', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), importUpload, parseMergeStrategies, parseCategorizationPreferences, async (req, res) => {
+  try {
+    const csvFiles = req.files?.files || [];
+    const archiveFile = req.files?.archive?.[0];
+
+    if (csvFiles.length === 0 && !archiveFile) {
+      return res.status(400).json({ 
+        error: 'No CSV files or ZIP archive uploaded' 
+      });
+    }
+
+    let files = csvFiles;
+    let archive = null;
+    if (archiveFile) {
+      try {
+        archive = extractLinkedInArchive(archiveFile.buffer);
+      } catch (error) {
+        return res.status(400).json({ 
+          error: 'Invalid LinkedIn archive',
+          details: error.message 
+        });
+      }
+      files = [...csvFiles, ...archive.files];
+    }
+
+    const { csvData, errors } = await parseLinkedInCSV(files);
+    const { portfolioData, conflicts, draftVersions, validation } = await prepareLinkedInImport(csvData, req);
+
+    const session = await createSession(req.storage, {
+      portfolioData,
+      conflicts,
+      draftVersions,
+      validation,
+      errors,
+      source: archiveFile ? 'linkedin-archive-import' : 'linkedin-import',
+      author: getRequestAuthor(req),
+      files: files.map(file => file.originalname)
+    });
+    
+    res.status(201).json({ 
+      message: 'Import session created',
+      session,
+      ...(archive ? { archive: buildArchiveReport(csvData, archive.files, archive.ignored, portfolioData) } : {})
+    });
+  } catch (error) {
+    console.error('Error creating import session:', error);
+    res.status(500).json({ 
+      error: 'Failed to create import session',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/linkedin/imports
+ * List open import sessions
+ */
+router.get('/imports', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), async (req, res) => {
+  try {
+    const sessions = await listSessions(req.storage);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Error listing import sessions:', error);
+    res.status(500).json({ 
+      error: 'Failed to list import sessions',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/linkedin/imports/:id
+ * Get an import session with its staged data
+ */
+router.get('/imports/:id', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), async (req, res) => {
+  try {
+    const session = await getSession(req.storage, req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Import session not found or expired' });
+    }
+    res.json(session);
+  } catch (error) {
+    console.error('Error reading import session:', error);
+    res.status(500).json({ 
+      error: 'Failed to read import session',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * PUT /api/linkedin/imports/:id/sections/:section
+ * Replace the staged data of one section (e.g. with some jobs deselected).
+ * The section is validated again; invalid data is kept so it can be fixed later.
+ */
+router.put('/imports/:id/sections/:section', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), async (req, res) => {
+  try {
+    const { id, section } = req.params;
+    const storage = req.storage;
+
+    if (!PortfolioSections.includes(section)) {
+      return res.status(400).json({ error: 'Invalid section' });
+    }
+
+    const session = await getSession(storage, id);
+    if (!session) {
+      return res.status(404).json({ error: 'Import session not found or expired' });
+    }
+    if (!Object.hasOwn(session.portfolioData, section)) {
+      return res.status(404).json({ error: `Section ${section} is not part of this import` });
+    }
+
+    const { data, errors } = validateImport({ [section]: req.body });
+    // Warnings describe the original import, they don't apply to edited data
+    const validationErrors = [
+      ...session.validation.errors.filter(error => error.section !== section),
+      ...errors
+    ];
+
+    const updated = await saveSession(storage, {
+      ...session,
+      portfolioData: { ...session.portfolioData, [section]: data[section] },
+      conflicts: session.conflicts.filter(conflict => conflict.section !== section),
+      validation: {
+        valid: validationErrors.length === 0,
+        errors: validationErrors,
+        warnings: session.validation.warnings.filter(warning => warning.section !== section)
+      }
+    });
+
+    res.json({ 
+      message: `${section} section of the import updated`,
+      session: updated
+    });
+  } catch (error) {
+    console.error('Error updating import session:', error);
+    res.status(500).json({ 
+      error: 'Failed to update import session',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * DELETE /api/linkedin/imports/:id/sections/:section
+ * Leave a section out of the import
+ */
+router.delete('/imports/:id/sections/:section', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), async (req, res) => {
+  try {
+    const { id, section } = req.params;
+    const storage = req.storage;
+
+    if (!PortfolioSections.includes(section)) {
+      return res.status(400).json({ error: 'Invalid section' });
+    }
+
+    const session = await getSession(storage, id);
+    if (!session) {
+      return res.status(404).json({ error: 'Import session not found or expired' });
+    }
+    if (!Object.hasOwn(session.portfolioData, section)) {
+      return res.status(404).json({ error: `Section ${section} is not part of this import` });
+    }
+
+    const { [section]: removed, ...portfolioData } = session.portfolioData;
+    const validationErrors = session.validation.errors.filter(error => error.section !== section);
+
+    const updated = await saveSession(storage, {
+      ...session,
+      portfolioData,
+      conflicts: session.conflicts.filter(conflict => conflict.section !== section),
+      validation: {
+        valid: validationErrors.length === 0,
+        errors: validationErrors,
+        warnings: session.validation.warnings.filter(warning => warning.section !== section)
+      }
+    });
+
+    res.json({ 
+      message: `${section} section removed from the import`,
+      session: updated
+    });
+  } catch (error) {
+    console.error('Error updating import session:', error);
+    res.status(500).json({ 
+      error: 'Failed to update import session',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/linkedin/imports/:id/commit
+ * Save the staged data of an import session to the portfolio and close the session.
+ * The sections are saved as drafts unless ?publish=true.
+ */
+router.post('/imports/:id/commit', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), async (req, res) => {
+  try {
+    const storage = req.storage;
+    const session = await getSession(storage, req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Import session not found or expired' });
+    }
+
+    if (!session.validation.valid) {
+      return res.status(400).json({ 
+        error: 'Import session has validation errors, no sections were changed',
+        validation: session.validation
+      });
+    }
+
+    if (Object.keys(session.portfolioData).length === 0) {
+      return res.status(400).json({ error: 'Import session has no sections left to commit' });
+    }
+
+    const changedDrafts = await findChangedDrafts(storage, session);
+    if (changedDrafts.length > 0) {
+      return res.status(409).json({ 
+        error: 'Drafts were edited since the import was staged, no sections were changed. Start a new import to merge with them.',
+        sections: changedDrafts
+      });
+    }
+
+    // Save to portfolio sections, all or nothing
+    let saved;
+    try {
+      saved = await saveToPortfolio(session.portfolioData, {
+        publish: req.query.publish === 'true',
+        author: getRequestAuthor(req),
+        source: session.source
+      }, req.storage);
+    } catch (error) {
+      console.error('Error committing import session:', error);
+      return res.status(500).json({ 
+        error: 'Failed to save imported data, no sections were changed',
+        details: error.message 
+      });
+    }
+
+    await deleteSession(storage, session.id);
+
+    res.json({ 
+      message: saved.published ? 'Import committed successfully' : 'Import committed as drafts',
+      sections: saved.published ? Object.keys(saved.revisions) : saved.drafts.map(draft => draft.section),
+      ...saved
+    });
+  } catch (error) {
+    console.error('Error committing import session:', error);
+    res.status(500).json({ 
+      error: 'Failed to commit import session',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * DELETE /api/linkedin/imports/:id
+ * Discard an import session without saving anything
+ */
+router.delete('/imports/:id', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), async (req, res) => {
+  try {
+    const storage = req.storage;
+    const session = await getSession(storage, req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Import session not found or expired' });
+    }
+
+    await deleteSession(storage, session.id);
+    res.json({ message: 'Import session discarded' });
+  } catch (error) {
+    console.error('Error discarding import session:', error);
+    res.status(500).json({ 
+      error: 'Failed to discard import session',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * Guess the type of a loosely named CSV upload, e.g. "my_positions_2024.csv" -> "positions"
+ */
+function guessLinkedInFileType(fileName) {
+  const name = fileName.toLowerCase();
+  if (name.includes('profile')) return 'profile';
+  if (name.includes('position')) return 'positions';
+  if (name.includes('skill')) return 'skills';
+  if (name.includes('education')) return 'education';
+  return null;
+}
+
+/**
+ * Parse LinkedIn CSV files.
+ * Returns the parsed data along with any malformed rows or unreadable files,
+ * e.g. { file: 'Positions.csv', line: 7, message: 'Expected 6 fields but found 4' }
  */
 async function parseLinkedInCSV(files) {
   const csvData = {
     profile: null,
     positions: [],
     skills: [],
-    education: []
+    education: [],
+    projects: [],
+    certifications: [],
+    languages: []
   };
+  const errors = [];
 
   for (const file of files) {
-    const fileName = file.originalname.toLowerCase();
-    const csvContent = file.buffer.toString('utf-8');
+    const fileName = file.originalname;
+    const fileType = getLinkedInFileType(fileName) || guessLinkedInFileType(fileName);
     
+    if (!fileType) {
+      errors.push({ file: fileName, message: 'Unrecognised LinkedIn export file' });
+      continue;
+    }
+
     try {
-      if (fileName.includes('profile')) {
-        csvData.profile = parseProfileCSV(csvContent);
-      } else if (fileName.includes('position')) {
-        csvData.positions = parsePositionsCSV(csvContent);
-      } else if (fileName.includes('skill')) {
-        csvData.skills = parseSkillsCSV(csvContent);
-      } else if (fileName.includes('education')) {
-        csvData.education = parseEducationCSV(csvContent);
+      const { rows, errors: rowErrors } = await readCsv(file.buffer);
+      errors.push(...rowErrors.map(error => ({ file: fileName, ...error })));
+
+      if (fileType === 'profile') {
+        csvData.profile = parseProfileCSV(rows);
+      } else if (fileType === 'skills') {
+        csvData.skills = parseSkillsCSV(rows);
+      } else {
+        csvData[fileType] = rows;
       }
     } catch (error) {
       console.error(`Error parsing ${fileName}:`, error);
-      // Continue with other files even if one fails
-      // You might want to add this error to the response
+      errors.push({ file: fileName, message: error.message });
     }
   }
 
-  return csvData;
+  return { csvData, errors };
 }
 
 /**
- * Parse profile CSV
+ * Parse profile CSV rows
  */
-function parseProfileCSV(csvContent) {
-  const lines = csvContent.split('\n').filter(line => line.trim());
-  
-  if (lines.length < 2) {
+function parseProfileCSV(rows) {
+  if (rows.length < 1) {
     throw new Error('Profile CSV must have at least header and one data row');
   }
   
-  const headers = lines[0].split(',').map(h => h.trim());
-  const data = lines[1].split(',').map(d => d.trim());
-  
-  const profile = {};
-  headers.forEach((header, index) => {
-    profile[header.toLowerCase()] = data[index] || '';
-  });
-  
-  return profile;
+  return rows[0];
 }
 
 /**
- * Parse positions CSV
+ * Parse skills CSV rows
  */
-function parsePositionsCSV(csvContent) {
-  const lines = csvContent.split('\n').filter(line => line.trim());
-  const headers = lines[0].split(',').map(h => h.trim());
-  const positions = [];
-  
-  for (let i = 1; i < lines.length; i++) {
-    const data = lines[i].split(',').map(d => d.trim());
-    const position = {};
-    headers.forEach((header, index) => {
-      position[header.toLowerCase()] = data[index] || '';
-    });
-    positions.push(position);
-  }
-  
-  return positions;
+function parseSkillsCSV(rows) {
+  return rows
+    .map(row => ({
+      name: row.name || row.skill_name || '',
+      level: row.level || row.proficiency || 'intermediate' // Default level
+    }))
+    .filter(skill => skill.name);
 }
 
 /**
- * Parse skills CSV
+ * Remove fields that LinkedIn left empty, so they are reported by validation
+ * (or kept from the stored data when merging) instead of being overwritten
  */
-function parseSkillsCSV(csvContent) {
-  const lines = csvContent.split('\n').filter(line => line.trim());
-  
-  // Handle simple skills format (just names)
-  if (lines.length === 0) return [];
-  
-  const skills = [];
-  
-  // Check if it's a simple format with just skill names
-  if (lines.length === 1 || (lines.length > 1 && lines[0].toLowerCase().includes('name'))) {
-    // Simple format: just skill names, one per line
-    for (let i = 1; i < lines.length; i++) {
-      const skillName = lines[i].trim();
-      if (skillName) {
-        skills.push({
-          name: skillName,
-          level: 'intermediate' // Default level
-        });
-      }
-    }
-  } else {
-    // Complex format with headers
-    const headers = lines[0].split(',').map(h => h.trim());
-    
-    for (let i = 1; i < lines.length; i++) {
-      const data = lines[i].split(',').map(d => d.trim());
-      const skill = {};
-      headers.forEach((header, index) => {
-        skill[header.toLowerCase()] = data[index] || '';
-      });
-      skills.push(skill);
-    }
-  }
-  
-  return skills;
+function withoutEmptyFields(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
 }
 
 /**
- * Parse education CSV
- */
-function parseEducationCSV(csvContent) {
-  const lines = csvContent.split('\n').filter(line => line.trim());
-  const headers = lines[0].split(',').map(h => h.trim());
-  const education = [];
-  
-  for (let i = 1; i < lines.length; i++) {
-    const data = lines[i].split(',').map(d => d.trim());
-    const edu = {};
-    headers.forEach((header, index) => {
-      edu[header.toLowerCase()] = data[index] || '';
-    });
-    education.push(edu);
-  }
-  
-  return education;
-}
-
-/**
- * Transform LinkedIn data to portfolio format
+ * Transform LinkedIn data to portfolio format.
+ * Skills are grouped by the roles and subcategories of the skill taxonomy.
+ * Dates are normalized to YYYY-MM and locations mapped to location types;
+ * anything that had to be assumed or couldn't be converted is added to `warnings`
+ * as { section, path, message }. Missing values are left out, never invented.
  */
 function transformLinkedInData(csvData, userPreferences = {
   useSubcategories: true,
   minSkillsForSubcategory: 3,
   categoryOverrides: {}
-}) {
+}, warnings = [], taxonomy = DEFAULT_SKILL_TAXONOMY) {
   const portfolioData = {};
 
+  const warn = (section, path, message) => warnings.push({ section, path, message });
+
+  // Normalize a date, keeping the original value if it can't be converted so validation reports it
+  const toDate = (section, path, value) => {
+    const result = normalizeLinkedInDate(value);
+    if (!result) {
+      return undefined;
+    }
+    if (result.warning || result.error) {
+      warn(section, path, result.warning || result.error);
+    }
+    return result.error ? String(value).trim() : result.value;
+  };
+
+  const splitList = (value, separator) =>
+    value ? value.split(separator).map(item => item.trim()).filter(Boolean) : undefined;
+
   // Transform profile data
   if (csvData.profile) {
-    portfolioData.personalInfo = {
-      name: csvData.profile.full_name || csvData.profile.name || 'Your Name',
-      title: csvData.profile.headline || csvData.profile.title || 'Software Developer',
-      location: csvData.profile.location || 'Your Location',
-      bio: csvData.profile.summary || 'A passionate software developer...'
-    };
+    const profile = csvData.profile;
+    const name = profile.full_name || profile.name ||
+      [profile.first_name, profile.last_name].filter(Boolean).join(' ');
+
+    portfolioData.personalInfo = withoutEmptyFields({
+      name,
+      title: profile.headline || profile.title,
+      location: profile.geo_location || profile.location,
+      bio: profile.summary
+    });
 
-    portfolioData.about = {
-      content: csvData.profile.summary || 'I am a passionate software developer...'
-    };
+    if (profile.summary) {
+      portfolioData.about = {
+        content: profile.summary
+      };
+    } else {
+      warn('about', 'content', 'The LinkedIn profile has no summary, about section not imported');
+    }
   }
 
   // Transform positions data
   if (csvData.positions && csvData.positions.length > 0) {
     portfolioData.experience = {
-      jobs: csvData.positions.map(position => ({
-        title: position.title || position.job_title || 'Software Developer',
-        company: position.company || position.organization || 'Company Name',
-        startDate: position.start_date || position.from || '2023-01',
-        endDate: position.end_date || position.to || null,
-        isCurrent: position.is_current === 'true' || position.current === 'true' || false,
-        location: position.location || 'remote',
-        country: position.country || 'Your Country',
-        city: position.city || 'Your City',
-        description: position.description || 'Develop and maintain web applications...',
-        achievements: position.achievements ? position.achievements.split(';') : [
-          'Developed and deployed 3 major features',
-          'Improved application performance by 30%'
-        ],
-        skills: position.skills ? position.skills.split(',').map(s => s.trim()) : ['React', 'Node.js', 'JavaScript']
-      }))
+      jobs: csvData.positions.map((position, index) => {
+        const path = `jobs[${index}]`;
+        const startDate = toDate('experience', `${path}.startDate`, position.started_on || position.start_date || position.from);
+        const endDate = toDate('experience', `${path}.endDate`, position.finished_on || position.end_date || position.to);
+        const isCurrent = position.is_current === 'true' || position.current === 'true' || (!!startDate && !endDate);
+
+        const place = mapLinkedInLocation(position.location);
+        if (place.warning) {
+          warn('experience', `${path}.location`, place.warning);
+        }
+
+        return withoutEmptyFields({
+          title: position.title || position.job_title,
+          company: position.company_name || position.company || position.organization,
+          startDate,
+          endDate,
+          isCurrent,
+          location: place.location,
+          country: position.country || place.country,
+          city: position.city || place.city,
+          description: position.description,
+          achievements: splitList(position.achievements, ';'),
+          skills: splitList(position.skills, ',')
+        });
+      })
     };
   }
 
   // Transform skills data
   if (csvData.skills && csvData.skills.length > 0) {
-    // Role-based hierarchy with subcategories
-    const roleCategories = {
-      'Frontend Development': {
-        'Languages': ['javascript', 'typescript', 'html', 'css'],
-        'Frameworks': ['react', 'vue', 'angular', 'svelte', 'next.js', 'nuxt.js'],
-        'Styling': ['sass', 'less', 'bootstrap', 'tailwind', 'styled-components'],
-        'Build Tools': ['webpack', 'vite', 'parcel', 'gulp']
-      },
-      'Backend Development': {
-        'Languages': ['python', 'java', 'c#', 'go', 'php', 'ruby', 'node.js'],
-        'Frameworks': ['express', 'django', 'spring', 'fastapi', 'laravel', 'asp.net'],
-        'APIs': ['rest', 'graphql', 'grpc', 'soap'],
-        'Architecture': ['microservices', 'monolith', 'serverless', 'event-driven']
-      },
-      'Data & Analytics': {
-        'Databases': ['mongodb', 'postgresql', 'mysql', 'sqlite', 'redis', 'elasticsearch'],
-        'Big Data': ['hadoop', 'spark', 'kafka', 'airflow', 'snowflake'],
-        'Analytics': ['tableau', 'power bi', 'python pandas', 'numpy'],
-        'Machine Learning': ['tensorflow', 'pytorch', 'scikit-learn', 'keras']
-      },
-      'DevOps & Infrastructure': {
-        'Cloud': ['aws', 'azure', 'google cloud', 'gcp'],
-        'Containers': ['docker', 'kubernetes', 'podman', 'rancher'],
-        'CI/CD': ['jenkins', 'gitlab ci', 'github actions', 'circleci'],
-        'Monitoring': ['prometheus', 'grafana', 'elk stack', 'datadog']
-      },
-      'Tools & Platforms': {
-        'Version Control': ['git', 'github', 'gitlab', 'bitbucket'],
-        'Project Management': ['jira', 'confluence', 'notion', 'trello'],
-        'Development': ['vs code', 'intellij', 'postman', 'swagger'],
-        'Testing': ['jest', 'cypress', 'selenium', 'junit']
-      },
-      'Other': {
-        'General': ['leadership', 'communication', 'problem solving', 'teamwork'],
-        'Soft Skills': ['presentation', 'negotiation', 'mentoring', 'collaboration'],
-        'Domain Knowledge': ['finance', 'healthcare', 'ecommerce', 'education'],
-        'Certifications': ['pmp', 'scrum', 'agile', 'six sigma']
-      }
-    };
-
-
-
-    // Categorize skills
-    const categorizedSkills = {};
-    
-    csvData.skills.forEach(skill => {
-      const skillName = skill.name || skill.skill_name || skill;
-      const skillLevel = skill.level || skill.proficiency || 'intermediate';
-      const skillNameLower = skillName.toLowerCase();
-      
-      let assignedRole = 'Other';
-      let assignedSubcategory = null;
-      
-      // Find the best matching role and subcategory
-      for (const [role, subcategories] of Object.entries(roleCategories)) {
-        if (typeof subcategories === 'object' && !Array.isArray(subcategories)) {
-          // Check subcategories
-          for (const [subcategory, skills] of Object.entries(subcategories)) {
-            if (skills.some(skillKeyword => {
-              const keyword = skillKeyword.toLowerCase();
-              return skillNameLower.includes(keyword) || 
-                     skillNameLower.includes(keyword.replace(' ', '')) ||
-                     skillNameLower.includes(keyword.replace(' ', '-')) ||
-                     skillNameLower.includes(keyword.replace(' ', '.')) ||
-                     skillNameLower.includes(keyword.replace(' ', '_'));
-            })) {
-              assignedRole = role;
-              assignedSubcategory = subcategory;
-              break;
-            }
-          }
-          if (assignedRole !== 'Other') break; // Stop if we found a match
-        } else if (Array.isArray(subcategories)) {
-          // Check role-level skills
-          if (subcategories.some(skillKeyword => {
-            const keyword = skillKeyword.toLowerCase();
-            return skillNameLower.includes(keyword) || 
-                   skillNameLower.includes(keyword.replace(' ', '')) ||
-                   skillNameLower.includes(keyword.replace(' ', '-')) ||
-                   skillNameLower.includes(keyword.replace(' ', '.')) ||
-                   skillNameLower.includes(keyword.replace(' ', '_'));
-          })) {
-            assignedRole = role;
-            break;
-          }
-        }
-      }
-      
-      // Initialize role if not exists
-      if (!categorizedSkills[assignedRole]) {
-        categorizedSkills[assignedRole] = {};
-      }
-      
-      // Add to appropriate subcategory or role level
-      if (assignedSubcategory) {
-        if (!categorizedSkills[assignedRole][assignedSubcategory]) {
-          categorizedSkills[assignedRole][assignedSubcategory] = [];
-        }
-        categorizedSkills[assignedRole][assignedSubcategory].push({
-          name: skillName,
-          level: skillLevel
-        });
-      } else {
-        if (!categorizedSkills[assignedRole]['Other']) {
-          categorizedSkills[assignedRole]['Other'] = [];
-        }
-        categorizedSkills[assignedRole]['Other'].push({
-          name: skillName,
-          level: skillLevel
-        });
-      }
-    });
-
-    // Apply user preferences and smart defaults
-    const finalSkills = {};
-    
-    // Define the preferred order of roles
-    const roleOrder = [
-      'Frontend Development',
-      'Backend Development', 
-      'Data & Analytics',
-      'DevOps & Infrastructure',
-      'Tools & Platforms',
-      'Other'
-    ];
-    
-    // Sort roles by preferred order
-    const sortedRoles = Object.keys(categorizedSkills).sort((a, b) => {
-      const aIndex = roleOrder.indexOf(a);
-      const bIndex = roleOrder.indexOf(b);
-      return aIndex - bIndex;
-    });
-    
-    sortedRoles.forEach(role => {
-      const subcategories = categorizedSkills[role];
-      const userOverride = userPreferences.categoryOverrides?.[role];
-      const totalSkills = Object.values(subcategories).flat().length;
-      
-      if (userOverride === 'flat' || (!userPreferences.useSubcategories && totalSkills < userPreferences.minSkillsForSubcategory)) {
-        // Flatten the structure
-        finalSkills[role] = Object.values(subcategories).flat();
-      } else if (userOverride === 'subcategories' || (userPreferences.useSubcategories && totalSkills >= userPreferences.minSkillsForSubcategory)) {
-        // Use subcategories, but remove empty ones
-        const filteredSubcategories = {};
-        Object.entries(subcategories).forEach(([subcategory, skills]) => {
-          if (skills.length > 0) {
-            filteredSubcategories[subcategory] = skills;
-          }
-        });
-        finalSkills[role] = filteredSubcategories;
-      } else {
-        // Default to flat for small categories
-        finalSkills[role] = Object.values(subcategories).flat();
-      }
-    });
-
-    portfolioData.skills = {
-      skillCategories: finalSkills,
-      categorization: {
-        useSubcategories: userPreferences.useSubcategories,
-        minSkillsForSubcategory: userPreferences.minSkillsForSubcategory,
-        categoryOverrides: userPreferences.categoryOverrides || {}
-      }
-    };
+    portfolioData.skills = groupSkills(
+      csvData.skills.map(skill => ({
+        name: skill.name || skill.skill_name || skill,
+        level: skill.level || skill.proficiency || 'intermediate'
+      })),
+      userPreferences,
+      taxonomy
+    );
   }
 
   // Transform education data
   if (csvData.education && csvData.education.length > 0) {
     portfolioData.education = {
-      degrees: csvData.education.map(edu => ({
-        degree: edu.degree || edu.degree_name || 'Bachelor\'s Degree',
-        school: edu.school || edu.institution || 'University Name',
-        field: edu.field || edu.major || 'Computer Science',
-        startDate: edu.start_date || edu.from || '2019-09',
-        endDate: edu.end_date || edu.to || '2023-05',
-        description: edu.description || 'Relevant coursework and projects...'
+      degrees: csvData.education.map((edu, index) => withoutEmptyFields({
+        degree: edu.degree_name || edu.degree,
+        school: edu.school_name || edu.school || edu.institution,
+        field: edu.field_of_study || edu.field || edu.major,
+        startDate: toDate('education', `degrees[${index}].startDate`, edu.start_date || edu.from),
+        endDate: toDate('education', `degrees[${index}].endDate`, edu.end_date || edu.to),
+        description: edu.description || edu.notes
+      }))
+    };
+  }
+
+  // Transform projects data
+  if (csvData.projects && csvData.projects.length > 0) {
+    portfolioData.projects = {
+      projects: csvData.projects.map(project => withoutEmptyFields({
+        name: project.title || project.name,
+        description: project.description,
+        url: project.url
       }))
     };
   }
@@ -467,50 +830,62 @@ function transformLinkedInData(csvData, userPreferences = {
 }
 
 /**
- * Save portfolio data to files
+ * Turn parsed LinkedIn data into the portfolio data an import would save
  */
-async function saveToPortfolio(portfolioData) {
-  const sections = ['personalInfo', 'about', 'skills', 'experience', 'education'];
+function prepareLinkedInImport(csvData, req) {
+  return prepareImport(req.storage, {
+    categorization: req.categorization,
+    getMergeStrategy: req.getMergeStrategy
+  }, ({ categorization, warnings, taxonomy }) => transformLinkedInData(csvData, categorization, warnings, taxonomy));
+}
+
+/**
+ * Sections of an import session whose draft was saved, published or discarded since
+ * the session was staged: committing them would overwrite edits the import wasn't merged with
+ */
+async function findChangedDrafts(storage, session) {
+  const changed = [];
+  for (const section of Object.keys(session.portfolioData)) {
+    const draft = await getDraft(storage, section);
+    if ((draft?.updatedAt || null) !== (session.draftVersions?.[section] || null)) {
+      changed.push(section);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Save portfolio data in a single transaction, as drafts unless meta.publish is set
+ * (see saveImportedSections). Throws if any section could not be written, in which
+ * case none of them are changed.
+ */
+async function saveToPortfolio(portfolioData, meta = {}, storage) {
+  const sectionsToWrite = {};
   
-  for (const section of sections) {
+  for (const section of PortfolioSections) {
     if (portfolioData[section]) {
-      try {
-        await writeSectionData(section, portfolioData[section]);
-        console.log(`Updated ${section}.json with LinkedIn CSV data`);
-      } catch (error) {
-        console.error(`Error updating ${section}.json:`, error);
-      }
+      sectionsToWrite[section] = portfolioData[section];
     }
   }
+
+  const saved = await saveImportedSections(sectionsToWrite, meta, storage);
+  console.log(`${saved.published ? 'Updated' : 'Saved drafts of'} ${Object.keys(sectionsToWrite).join(', ')} with LinkedIn data`);
+  return saved;
 }
 
 /**
  * GET /api/linkedin/configure-categorization
  * Get current skill categorization preferences
  */
-router.get('/configure-categorization', authenticateToken, async (req, res) => {
+router.get('/configure-categorization', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), async (req, res) => {
   try {
-    const fs = await import('fs/promises');
-    const path = await import('path');
-    
-    const preferencesPath = path.join(process.cwd(), 'data', 'categorization.json');
+    const preferences = await req.storage.read('categorization');
     
-    try {
-      const data = await fs.readFile(preferencesPath, 'utf8');
-      const preferences = JSON.parse(data);
+    if (preferences) {
       res.json(preferences);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // Return default preferences if file doesn't exist
-        const defaultPreferences = {
-          useSubcategories: true,
-          minSkillsForSubcategory: 3,
-          categoryOverrides: {}
-        };
-        res.json(defaultPreferences);
-      } else {
-        throw error;
-      }
+    } else {
+      // Return default preferences if none have been saved yet
+      res.json(DEFAULT_CATEGORIZATION);
     }
   } catch (error) {
     console.error('Error fetching categorization preferences:', error);
@@ -525,7 +900,7 @@ router.get('/configure-categorization', authenticateToken, async (req, res) => {
  * POST /api/linkedin/configure-categorization
  * Configure skill categorization preferences
  */
-router.post('/configure-categorization', authenticateToken, async (req, res) => {
+router.post('/configure-categorization', authenticateToken, requireScope(Scopes.LINKEDIN_IMPORT), async (req, res) => {
   try {
     const { categorization } = req.body;
     
@@ -536,18 +911,26 @@ router.post('/configure-categorization', authenticateToken, async (req, res) =>
     }
 
     // Validate categorization preferences
-    const validPreferences = {
-      useSubcategories: categorization.useSubcategories ?? true,
-      minSkillsForSubcategory: categorization.minSkillsForSubcategory ?? 3,
-      categoryOverrides: categorization.categoryOverrides || {}
-    };
+    const { error, value: validPreferences } = validateWith(categorizationSchema, categorization);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
 
-    // Save preferences to file
-    const fs = await import('fs/promises');
-    const path = await import('path');
-    
-    const preferencesPath = path.join(process.cwd(), 'data', 'categorization.json');
-    await fs.writeFile(preferencesPath, JSON.stringify(validPreferences, null, 2));
+    // Overrides only apply to roles of the skill taxonomy (shared by every profile)
+    const roleNames = getRoleNames(await getSkillTaxonomy(getStorage()));
+    const unknownRoles = Object.keys(validPreferences.categoryOverrides).filter(role => !roleNames.includes(role));
+    if (unknownRoles.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: unknownRoles.map(role => `"categoryOverrides.${role}" is not a role of the skill taxonomy`)
+      });
+    }
+
+    // Save preferences
+    await req.storage.write('categorization', validPreferences);
 
     res.json({ 
       message: 'Categorization preferences updated successfully',
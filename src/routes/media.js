@@ -0,0 +1,106 @@
+import express from 'express';
+import multer from 'multer';
+import { authenticateToken, getRequestAuthor, requireScope } from '../middleware/auth.js';
+import { Scopes } from '../constants/scopes.js';
+import { MediaTypes } from '../constants/mediaTypes.js';
+import { deleteMedia, getMaxMediaSize, getMedia, listMedia, saveMedia } from '../utils/media.js';
+import { invalidateStorage } from '../utils/sectionCache.js';
+
+const router = express.Router();
+
+// Helper function to receive a single image ("file"), answering 413/415/400 if it can't be
+// accepted. The size limit is read per request so it follows MEDIA_MAX_SIZE_MB.
+const receiveImage = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: getMaxMediaSize(),
+      files: 1
+    },
+    fileFilter: (req, file, cb) => {
+      if (MediaTypes[file.mimetype]) {
+        cb(null, true);
+      } else {
+        const error = new Error(`Only ${Object.keys(MediaTypes).join(', ')} files are allowed`);
+        error.code = 'UNSUPPORTED_MEDIA';
+        cb(error, false);
+      }
+    }
+  }).single('file');
+
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File too large, the limit is ${Number((getMaxMediaSize() / (1024 * 1024)).toFixed(2))}MB` });
+    }
+    if (error.code === 'UNSUPPORTED_MEDIA') {
+      return res.status(415).json({ error: error.message });
+    }
+    res.status(400).json({ error: 'Invalid upload', details: error.message });
+  });
+};
+
+// Upload an image (project screenshot, profile photo). Use the returned id in
+// projects[].image or personalInfo.photo.
+router.post('/', authenticateToken, requireScope(Scopes.MEDIA_WRITE), receiveImage, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const media = await saveMedia(req.storage, req.file, getRequestAuthor(req));
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      media
+    });
+  } catch (error) {
+    if (error.code === 'UNSUPPORTED_MEDIA') {
+      return res.status(415).json({ error: error.message });
+    }
+    console.error('Error uploading media:', error);
+    res.status(500).json({ error: 'Error uploading file' });
+  }
+});
+
+// List uploaded media
+router.get('/', authenticateToken, requireScope(Scopes.MEDIA_WRITE), async (req, res) => {
+  try {
+    res.json(await listMedia(req.storage));
+  } catch (error) {
+    console.error('Error listing media:', error);
+    res.status(500).json({ error: 'Error listing media' });
+  }
+});
+
+// Get uploaded media with its URLs
+router.get('/:id', async (req, res) => {
+  try {
+    const media = await getMedia(req.storage, req.params.id);
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    res.json(media);
+  } catch (error) {
+    console.error('Error reading media:', error);
+    res.status(500).json({ error: 'Error reading media' });
+  }
+});
+
+// Delete uploaded media and its files
+router.delete('/:id', authenticateToken, requireScope(Scopes.MEDIA_WRITE), async (req, res) => {
+  try {
+    if (!(await deleteMedia(req.storage, req.params.id))) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    // Sections that used it now resolve to other URLs
+    invalidateStorage(req.storage);
+    res.json({ message: 'Media deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    res.status(500).json({ error: 'Error deleting media' });
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -1,39 +1,99 @@
 import express from 'express';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import fs from 'fs/promises';
-import { authenticateToken } from '../middleware/auth.js';
-import { validateSection } from '../validation/schemas.js';
+import {
+  authenticateOptional,
+  authenticateToken,
+  getMissingScopes,
+  getRequestAuthor,
+  requireScope
+} from '../middleware/auth.js';
+import { resumeOptionsSchema, schemaMap, searchQuerySchema, validateSection, validateWith } from '../validation/schemas.js';
+import { JSON_SCHEMA_DIALECT, toJsonSchema } from '../validation/jsonSchema.js';
+import { listRevisions, getRevision } from '../utils/revisionHistory.js';
+import { diffJson } from '../utils/jsonDiff.js';
+import { getStorage } from '../storage/index.js';
+import { PortfolioSections } from '../constants/portfolioSections.js';
+import { Scopes, getSectionWriteScope } from '../constants/scopes.js';
+import { getSkillTaxonomy, getRoleNames } from '../utils/skillTaxonomy.js';
+import { filterHiddenContent } from '../utils/visibility.js';
+import { discardDrafts, getDraft, listDrafts, saveDrafts, scheduleDrafts } from '../utils/drafts.js';
+import { prepareImport } from '../utils/importData.js';
+import { fromJsonResume, toJsonResume } from '../utils/jsonResume.js';
+import { parseMergeStrategies } from '../middleware/mergeStrategies.js';
+import { parseCategorizationPreferences } from '../middleware/categorization.js';
+import { negotiateLocale } from '../middleware/locale.js';
+import { buildResume, renderResumeHtml, renderResumeMarkdown } from '../utils/resume.js';
+import { renderResumePdf } from '../utils/resumePdf.js';
+import { getMediaReferences, removeOrphanedMedia, resolveMediaUrls } from '../utils/media.js';
+import { ResumeFormats, ResumeTemplates } from '../constants/resumeTemplates.js';
+import { getPublicCacheControl, hashValue } from '../utils/sectionCache.js';
+import { applyListQuery, parseListQuery } from '../utils/sectionQuery.js';
+import { getSectionDocuments, parseSearchQuery, searchDocuments } from '../utils/search.js';
+import {
+  publishDrafts,
+  readSectionData,
+  readSectionDataIfExists,
+  readSectionEntry,
+  saveImportedSections,
+  writeSectionData,
+  writeSectionsData
+} from '../utils/sectionData.js';
+import {
+  LocalizedSections,
+  findMissingTranslations,
+  getDefaultLocale,
+  getSupportedLocales,
+  localizeSection
+} from '../utils/localization.js';
 
 const router = express.Router();
 
-// Get directory name for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+const VALID_SECTIONS = PortfolioSections;
 
-const VALID_SECTIONS = ['personalInfo', 'about', 'skills', 'experience', 'projects', 'contact'];
+// Write scopes needed by a request: the section in the URL, or every section in the body.
+// Invalid sections need no scope, they are rejected by the route itself.
+const sectionWriteScopes = (req) =>
+  (req.params.section ? [req.params.section] : Object.keys(req.body || {}))
+    .filter(section => VALID_SECTIONS.includes(section))
+    .map(getSectionWriteScope);
 
-// Helper function to get file path for a section
-const getSectionPath = (section) => join(__dirname, `../../data/${section}.json`);
+// Helper function to prepare section data for a response: hidden content is only
+// shown to users allowed to see it, everyone else gets it filtered out. Localized text
+// is in the locale negotiated for the request, if any (see negotiateLocale).
+const forViewer = (req, section, data) => localizeSection(
+  section,
+  req.user?.scopes?.includes(Scopes.HIDDEN_READ) ? data : filterHiddenContent(section, data),
+  req.locale
+);
 
-// Helper function to read section data
-const readSectionData = async (section) => {
-  const data = await fs.readFile(getSectionPath(section), 'utf8');
-  const parsedData = JSON.parse(data);
-  
-  // Sort experience jobs by startDate (newest first)
-  if (section === 'experience' && parsedData.jobs) {
-    parsedData.jobs.sort((a, b) => {
-      // Handle current jobs (isCurrent: true) - they should appear first
-      if (a.isCurrent && !b.isCurrent) return -1;
-      if (!a.isCurrent && b.isCurrent) return 1;
-      
-      // For non-current jobs, sort by startDate descending (newest first)
-      return new Date(b.startDate) - new Date(a.startDate);
-    });
+// Helper function to name the representation a viewer gets: with or without hidden
+// content, in one locale or with every translation
+const getViewerVariant = (req) =>
+  `${req.user?.scopes?.includes(Scopes.HIDDEN_READ) ? 'full' : 'public'}:${req.locale || 'all'}`;
+
+// Helper function to prepare section data for a public response: hidden content
+// filtered for the viewer, uploaded media resolved to URLs
+const forResponse = async (req, section, data) =>
+  resolveMediaUrls(req.storage, section, forViewer(req, section, data));
+
+// Helper function to set the caching headers of a public read of some sections
+// (entries from readSectionEntry, null for missing ones, and the list query if any)
+// and answer 304 Not Modified if the client's copy is still current. Returns true if it answered.
+const sendNotModified = (req, res, entries, query = null) => {
+  const variant = getViewerVariant(req);
+  const lastModified = Math.max(...entries.map(entry => (entry ? Date.parse(entry.lastModified) : 0)));
+
+  res.set('ETag', `W/"${hashValue([variant, query, ...entries.map(entry => entry?.etag || null)])}"`);
+  if (lastModified > 0) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
   }
-  
-  return parsedData;
+  res.set('Cache-Control', req.headers['authorization'] ? 'private, no-cache' : getPublicCacheControl());
+  res.vary('Authorization');
+
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
 };
 
 // Helper function to flatten hierarchical skills for backward compatibility
@@ -59,27 +119,94 @@ const flattenSkills = (skillCategories) => {
   return flattened;
 };
 
-// Helper function to write section data
-export const writeSectionData = async (section, data) => {
-  await fs.writeFile(
-    getSectionPath(section),
-    JSON.stringify(data, null, 2),
-    'utf8'
-  );
+// Helper function to find the drafted sections a request is about: the section in the URL,
+// or the "sections" listed in the body, or every drafted section.
+// Answers 400/404 and returns null if they can't be used.
+const resolveDraftSections = async (req, res) => {
+  const drafted = (await listDrafts(req.storage)).map(draft => draft.section);
+
+  if (req.params.section) {
+    const { section } = req.params;
+    if (!VALID_SECTIONS.includes(section)) {
+      res.status(400).json({ error: 'Invalid section' });
+      return null;
+    }
+    if (!drafted.includes(section)) {
+      res.status(404).json({ error: `No draft for section: ${section}` });
+      return null;
+    }
+    return [section];
+  }
+
+  const requested = req.body?.sections;
+  if (requested !== undefined) {
+    const invalid = [].concat(requested).filter(section => !drafted.includes(section));
+    if (invalid.length > 0) {
+      res.status(404).json({ error: `No draft for sections: ${invalid.join(', ')}` });
+      return null;
+    }
+    return [].concat(requested);
+  }
+  return drafted;
+};
+
+// Helper function to answer 403 unless the request may write every given section
+const rejectMissingWriteScopes = (req, res, sections) => {
+  const missing = getMissingScopes(req, sections.map(getSectionWriteScope));
+  if (missing.length > 0) {
+    res.status(403).json({
+      error: 'Insufficient permissions',
+      missingScopes: missing
+    });
+    return true;
+  }
+  return false;
+};
+
+// Helper function to prepare the import of the JSON Resume document in the request body.
+// Answers 400 and returns null if there is no document.
+const prepareJsonResumeImport = async (req, res) => {
+  const { resume } = req.body || {};
+  if (!resume || typeof resume !== 'object' || Array.isArray(resume)) {
+    res.status(400).json({ error: 'A JSON Resume document is required in "resume"' });
+    return null;
+  }
+
+  return prepareImport(req.storage, {
+    categorization: req.categorization,
+    getMergeStrategy: req.getMergeStrategy
+  }, context => fromJsonResume(resume, context));
+};
+
+// Helper function to pick the CV format: the "format" query, else the best match for Accept.
+// Returns null if nothing acceptable can be produced.
+const resolveResumeFormat = (req, format) => {
+  if (format) {
+    return format;
+  }
+  const contentType = req.accepts(Object.values(ResumeFormats));
+  return Object.keys(ResumeFormats).find(key => ResumeFormats[key] === contentType) || null;
 };
 
-// Get all portfolio data
-router.get('/', async (req, res) => {
+// Get all portfolio data (with hidden content for signed-in admins and editors).
+// Localized text is in the locale of the lang query or Accept-Language, lang=all gives every translation.
+router.get('/', authenticateOptional, negotiateLocale({ allowAll: true }), async (req, res) => {
   try {
-    const portfolioData = {};
+    const entries = {};
     for (const section of VALID_SECTIONS) {
       try {
-        portfolioData[section] = await readSectionData(section);
+        entries[section] = await readSectionEntry(section, req.storage);
       } catch (error) {
         console.error(`Error reading ${section} data:`, error);
-        portfolioData[section] = null;
+        entries[section] = null;
       }
     }
+    if (sendNotModified(req, res, Object.values(entries))) return;
+
+    const portfolioData = {};
+    for (const [section, entry] of Object.entries(entries)) {
+      portfolioData[section] = entry && await forResponse(req, section, structuredClone(entry.data));
+    }
     res.json(portfolioData);
   } catch (error) {
     console.error('Error reading portfolio data:', error);
@@ -87,8 +214,380 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get specific section
-router.get('/:section', async (req, res) => {
+// Preview the portfolio as it will look once every draft is published
+router.get('/preview', authenticateToken, requireScope(Scopes.DRAFTS_READ), async (req, res) => {
+  try {
+    const drafts = await listDrafts(req.storage);
+    const portfolioData = {};
+    for (const section of VALID_SECTIONS) {
+      const draft = drafts.find(sectionDraft => sectionDraft.section === section);
+      portfolioData[section] = await resolveMediaUrls(
+        req.storage,
+        section,
+        draft ? draft.data : await readSectionDataIfExists(section, req.storage)
+      );
+    }
+
+    res.json({
+      drafts: drafts.map(draft => draft.section),
+      portfolio: portfolioData
+    });
+  } catch (error) {
+    console.error('Error previewing drafts:', error);
+    res.status(500).json({ error: 'Error previewing drafts' });
+  }
+});
+
+// List the sections with unpublished drafts
+router.get('/drafts', authenticateToken, requireScope(Scopes.DRAFTS_READ), async (req, res) => {
+  try {
+    const drafts = await listDrafts(req.storage);
+    res.json({ drafts: drafts.map(({ data, ...summary }) => summary) });
+  } catch (error) {
+    console.error('Error listing drafts:', error);
+    res.status(500).json({ error: 'Error listing drafts' });
+  }
+});
+
+// Diff drafts against the published data (every draft, or the one in the URL)
+router.get(['/drafts/diff', '/drafts/:section/diff'], authenticateToken, requireScope(Scopes.DRAFTS_READ), async (req, res) => {
+  try {
+    const sections = await resolveDraftSections(req, res);
+    if (!sections) return;
+
+    const diffs = [];
+    for (const section of sections) {
+      const draft = await getDraft(req.storage, section);
+      const published = await readSectionDataIfExists(section, req.storage);
+      diffs.push({ section, changes: diffJson(published, draft.data) });
+    }
+
+    res.json({ diffs });
+  } catch (error) {
+    console.error('Error comparing drafts:', error);
+    res.status(500).json({ error: 'Error comparing drafts' });
+  }
+});
+
+// Get the draft of a section
+router.get('/drafts/:section', authenticateToken, requireScope(Scopes.DRAFTS_READ), async (req, res) => {
+  try {
+    const sections = await resolveDraftSections(req, res);
+    if (!sections) return;
+
+    res.json(await getDraft(req.storage, sections[0]));
+  } catch (error) {
+    console.error('Error reading draft:', error);
+    res.status(500).json({ error: 'Error reading draft' });
+  }
+});
+
+// Publish drafts now, or at "publishAt" (ISO date) if it is in the future.
+// Without a section in the URL, publishes the drafts listed in "sections" or every draft.
+router.post(['/drafts/publish', '/drafts/:section/publish'], authenticateToken, async (req, res) => {
+  try {
+    const sections = await resolveDraftSections(req, res);
+    if (!sections) return;
+    if (rejectMissingWriteScopes(req, res, sections)) return;
+
+    if (sections.length === 0) {
+      return res.status(400).json({ error: 'There are no drafts to publish' });
+    }
+
+    const { publishAt } = req.body || {};
+    if (publishAt !== undefined) {
+      const date = new Date(publishAt);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ error: '"publishAt" must be a valid date' });
+      }
+      if (date > new Date()) {
+        const drafts = await scheduleDrafts(req.storage, sections, date.toISOString());
+        return res.json({
+          message: `Publication of ${sections.join(', ')} scheduled for ${date.toISOString()}`,
+          drafts: drafts.map(({ data, ...summary }) => summary)
+        });
+      }
+    }
+
+    const revisions = await publishDrafts(sections, {
+      author: getRequestAuthor(req),
+      source: 'publish'
+    }, req.storage);
+
+    res.json({
+      message: `Published ${sections.join(', ')} successfully`,
+      sections,
+      revisions
+    });
+  } catch (error) {
+    console.error('Error publishing drafts:', error);
+    res.status(500).json({ error: 'Error publishing drafts, no sections were changed' });
+  }
+});
+
+// Cancel the scheduled publication of drafts (every draft, or the one in the URL)
+router.delete(['/drafts/schedule', '/drafts/:section/schedule'], authenticateToken, async (req, res) => {
+  try {
+    const sections = await resolveDraftSections(req, res);
+    if (!sections) return;
+    if (rejectMissingWriteScopes(req, res, sections)) return;
+
+    await scheduleDrafts(req.storage, sections, null);
+    res.json({ message: 'Scheduled publication cancelled', sections });
+  } catch (error) {
+    console.error('Error cancelling scheduled publication:', error);
+    res.status(500).json({ error: 'Error cancelling scheduled publication' });
+  }
+});
+
+// Discard drafts (every draft, or the one in the URL) and keep the published data
+router.delete(['/drafts', '/drafts/:section'], authenticateToken, async (req, res) => {
+  try {
+    const sections = await resolveDraftSections(req, res);
+    if (!sections) return;
+    if (rejectMissingWriteScopes(req, res, sections)) return;
+
+    // Media uploaded for the discarded drafts only are deleted with them
+    const draftData = {};
+    for (const section of sections) {
+      draftData[section] = (await getDraft(req.storage, section))?.data;
+    }
+    await discardDrafts(req.storage, sections);
+    await removeOrphanedMedia(req.storage, getMediaReferences(draftData));
+
+    res.json({ message: 'Drafts discarded', sections });
+  } catch (error) {
+    console.error('Error discarding drafts:', error);
+    res.status(500).json({ error: 'Error discarding drafts' });
+  }
+});
+
+// Search every section (?q=, limit). Results are ranked and tell which section and item
+// matched, with snippets: HTML with the matching words in <mark> and the rest escaped.
+router.get('/search', authenticateOptional, negotiateLocale({ allowAll: true }), async (req, res) => {
+  try {
+    const { error, value } = validateWith(searchQuerySchema, req.query);
+    const terms = error ? [] : parseSearchQuery(value.q);
+    if (terms.length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error ? error.details.map(detail => detail.message) : ['"q" must contain a word to search for']
+      });
+    }
+
+    const variant = getViewerVariant(req);
+    const sections = [];
+    for (const section of VALID_SECTIONS) {
+      const entry = await readSectionEntry(section, req.storage);
+      if (entry) {
+        sections.push({
+          section,
+          documents: getSectionDocuments(req.storage, section, { variant, etag: entry.etag },
+            () => forViewer(req, section, entry.data))
+        });
+      }
+    }
+
+    const results = searchDocuments(sections, terms);
+    res.json({
+      query: value.q,
+      total: results.length,
+      results: results.slice(0, value.limit)
+    });
+  } catch (error) {
+    console.error('Error searching portfolio:', error);
+    res.status(500).json({ error: 'Error searching portfolio' });
+  }
+});
+
+// List the translations missing from localized text (bio, about, job and project
+// descriptions, achievements): each needs one for every supported locale
+router.get(['/translations', '/translations/:section'], authenticateToken, requireScope(Scopes.TRANSLATIONS_READ), async (req, res) => {
+  try {
+    const { section } = req.params;
+    if (section && !VALID_SECTIONS.includes(section)) {
+      return res.status(400).json({ error: 'Invalid section' });
+    }
+
+    const missing = {};
+    for (const localizedSection of section ? [section] : LocalizedSections) {
+      missing[localizedSection] = findMissingTranslations(
+        localizedSection,
+        await readSectionDataIfExists(localizedSection, req.storage)
+      );
+    }
+
+    res.json({
+      defaultLocale: getDefaultLocale(),
+      locales: getSupportedLocales(),
+      total: Object.values(missing).reduce((count, fields) => count + fields.length, 0),
+      missing
+    });
+  } catch (error) {
+    console.error('Error listing missing translations:', error);
+    res.status(500).json({ error: 'Error listing missing translations' });
+  }
+});
+
+// Get the JSON Schema of a section, generated from its validation schema, so forms can
+// check the same rules. The whole API is described by /api/docs/openapi.json.
+router.get('/schema/:section', (req, res) => {
+  const { section } = req.params;
+  if (!VALID_SECTIONS.includes(section)) {
+    return res.status(400).json({ error: 'Invalid section' });
+  }
+
+  res.json({
+    $schema: JSON_SCHEMA_DIALECT,
+    title: section,
+    ...toJsonSchema(schemaMap[section])
+  });
+});
+
+// List the templates the CV can be rendered with
+router.get('/resume/templates', (req, res) => {
+  res.json(Object.entries(ResumeTemplates).map(([name, template]) => ({
+    name,
+    description: template.description,
+    sections: template.sections
+  })));
+});
+
+// Render the CV as HTML, PDF or Markdown (format query or Accept header).
+// Query: template, sections (comma separated), from and to (YYYY or YYYY-MM), lang.
+router.get('/resume', negotiateLocale(), async (req, res) => {
+  try {
+    const { error, value: options } = validateWith(resumeOptionsSchema, {
+      ...req.query,
+      sections: typeof req.query.sections === 'string' ? req.query.sections.split(',') : req.query.sections
+    });
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const format = resolveResumeFormat(req, options.format);
+    if (!format) {
+      return res.status(406).json({
+        error: 'Not acceptable',
+        formats: Object.values(ResumeFormats)
+      });
+    }
+
+    const portfolioData = {};
+    for (const section of VALID_SECTIONS) {
+      portfolioData[section] = localizeSection(section, await readSectionDataIfExists(section, req.storage), req.locale);
+    }
+    const resume = buildResume(portfolioData, { ...options, locale: req.locale });
+    const filename = `${(resume.name || 'cv').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'cv'}-cv`;
+
+    res.vary('Accept');
+    if (format === 'pdf') {
+      const pdf = await renderResumePdf(resume);
+      res.set('Content-Disposition', `inline; filename="${filename}.pdf"`);
+      return res.type(ResumeFormats.pdf).send(pdf);
+    }
+    if (format === 'markdown') {
+      res.set('Content-Disposition', `inline; filename="${filename}.md"`);
+      return res.type(`${ResumeFormats.markdown}; charset=utf-8`).send(renderResumeMarkdown(resume));
+    }
+    res.type(`${ResumeFormats.html}; charset=utf-8`).send(renderResumeHtml(resume));
+  } catch (error) {
+    console.error('Error rendering CV:', error);
+    res.status(500).json({ error: 'Error rendering CV' });
+  }
+});
+
+// Export the portfolio as a JSON Resume document (https://jsonresume.org)
+router.get('/export/json-resume', authenticateOptional, negotiateLocale(), async (req, res) => {
+  try {
+    const portfolioData = {};
+    for (const section of VALID_SECTIONS) {
+      const data = await readSectionDataIfExists(section, req.storage);
+      portfolioData[section] = data && forViewer(req, section, data);
+    }
+
+    res.json(toJsonResume(portfolioData));
+  } catch (error) {
+    console.error('Error exporting JSON Resume:', error);
+    res.status(500).json({ error: 'Error exporting JSON Resume' });
+  }
+});
+
+// Preview the import of a JSON Resume document without saving
+router.post('/import/json-resume/preview', authenticateToken, requireScope(Scopes.JSON_RESUME_IMPORT), parseMergeStrategies, parseCategorizationPreferences, async (req, res) => {
+  try {
+    const prepared = await prepareJsonResumeImport(req, res);
+    if (!prepared) {
+      return;
+    }
+
+    const { portfolioData, conflicts, validation } = prepared;
+    res.json({
+      message: 'JSON Resume preview',
+      portfolioData,
+      sections: Object.keys(portfolioData),
+      conflicts,
+      validation
+    });
+  } catch (error) {
+    console.error('Error previewing JSON Resume import:', error);
+    res.status(500).json({
+      error: 'Failed to preview JSON Resume import',
+      details: error.message
+    });
+  }
+});
+
+// Import a JSON Resume document, all sections or none (saved as drafts unless ?publish=true)
+router.post('/import/json-resume', authenticateToken, requireScope(Scopes.JSON_RESUME_IMPORT), parseMergeStrategies, parseCategorizationPreferences, async (req, res) => {
+  try {
+    const prepared = await prepareJsonResumeImport(req, res);
+    if (!prepared) {
+      return;
+    }
+
+    const { portfolioData, conflicts, validation } = prepared;
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Imported data failed validation, no sections were changed',
+        conflicts,
+        validation
+      });
+    }
+
+    const saved = await saveImportedSections(portfolioData, {
+      publish: req.query.publish === 'true',
+      author: getRequestAuthor(req),
+      source: 'json-resume-import'
+    }, req.storage);
+
+    res.json({
+      message: saved.published ? 'JSON Resume imported successfully' : 'JSON Resume imported as drafts',
+      sections: Object.keys(portfolioData),
+      ...saved,
+      conflicts,
+      validation
+    });
+  } catch (error) {
+    console.error('Error importing JSON Resume:', error);
+    res.status(500).json({
+      error: 'Failed to import JSON Resume',
+      details: error.message
+    });
+  }
+});
+
+// Get specific section (with hidden content for signed-in admins and editors).
+// Experience and projects can be filtered, sorted and paginated with query parameters:
+//   experience: skill, location (comma separated), current, from, to (YYYY or YYYY-MM),
+//     sort (startDate, endDate, title, company)
+//   projects: technology (comma separated), sort (name)
+//   both: order (asc, desc), limit, offset; the response then includes the pagination
+// Localized text is in the locale of the lang query or Accept-Language, lang=all gives every translation.
+router.get('/:section', authenticateOptional, negotiateLocale({ allowAll: true }), async (req, res) => {
   try {
     const { section } = req.params;
     
@@ -96,12 +595,28 @@ router.get('/:section', async (req, res) => {
       return res.status(400).json({ error: 'Invalid section' });
     }
 
-    const data = await readSectionData(section);
-    res.json(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
+    const { error, value: query } = parseListQuery(section, req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const entry = await readSectionEntry(section, req.storage);
+    if (!entry) {
       return res.status(404).json({ error: 'Section not found' });
     }
+    if (sendNotModified(req, res, [entry], query)) return;
+
+    const data = await forResponse(req, section, structuredClone(entry.data));
+    if (!query) {
+      return res.json(data);
+    }
+
+    const { data: page, pagination } = applyListQuery(section, data, query);
+    res.json({ ...page, pagination });
+  } catch (error) {
     console.error('Error reading portfolio section:', error);
     res.status(500).json({ error: 'Error reading portfolio section' });
   }
@@ -110,15 +625,13 @@ router.get('/:section', async (req, res) => {
 // Get skills structure and categories
 router.get('/skills/structure', async (req, res) => {
   try {
+    const taxonomy = await getSkillTaxonomy(getStorage());
     const skillsStructure = {
-      availableRoles: [
-        'Frontend Development',
-        'Backend Development',
-        'Data & Analytics',
-        'DevOps & Infrastructure',
-        'Tools & Platforms',
-        'Other'
-      ]
+      availableRoles: getRoleNames(taxonomy),
+      roles: taxonomy.roles.map(role => ({
+        name: role.name,
+        subcategories: role.subcategories.map(subcategory => subcategory.name)
+      }))
     };
     
     res.json(skillsStructure);
@@ -129,9 +642,9 @@ router.get('/skills/structure', async (req, res) => {
 });
 
 // Get flattened skills for backward compatibility
-router.get('/skills/flat', async (req, res) => {
+router.get('/skills/flat', authenticateOptional, async (req, res) => {
   try {
-    const skillsData = await readSectionData('skills');
+    const skillsData = forViewer(req, 'skills', await readSectionData('skills', req.storage));
     const flattenedSkills = {
       skillCategories: flattenSkills(skillsData.skillCategories)
     };
@@ -145,8 +658,118 @@ router.get('/skills/flat', async (req, res) => {
   }
 });
 
-// Update all portfolio data
-router.put('/', authenticateToken, async (req, res) => {
+// List revision history of a section
+router.get('/:section/history', authenticateToken, requireScope(Scopes.HISTORY_READ), async (req, res) => {
+  try {
+    const { section } = req.params;
+
+    if (!VALID_SECTIONS.includes(section)) {
+      return res.status(400).json({ error: 'Invalid section' });
+    }
+
+    const revisions = await listRevisions(req.storage, section);
+    res.json({ section, revisions });
+  } catch (error) {
+    console.error('Error reading revision history:', error);
+    res.status(500).json({ error: 'Error reading revision history' });
+  }
+});
+
+// Diff two revisions of a section (?from=<revisionId>&to=<revisionId>, "to" defaults to the current data)
+router.get('/:section/history/diff', authenticateToken, requireScope(Scopes.HISTORY_READ), async (req, res) => {
+  try {
+    const { section } = req.params;
+    const { from, to } = req.query;
+
+    if (!VALID_SECTIONS.includes(section)) {
+      return res.status(400).json({ error: 'Invalid section' });
+    }
+
+    if (!from) {
+      return res.status(400).json({ error: 'Query parameter "from" is required' });
+    }
+
+    const fromRevision = await getRevision(req.storage, section, from);
+    if (!fromRevision) {
+      return res.status(404).json({ error: `Revision not found: ${from}` });
+    }
+
+    let toData;
+    if (to) {
+      const toRevision = await getRevision(req.storage, section, to);
+      if (!toRevision) {
+        return res.status(404).json({ error: `Revision not found: ${to}` });
+      }
+      toData = toRevision.data;
+    } else {
+      toData = await readSectionDataIfExists(section, req.storage);
+    }
+
+    res.json({
+      section,
+      from,
+      to: to || 'current',
+      changes: diffJson(fromRevision.data, toData)
+    });
+  } catch (error) {
+    console.error('Error comparing revisions:', error);
+    res.status(500).json({ error: 'Error comparing revisions' });
+  }
+});
+
+// Get a single revision of a section
+router.get('/:section/history/:revisionId', authenticateToken, requireScope(Scopes.HISTORY_READ), async (req, res) => {
+  try {
+    const { section, revisionId } = req.params;
+
+    if (!VALID_SECTIONS.includes(section)) {
+      return res.status(400).json({ error: 'Invalid section' });
+    }
+
+    const revision = await getRevision(req.storage, section, revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    console.error('Error reading revision:', error);
+    res.status(500).json({ error: 'Error reading revision' });
+  }
+});
+
+// Roll a section back to a previous revision. This publishes directly, restoring content
+// that was published before; a pending draft of the section is left as it is.
+router.post('/:section/rollback/:revisionId', authenticateToken, requireScope(sectionWriteScopes), async (req, res) => {
+  try {
+    const { section, revisionId } = req.params;
+
+    if (!VALID_SECTIONS.includes(section)) {
+      return res.status(400).json({ error: 'Invalid section' });
+    }
+
+    const revision = await getRevision(req.storage, section, revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const newRevision = await writeSectionData(section, revision.data, {
+      author: getRequestAuthor(req),
+      source: `rollback:${revisionId}`
+    }, req.storage);
+
+    res.json({
+      message: `${section} section rolled back successfully`,
+      revision: newRevision
+    });
+  } catch (error) {
+    console.error('Error rolling back portfolio section:', error);
+    res.status(500).json({ error: 'Error rolling back portfolio section' });
+  }
+});
+
+// Update all portfolio data (saved as drafts unless ?publish=true)
+router.put('/', authenticateToken, requireScope(sectionWriteScopes), async (req, res) => {
   try {
     const newData = req.body;
     const validationErrors = {};
@@ -172,22 +795,42 @@ router.put('/', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update each section
+    // Update all sections in one transaction
+    const sections = {};
     for (const section of VALID_SECTIONS) {
       if (newData[section]) {
-        await writeSectionData(section, newData[section]);
+        sections[section] = newData[section];
       }
     }
 
-    res.json({ message: 'Portfolio data updated successfully' });
+    // Save as drafts unless asked to publish right away (?publish=true)
+    if (req.query.publish !== 'true') {
+      await saveDrafts(req.storage, sections, getRequestAuthor(req));
+      return res.json({ 
+        message: 'Portfolio drafts saved successfully',
+        sections: Object.keys(sections)
+      });
+    }
+
+    const revisions = await writeSectionsData(sections, {
+      author: getRequestAuthor(req),
+      source: 'api'
+    }, req.storage);
+    await discardDrafts(req.storage, Object.keys(sections));
+
+    res.json({ 
+      message: 'Portfolio data updated successfully',
+      sections: Object.keys(sections),
+      revisions
+    });
   } catch (error) {
     console.error('Error updating portfolio data:', error);
-    res.status(500).json({ error: 'Error updating portfolio data' });
+    res.status(500).json({ error: 'Error updating portfolio data, no sections were changed' });
   }
 });
 
-// Update specific section
-router.put('/:section', authenticateToken, async (req, res) => {
+// Update specific section (saved as a draft unless ?publish=true)
+router.put('/:section', authenticateToken, requireScope(sectionWriteScopes), async (req, res) => {
   try {
     const { section } = req.params;
     const newSectionData = req.body;
@@ -205,9 +848,24 @@ router.put('/:section', authenticateToken, async (req, res) => {
       });
     }
 
-    // Write validated and sanitized data
-    await writeSectionData(section, value);
-    res.json({ message: `${section} section updated successfully` });
+    // Save validated and sanitized data as a draft unless asked to publish right away (?publish=true)
+    if (req.query.publish !== 'true') {
+      const drafts = await saveDrafts(req.storage, { [section]: value }, getRequestAuthor(req));
+      return res.json({ 
+        message: `${section} draft saved successfully`,
+        draft: drafts[section]
+      });
+    }
+
+    const revision = await writeSectionData(section, value, {
+      author: getRequestAuthor(req),
+      source: 'api'
+    }, req.storage);
+    await discardDrafts(req.storage, [section]);
+    res.json({ 
+      message: `${section} section updated successfully`,
+      revision
+    });
   } catch (error) {
     console.error('Error updating portfolio section:', error);
     res.status(500).json({ error: 'Error updating portfolio section' });
@@ -0,0 +1,113 @@
+import express from 'express';
+import { authenticateToken, getRequestAuthor, requireScope } from '../middleware/auth.js';
+import { Scopes } from '../constants/scopes.js';
+import { resolveProfile } from '../middleware/profile.js';
+import { getStorage } from '../storage/index.js';
+import { profileSchema, validateWith } from '../validation/schemas.js';
+import {
+  ROOT_PROFILE,
+  cloneProfile,
+  createProfile,
+  deleteProfile,
+  getDefaultProfile,
+  getProfile,
+  listProfiles
+} from '../utils/profiles.js';
+import portfolioRoutes from './portfolio.js';
+import linkedinRoutes from './linkedin.js';
+import contactRoutes from './contact.js';
+import mediaRoutes from './media.js';
+
+const router = express.Router();
+
+// Helper function to validate a new profile, answering 400/409 if it can't be created
+const validateNewProfile = async (req, res) => {
+  const { error, value } = validateWith(profileSchema, req.body);
+  if (error) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+    return null;
+  }
+
+  if (await getProfile(getStorage(), value.slug)) {
+    res.status(409).json({ error: `Profile already exists: ${value.slug}` });
+    return null;
+  }
+  return value;
+};
+
+// List profiles
+router.get('/', async (req, res) => {
+  try {
+    const profiles = await listProfiles(getStorage());
+    res.json({ defaultProfile: getDefaultProfile(), profiles });
+  } catch (error) {
+    console.error('Error listing profiles:', error);
+    res.status(500).json({ error: 'Error listing profiles' });
+  }
+});
+
+// Create a profile, initialized with example or placeholder data
+router.post('/', authenticateToken, requireScope(Scopes.PROFILES_WRITE), async (req, res) => {
+  try {
+    const value = await validateNewProfile(req, res);
+    if (!value) return;
+
+    const profile = await createProfile(getStorage(), { ...value, author: getRequestAuthor(req) });
+    res.status(201).json({
+      message: `Profile ${profile.slug} created successfully`,
+      profile
+    });
+  } catch (error) {
+    console.error('Error creating profile:', error);
+    res.status(500).json({ error: 'Error creating profile' });
+  }
+});
+
+// Get a profile
+router.get('/:slug', resolveProfile, (req, res) => {
+  res.json(req.profile);
+});
+
+// Create a profile as a copy of an existing one
+router.post('/:slug/clone', authenticateToken, requireScope(Scopes.PROFILES_WRITE), resolveProfile, async (req, res) => {
+  try {
+    const value = await validateNewProfile(req, res);
+    if (!value) return;
+
+    const profile = await cloneProfile(getStorage(), req.profile.slug, { ...value, author: getRequestAuthor(req) });
+    res.status(201).json({
+      message: `Profile ${req.profile.slug} cloned to ${profile.slug} successfully`,
+      profile
+    });
+  } catch (error) {
+    console.error('Error cloning profile:', error);
+    res.status(500).json({ error: 'Error cloning profile' });
+  }
+});
+
+// Delete a profile and all of its data
+router.delete('/:slug', authenticateToken, requireScope(Scopes.PROFILES_WRITE), resolveProfile, async (req, res) => {
+  try {
+    const { slug } = req.profile;
+    if (slug === ROOT_PROFILE || slug === getDefaultProfile()) {
+      return res.status(409).json({ error: `The ${slug} profile can't be deleted` });
+    }
+
+    await deleteProfile(getStorage(), slug);
+    res.json({ message: `Profile ${slug} deleted successfully` });
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    res.status(500).json({ error: 'Error deleting profile' });
+  }
+});
+
+// Portfolio, LinkedIn import, contact form and media routes of a profile
+router.use('/:slug/portfolio', resolveProfile, portfolioRoutes);
+router.use('/:slug/linkedin', resolveProfile, linkedinRoutes);
+router.use('/:slug/contact', resolveProfile, contactRoutes);
+router.use('/:slug/media', resolveProfile, mediaRoutes);
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,264 @@
+import express from 'express';
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+import { Scopes } from '../constants/scopes.js';
+import { getStorage } from '../storage/index.js';
+import {
+  skillTaxonomySchema,
+  taxonomyRoleSchema,
+  taxonomySubcategorySchema,
+  validateWith
+} from '../validation/schemas.js';
+import {
+  DEFAULT_SKILL_TAXONOMY,
+  explainSkillCategory,
+  getSkillTaxonomy,
+  saveSkillTaxonomy
+} from '../utils/skillTaxonomy.js';
+import { MIN_CONFIDENCE } from '../utils/skillClassifier.js';
+
+const router = express.Router();
+
+// Scope needed by a taxonomy request: reading it (or explaining categories) needs
+// taxonomy:read, changing it taxonomy:write
+const taxonomyScope = (req) =>
+  (['GET', 'HEAD'].includes(req.method) ? Scopes.TAXONOMY_READ : Scopes.TAXONOMY_WRITE);
+
+// Every taxonomy endpoint is for signed-in users with the scope it needs
+router.use(authenticateToken, requireScope(taxonomyScope));
+
+// Helper function to get the next free order value of a list
+const nextOrder = (items) =>
+  items.reduce((max, item) => Math.max(max, item.order ?? 0), -1) + 1;
+
+// Helper function to validate and save a changed taxonomy
+const saveTaxonomy = async (res, taxonomy, message) => {
+  const { error, value } = validateWith(skillTaxonomySchema, taxonomy);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  const saved = await saveSkillTaxonomy(getStorage(), value);
+  res.json({ message, taxonomy: saved });
+};
+
+// Helper function to find a role by name, answering 404 if it doesn't exist
+const findRole = (res, taxonomy, name) => {
+  const role = taxonomy.roles.find(taxonomyRole => taxonomyRole.name === name);
+  if (!role) {
+    res.status(404).json({ error: `Role not found: ${name}` });
+  }
+  return role;
+};
+
+// Get the skill taxonomy
+router.get('/', async (req, res) => {
+  try {
+    res.json(await getSkillTaxonomy(getStorage()));
+  } catch (error) {
+    console.error('Error reading skill taxonomy:', error);
+    res.status(500).json({ error: 'Error reading skill taxonomy' });
+  }
+});
+
+// Explain how skills are categorized, e.g. GET /explain?skill=JavaScript&skill=k8s
+router.get('/explain', async (req, res) => {
+  try {
+    const skills = [].concat(req.query.skill || []).filter(Boolean);
+    if (skills.length === 0) {
+      return res.status(400).json({ error: 'Query parameter "skill" is required' });
+    }
+
+    const taxonomy = await getSkillTaxonomy(getStorage());
+    res.json({
+      minConfidence: MIN_CONFIDENCE,
+      results: skills.map(skill => explainSkillCategory(skill, taxonomy))
+    });
+  } catch (error) {
+    console.error('Error explaining skill categories:', error);
+    res.status(500).json({ error: 'Error explaining skill categories' });
+  }
+});
+
+// Replace the whole skill taxonomy
+router.put('/', async (req, res) => {
+  try {
+    await saveTaxonomy(res, req.body, 'Skill taxonomy updated successfully');
+  } catch (error) {
+    console.error('Error updating skill taxonomy:', error);
+    res.status(500).json({ error: 'Error updating skill taxonomy' });
+  }
+});
+
+// Restore the default skill taxonomy
+router.post('/reset', async (req, res) => {
+  try {
+    await saveTaxonomy(res, JSON.parse(JSON.stringify(DEFAULT_SKILL_TAXONOMY)), 'Skill taxonomy reset to defaults');
+  } catch (error) {
+    console.error('Error resetting skill taxonomy:', error);
+    res.status(500).json({ error: 'Error resetting skill taxonomy' });
+  }
+});
+
+// Add a role
+router.post('/roles', async (req, res) => {
+  try {
+    const { error, value: role } = validateWith(taxonomyRoleSchema, req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const taxonomy = await getSkillTaxonomy(getStorage());
+    if (taxonomy.roles.some(taxonomyRole => taxonomyRole.name === role.name)) {
+      return res.status(409).json({ error: `Role already exists: ${role.name}` });
+    }
+
+    taxonomy.roles.push({ ...role, order: role.order ?? nextOrder(taxonomy.roles) });
+    await saveTaxonomy(res, taxonomy, `Role ${role.name} added successfully`);
+  } catch (error) {
+    console.error('Error adding taxonomy role:', error);
+    res.status(500).json({ error: 'Error adding taxonomy role' });
+  }
+});
+
+// Update a role (name, order and/or subcategories)
+router.put('/roles/:role', async (req, res) => {
+  try {
+    const taxonomy = await getSkillTaxonomy(getStorage());
+    const role = findRole(res, taxonomy, req.params.role);
+    if (!role) return;
+
+    const { name, order, subcategories } = req.body;
+    Object.assign(role, {
+      ...(name !== undefined && { name }),
+      ...(order !== undefined && { order }),
+      ...(subcategories !== undefined && { subcategories })
+    });
+
+    await saveTaxonomy(res, taxonomy, `Role ${role.name} updated successfully`);
+  } catch (error) {
+    console.error('Error updating taxonomy role:', error);
+    res.status(500).json({ error: 'Error updating taxonomy role' });
+  }
+});
+
+// Delete a role
+router.delete('/roles/:role', async (req, res) => {
+  try {
+    const taxonomy = await getSkillTaxonomy(getStorage());
+    if (!findRole(res, taxonomy, req.params.role)) return;
+
+    taxonomy.roles = taxonomy.roles.filter(taxonomyRole => taxonomyRole.name !== req.params.role);
+    await saveTaxonomy(res, taxonomy, `Role ${req.params.role} deleted successfully`);
+  } catch (error) {
+    console.error('Error deleting taxonomy role:', error);
+    res.status(500).json({ error: 'Error deleting taxonomy role' });
+  }
+});
+
+// Add a subcategory to a role
+router.post('/roles/:role/subcategories', async (req, res) => {
+  try {
+    const { error, value: subcategory } = validateWith(taxonomySubcategorySchema, req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const taxonomy = await getSkillTaxonomy(getStorage());
+    const role = findRole(res, taxonomy, req.params.role);
+    if (!role) return;
+
+    if (role.subcategories.some(existing => existing.name === subcategory.name)) {
+      return res.status(409).json({ error: `Subcategory already exists: ${subcategory.name}` });
+    }
+
+    role.subcategories.push({ ...subcategory, order: subcategory.order ?? nextOrder(role.subcategories) });
+    await saveTaxonomy(res, taxonomy, `Subcategory ${subcategory.name} added successfully`);
+  } catch (error) {
+    console.error('Error adding taxonomy subcategory:', error);
+    res.status(500).json({ error: 'Error adding taxonomy subcategory' });
+  }
+});
+
+// Update a subcategory (name, order and/or keywords)
+router.put('/roles/:role/subcategories/:subcategory', async (req, res) => {
+  try {
+    const taxonomy = await getSkillTaxonomy(getStorage());
+    const role = findRole(res, taxonomy, req.params.role);
+    if (!role) return;
+
+    const subcategory = role.subcategories.find(existing => existing.name === req.params.subcategory);
+    if (!subcategory) {
+      return res.status(404).json({ error: `Subcategory not found: ${req.params.subcategory}` });
+    }
+
+    const { name, order, keywords } = req.body;
+    Object.assign(subcategory, {
+      ...(name !== undefined && { name }),
+      ...(order !== undefined && { order }),
+      ...(keywords !== undefined && { keywords })
+    });
+
+    await saveTaxonomy(res, taxonomy, `Subcategory ${subcategory.name} updated successfully`);
+  } catch (error) {
+    console.error('Error updating taxonomy subcategory:', error);
+    res.status(500).json({ error: 'Error updating taxonomy subcategory' });
+  }
+});
+
+// Delete a subcategory
+router.delete('/roles/:role/subcategories/:subcategory', async (req, res) => {
+  try {
+    const taxonomy = await getSkillTaxonomy(getStorage());
+    const role = findRole(res, taxonomy, req.params.role);
+    if (!role) return;
+
+    if (!role.subcategories.some(existing => existing.name === req.params.subcategory)) {
+      return res.status(404).json({ error: `Subcategory not found: ${req.params.subcategory}` });
+    }
+
+    role.subcategories = role.subcategories.filter(existing => existing.name !== req.params.subcategory);
+    await saveTaxonomy(res, taxonomy, `Subcategory ${req.params.subcategory} deleted successfully`);
+  } catch (error) {
+    console.error('Error deleting taxonomy subcategory:', error);
+    res.status(500).json({ error: 'Error deleting taxonomy subcategory' });
+  }
+});
+
+// Set the aliases of a keyword, e.g. PUT /aliases/kubernetes { "aliases": ["k8s"] }
+router.put('/aliases/:keyword', async (req, res) => {
+  try {
+    const taxonomy = await getSkillTaxonomy(getStorage());
+    taxonomy.aliases = { ...taxonomy.aliases, [req.params.keyword]: req.body.aliases };
+    await saveTaxonomy(res, taxonomy, `Aliases of ${req.params.keyword} updated successfully`);
+  } catch (error) {
+    console.error('Error updating taxonomy aliases:', error);
+    res.status(500).json({ error: 'Error updating taxonomy aliases' });
+  }
+});
+
+// Remove the aliases of a keyword
+router.delete('/aliases/:keyword', async (req, res) => {
+  try {
+    const taxonomy = await getSkillTaxonomy(getStorage());
+    if (!taxonomy.aliases?.[req.params.keyword]) {
+      return res.status(404).json({ error: `No aliases for keyword: ${req.params.keyword}` });
+    }
+
+    const { [req.params.keyword]: removed, ...aliases } = taxonomy.aliases;
+    await saveTaxonomy(res, { ...taxonomy, aliases }, `Aliases of ${req.params.keyword} removed successfully`);
+  } catch (error) {
+    console.error('Error removing taxonomy aliases:', error);
+    res.status(500).json({ error: 'Error removing taxonomy aliases' });
+  }
+});
+
+export default router;
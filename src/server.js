@@ -1,13 +1,25 @@
 import express from 'express';
 import cors from 'cors';
-import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import portfolioRoutes from './routes/portfolio.js';
 import linkedinRoutes from './routes/linkedin.js';
-import { initializeDataDirectory, resetDataDirectory } from './utils/dataInitializer.js';
-import { authenticateToken } from './middleware/auth.js';
+import taxonomyRoutes from './routes/taxonomy.js';
+import profileRoutes from './routes/profiles.js';
+import contactRoutes from './routes/contact.js';
+import mediaRoutes from './routes/media.js';
+import authRoutes, { login } from './routes/auth.js';
+import docsRoutes from './routes/docs.js';
+import { initializeProfiles, resetDataDirectory } from './utils/profiles.js';
+import { assertSecureConfiguration } from './utils/credentials.js';
+import { startPublishScheduler } from './utils/publishScheduler.js';
+import { MEDIA_URL_PATH, getMediaDirPath } from './utils/media.js';
+import { getStorage } from './storage/index.js';
+import { authenticateToken, requireScope } from './middleware/auth.js';
+import { Scopes } from './constants/scopes.js';
+import { useDefaultProfile } from './middleware/profile.js';
+import { getTrustProxySetting } from './utils/trustProxy.js';
 
 // Get directory name for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -18,32 +30,50 @@ dotenv.config({ path: join(__dirname, '../.env') });
 
 const app = express();
 const PORT = process.env.PORT || 3001;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// Refuse to start in production with the default secrets
+try {
+  await assertSecureConfiguration(getStorage());
+} catch (error) {
+  console.error(`Refusing to start: ${error.message}`);
+  process.exit(1);
+}
+
+// Client addresses (logins, contact messages) are only taken from X-Forwarded-For
+// when the proxy in front of the API is trusted (TRUST_PROXY)
+app.set('trust proxy', getTrustProxySetting());
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
 // Login endpoint
-app.post('/api/login', (req, res) => {
-  const { password } = req.body;
-  
-  // In production, use environment variable for password
-  const correctPassword = process.env.ADMIN_PASSWORD || 'admin123';
-  
-  if (password === correctPassword) {
-    const token = jwt.sign({ role: 'admin' }, JWT_SECRET, { expiresIn: '24h' });
-    res.json({ token });
-  } else {
-    res.status(401).json({ error: 'Invalid password' });
-  }
-});
+app.post('/api/login', login);
 
-// Portfolio routes
-app.use('/api/portfolio', portfolioRoutes);
+// Token refresh, logout and password change
+app.use('/api/auth', authRoutes);
 
-// LinkedIn import routes
-app.use('/api/linkedin', linkedinRoutes);
+// Portfolio routes (of the default profile)
+app.use('/api/portfolio', useDefaultProfile, portfolioRoutes);
+
+// LinkedIn import routes (into the default profile)
+app.use('/api/linkedin', useDefaultProfile, linkedinRoutes);
+
+// Contact form messages (to the default profile)
+app.use('/api/contact', useDefaultProfile, contactRoutes);
+
+// Media uploads (of the default profile) and the uploaded files, which never change
+app.use('/api/media', useDefaultProfile, mediaRoutes);
+app.use(MEDIA_URL_PATH, express.static(getMediaDirPath(), { immutable: true, maxAge: '1y' }));
+
+// Profiles, each with its own portfolio and LinkedIn import routes
+app.use('/api/profiles', profileRoutes);
+
+// Skill taxonomy admin routes
+app.use('/api/taxonomy', taxonomyRoutes);
+
+// OpenAPI document and interactive API documentation
+app.use('/api/docs', docsRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -52,9 +82,9 @@ app.get('/api/health', (req, res) => {
 
 // Development endpoint to reset data (only in development)
 if (process.env.NODE_ENV === 'development') {
-  app.post('/api/reset-data', authenticateToken, async (req, res) => {
+  app.post('/api/reset-data', authenticateToken, requireScope(Scopes.DATA_RESET), async (req, res) => {
     try {
-      await resetDataDirectory();
+      await resetDataDirectory(getStorage());
       res.json({ message: 'Data directory reset successfully' });
     } catch (error) {
       console.error('Error resetting data directory:', error);
@@ -68,10 +98,13 @@ app.listen(PORT, async () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   
-  // Initialize data directory if it doesn't exist
+  // Initialize data directory and profiles if they don't exist
   try {
-    await initializeDataDirectory();
+    await initializeProfiles(getStorage());
   } catch (error) {
     console.error('Error initializing data directory:', error);
   }
+
+  // Publish drafts when their scheduled time comes
+  startPublishScheduler(getStorage());
 }); 
\ No newline at end of file
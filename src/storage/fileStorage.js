@@ -0,0 +1,101 @@
+import fs from 'fs/promises';
+import { join, relative, sep } from 'path';
+import { writeFileAtomic, writeFilesAtomic, recoverTransaction } from '../utils/atomicWrite.js';
+
+/**
+ * File system storage: every key is a JSON file under the data directory,
+ * e.g. "experience" -> data/experience.json, "history/about" -> data/history/about.json
+ */
+export const createFileStorage = ({ dataDir }) => {
+  const getKeyPath = (key) => join(dataDir, `${key}.json`);
+  const getJournalPath = () => join(dataDir, '.transaction.json');
+  let transactionQueue = Promise.resolve();
+
+  const read = async (key) => {
+    try {
+      const data = await fs.readFile(getKeyPath(key), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  const write = async (key, value) => {
+    await writeFileAtomic(getKeyPath(key), JSON.stringify(value, null, 2));
+  };
+
+  // Transactions share one journal, so they are queued and run one at a time
+  const writeMany = async (entries) => {
+    transactionQueue = transactionQueue
+      .catch(() => {})
+      .then(() => writeFilesAtomic(
+        entries.map(({ key, value }) => ({
+          path: getKeyPath(key),
+          content: JSON.stringify(value, null, 2)
+        })),
+        { journalPath: getJournalPath() }
+      ));
+
+    await transactionQueue;
+  };
+
+  const remove = async (key) => {
+    await fs.rm(getKeyPath(key), { force: true });
+  };
+
+  const has = async (key) => {
+    try {
+      await fs.access(getKeyPath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const list = async (prefix = '') => {
+    let files;
+    try {
+      files = await fs.readdir(dataDir, { recursive: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return files
+      // Skip the transaction journal and any dotfiles
+      .filter(file => file.endsWith('.json') && !file.split(sep).some(part => part.startsWith('.')))
+      .map(file => relative(dataDir, join(dataDir, file)).split(sep).join('/').slice(0, -'.json'.length))
+      .filter(key => key.startsWith(prefix))
+      .sort();
+  };
+
+  const clear = async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  };
+
+  const init = async () => {
+    await fs.mkdir(dataDir, { recursive: true });
+
+    // Undo any multi-key write that was interrupted by a crash
+    if (await recoverTransaction(getJournalPath())) {
+      console.log('Rolled back an interrupted data transaction');
+    }
+  };
+
+  return {
+    backend: 'file',
+    read,
+    write,
+    writeMany,
+    remove,
+    has,
+    list,
+    clear,
+    init
+  };
+};
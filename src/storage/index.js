@@ -0,0 +1,58 @@
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { createFileStorage } from './fileStorage.js';
+import { createMemoryStorage } from './memoryStorage.js';
+import { createSqliteStorage } from './sqliteStorage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const STORAGE_BACKENDS = ['file', 'memory', 'sqlite'];
+
+// Get the data directory path (DATA_DIR, defaults to data/ in the project root)
+export const getDataDirPath = () =>
+  process.env.DATA_DIR ? resolve(process.env.DATA_DIR) : join(__dirname, '../../data');
+
+/**
+ * Create a storage backend.
+ * Every backend exposes the same async interface:
+ *   read(key), write(key, value), writeMany([{ key, value }]), remove(key),
+ *   has(key), list(prefix), clear(), init()
+ * Values are plain JSON documents; read() returns null for missing keys and
+ * writeMany() writes all entries or none of them.
+ */
+export const createStorage = (backend = process.env.STORAGE_BACKEND || 'file') => {
+  switch (backend) {
+    case 'file':
+      return createFileStorage({ dataDir: getDataDirPath() });
+    case 'memory':
+      return createMemoryStorage();
+    case 'sqlite':
+      return createSqliteStorage({
+        dbPath: process.env.SQLITE_PATH
+          ? resolve(process.env.SQLITE_PATH)
+          : join(getDataDirPath(), 'portfolio.sqlite')
+      });
+    default:
+      throw new Error(`Unknown storage backend: ${backend} (expected one of ${STORAGE_BACKENDS.join(', ')})`);
+  }
+};
+
+let storage = null;
+
+/**
+ * Get the storage backend selected by STORAGE_BACKEND
+ */
+export const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+/**
+ * Replace the active storage backend (e.g. with an in-memory one in tests)
+ */
+export const setStorage = (newStorage) => {
+  storage = newStorage;
+};
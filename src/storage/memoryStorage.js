@@ -0,0 +1,53 @@
+/**
+ * In-memory storage, mainly for tests. Values are stored serialized so callers
+ * never share object references with the store, just like with the other backends.
+ */
+export const createMemoryStorage = (initialData = {}) => {
+  const documents = new Map(
+    Object.entries(initialData).map(([key, value]) => [key, JSON.stringify(value)])
+  );
+
+  const read = async (key) => {
+    const data = documents.get(key);
+    return data === undefined ? null : JSON.parse(data);
+  };
+
+  const write = async (key, value) => {
+    documents.set(key, JSON.stringify(value));
+  };
+
+  const writeMany = async (entries) => {
+    // Serialize everything first so a bad value leaves the store untouched
+    const serialized = entries.map(({ key, value }) => [key, JSON.stringify(value)]);
+    for (const [key, data] of serialized) {
+      documents.set(key, data);
+    }
+  };
+
+  const remove = async (key) => {
+    documents.delete(key);
+  };
+
+  const has = async (key) => documents.has(key);
+
+  const list = async (prefix = '') =>
+    [...documents.keys()].filter(key => key.startsWith(prefix)).sort();
+
+  const clear = async () => {
+    documents.clear();
+  };
+
+  const init = async () => {};
+
+  return {
+    backend: 'memory',
+    read,
+    write,
+    writeMany,
+    remove,
+    has,
+    list,
+    clear,
+    init
+  };
+};
@@ -0,0 +1,44 @@
+/**
+ * Storage that keeps its documents under a key prefix of another storage,
+ * e.g. "profiles/jane/" so every profile gets its own namespace in the same backend.
+ * Keys passed in and returned are relative to the prefix.
+ */
+export const createScopedStorage = (storage, prefix) => {
+  const scopedKey = (key) => `${prefix}${key}`;
+
+  const read = async (key) => storage.read(scopedKey(key));
+
+  const write = async (key, value) => storage.write(scopedKey(key), value);
+
+  const writeMany = async (entries) =>
+    storage.writeMany(entries.map(({ key, value }) => ({ key: scopedKey(key), value })));
+
+  const remove = async (key) => storage.remove(scopedKey(key));
+
+  const has = async (key) => storage.has(scopedKey(key));
+
+  const list = async (keyPrefix = '') =>
+    (await storage.list(scopedKey(keyPrefix))).map(key => key.slice(prefix.length));
+
+  // Only remove the documents of this scope, the rest of the storage is left alone
+  const clear = async () => {
+    for (const key of await storage.list(prefix)) {
+      await storage.remove(key);
+    }
+  };
+
+  const init = async () => storage.init();
+
+  return {
+    backend: storage.backend,
+    prefix,
+    read,
+    write,
+    writeMany,
+    remove,
+    has,
+    list,
+    clear,
+    init
+  };
+};
\ No newline at end of file
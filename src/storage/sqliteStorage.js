@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import initSqlJs from 'sql.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+
+/**
+ * Embedded SQLite storage. Documents live in a single `documents` table of the
+ * database file at `dbPath`; the database runs in-process through sql.js, so no
+ * native module or database server is needed.
+ */
+export const createSqliteStorage = ({ dbPath }) => {
+  let db = null;
+  let persistQueue = Promise.resolve();
+
+  const open = async () => {
+    const SQL = await initSqlJs();
+    let contents = null;
+    try {
+      contents = await fs.readFile(dbPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    db = new SQL.Database(contents);
+    db.run(`CREATE TABLE IF NOT EXISTS documents (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`);
+  };
+
+  let ready = null;
+  const getDb = async () => {
+    ready = ready || open();
+    await ready;
+    return db;
+  };
+
+  // Write the database to disk. Writes are queued so the file always ends up
+  // with the latest state, even when several changes are saved at once.
+  const persist = async () => {
+    persistQueue = persistQueue
+      .catch(() => {})
+      .then(() => writeFileAtomic(dbPath, Buffer.from(db.export())));
+
+    try {
+      await persistQueue;
+    } catch (error) {
+      // Go back to what is on disk so memory and file don't drift apart
+      ready = null;
+      throw error;
+    }
+  };
+
+  const upsert = (database, key, value) => {
+    database.run(
+      `INSERT INTO documents (key, value, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+      [key, JSON.stringify(value), new Date().toISOString()]
+    );
+  };
+
+  const read = async (key) => {
+    const database = await getDb();
+    const statement = database.prepare('SELECT value FROM documents WHERE key = ?');
+    try {
+      statement.bind([key]);
+      return statement.step() ? JSON.parse(statement.get()[0]) : null;
+    } finally {
+      statement.free();
+    }
+  };
+
+  const write = async (key, value) => {
+    upsert(await getDb(), key, value);
+    await persist();
+  };
+
+  const writeMany = async (entries) => {
+    const database = await getDb();
+    database.run('BEGIN TRANSACTION');
+    try {
+      for (const { key, value } of entries) {
+        upsert(database, key, value);
+      }
+      database.run('COMMIT');
+    } catch (error) {
+      database.run('ROLLBACK');
+      throw error;
+    }
+    await persist();
+  };
+
+  const remove = async (key) => {
+    (await getDb()).run('DELETE FROM documents WHERE key = ?', [key]);
+    await persist();
+  };
+
+  const has = async (key) => (await read(key)) !== null;
+
+  const list = async (prefix = '') => {
+    const database = await getDb();
+    const result = database.exec(
+      "SELECT key FROM documents WHERE substr(key, 1, length(?)) = ? ORDER BY key",
+      [prefix, prefix]
+    );
+    return result.length > 0 ? result[0].values.map(([key]) => key) : [];
+  };
+
+  const clear = async () => {
+    (await getDb()).run('DELETE FROM documents');
+    await persist();
+  };
+
+  const init = async () => {
+    await getDb();
+  };
+
+  return {
+    backend: 'sqlite',
+    read,
+    write,
+    writeMany,
+    remove,
+    has,
+    list,
+    clear,
+    init
+  };
+};
@@ -0,0 +1,120 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { RoleScopes } from '../constants/scopes.js';
+
+// Storage key prefix of API tokens
+const API_TOKEN_PREFIX = 'auth/apiTokens/';
+
+// Prefix that tells API tokens apart from session (JWT) tokens
+export const API_TOKEN_MARKER = 'pat_';
+
+// lastUsedAt is only updated this often, so using a token doesn't write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Token ids are UUIDs; anything else (e.g. an id with path segments) names no token
+const isTokenId = (value) =>
+  typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+const hashSecret = (secret) => createHash('sha256').update(secret).digest();
+
+// Strip the secret hash so a token can be shown
+const summarizeToken = ({ secretHash, ...summary }) => summary;
+
+/**
+ * Check whether a bearer token looks like an API token ("pat_<id>_<secret>")
+ */
+export const isApiToken = (token) => String(token).startsWith(API_TOKEN_MARKER);
+
+/**
+ * Scopes granted to a token: its own list, or the scopes of its role
+ */
+export const getTokenScopes = ({ scopes, role }) => scopes || RoleScopes[role] || [];
+
+/**
+ * Create a named API token. The token itself is only returned here, only its hash is stored.
+ *
+ * @returns {Promise<{ token: string, apiToken: object }>}
+ */
+export const createApiToken = async (storage, { name, scopes, role, expiresInDays, author }) => {
+  const id = randomUUID();
+  const secret = randomBytes(32).toString('hex');
+
+  const entry = {
+    id,
+    name,
+    ...(role ? { role } : { scopes }),
+    createdAt: new Date().toISOString(),
+    createdBy: author,
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null,
+    lastUsedAt: null,
+    secretHash: hashSecret(secret).toString('hex')
+  };
+  await storage.write(`${API_TOKEN_PREFIX}${id}`, entry);
+
+  return { token: `${API_TOKEN_MARKER}${id}_${secret}`, apiToken: summarizeToken(entry) };
+};
+
+/**
+ * List API tokens without their secrets, newest first
+ */
+export const listApiTokens = async (storage) => {
+  const tokens = [];
+  for (const key of await storage.list(API_TOKEN_PREFIX)) {
+    const entry = await storage.read(key);
+    if (entry) {
+      tokens.push(summarizeToken(entry));
+    }
+  }
+  return tokens.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Revoke (delete) an API token. Returns false if it doesn't exist.
+ */
+export const revokeApiToken = async (storage, id) => {
+  if (!isTokenId(id)) {
+    return false;
+  }
+  const key = `${API_TOKEN_PREFIX}${id}`;
+  if (!(await storage.has(key))) {
+    return false;
+  }
+  await storage.remove(key);
+  return true;
+};
+
+/**
+ * Look up the API token a request presented
+ *
+ * @returns {Promise<object | null>} the token without its secret, or null if it
+ *   is unknown, revoked, expired or the secret doesn't match
+ */
+export const verifyApiToken = async (storage, token) => {
+  const [id, secret] = String(token).slice(API_TOKEN_MARKER.length).split('_');
+  if (!isTokenId(id) || !secret) {
+    return null;
+  }
+
+  const entry = await storage.read(`${API_TOKEN_PREFIX}${id}`);
+  if (!entry) {
+    return null;
+  }
+
+  // timingSafeEqual throws on buffers of different lengths, e.g. from a corrupted hash
+  const actual = hashSecret(secret);
+  const expected = Buffer.from(String(entry.secretHash), 'hex');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  if (entry.expiresAt && new Date(entry.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  if (!entry.lastUsedAt || Date.now() - new Date(entry.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+    entry.lastUsedAt = new Date().toISOString();
+    await storage.write(`${API_TOKEN_PREFIX}${id}`, entry);
+  }
+
+  return summarizeToken(entry);
+};
\ No newline at end of file
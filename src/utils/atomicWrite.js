@@ -0,0 +1,146 @@
+import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { dirname } from 'path';
+
+const tempPathFor = (path, id) => `${path}.${id}.tmp`;
+const backupPathFor = (path, id) => `${path}.${id}.bak`;
+
+const fileExists = async (path) => {
+  try {
+    await fs.access(path);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const removeIfExists = async (path) => {
+  await fs.rm(path, { force: true });
+};
+
+/**
+ * Write a single file atomically: write to a temp file next to it, then rename over it
+ */
+export const writeFileAtomic = async (path, content) => {
+  const tempPath = tempPathFor(path, randomUUID());
+  await fs.mkdir(dirname(path), { recursive: true });
+  try {
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, path);
+  } catch (error) {
+    await removeIfExists(tempPath);
+    throw error;
+  }
+};
+
+/**
+ * Put every file of a transaction back the way it was before it started
+ */
+const rollbackTransaction = async (journal) => {
+  for (const entry of journal.entries) {
+    if (journal.status === 'committing') {
+      if (entry.backupPath) {
+        if (await fileExists(entry.backupPath)) {
+          await fs.rename(entry.backupPath, entry.path);
+        }
+      } else {
+        // The file didn't exist before the transaction
+        await removeIfExists(entry.path);
+      }
+    }
+    await removeIfExists(entry.tempPath);
+    if (entry.backupPath) {
+      await removeIfExists(entry.backupPath);
+    }
+  }
+};
+
+/**
+ * Write several files as one all-or-nothing transaction.
+ *
+ * Every file is first written to a temp file and the current contents are
+ * backed up, then the temp files are renamed over their targets. A journal
+ * describing the transaction is kept at `journalPath` while it runs, so that
+ * `recoverTransaction` can restore the previous state if the process dies
+ * partway. If any step fails here, all files are restored and the error is rethrown.
+ * Only one transaction may use a journal at a time: callers must wait for the
+ * previous one to finish before starting the next.
+ *
+ * @param {Array<{ path: string, content: string }>} files
+ * @param {{ journalPath: string }} options
+ */
+export const writeFilesAtomic = async (files, { journalPath }) => {
+  const id = randomUUID();
+  const journal = {
+    id,
+    status: 'preparing',
+    startedAt: new Date().toISOString(),
+    entries: files.map(({ path }) => ({
+      path,
+      tempPath: tempPathFor(path, id),
+      backupPath: null
+    }))
+  };
+
+  try {
+    for (const entry of journal.entries) {
+      if (await fileExists(entry.path)) {
+        entry.backupPath = backupPathFor(entry.path, id);
+      }
+    }
+    await writeFileAtomic(journalPath, JSON.stringify(journal, null, 2));
+
+    // Stage new contents and back up the current ones
+    for (const [index, entry] of journal.entries.entries()) {
+      await fs.mkdir(dirname(entry.path), { recursive: true });
+      await fs.writeFile(entry.tempPath, files[index].content, 'utf8');
+      if (entry.backupPath) {
+        await fs.copyFile(entry.path, entry.backupPath);
+      }
+    }
+
+    journal.status = 'committing';
+    await writeFileAtomic(journalPath, JSON.stringify(journal, null, 2));
+
+    for (const entry of journal.entries) {
+      await fs.rename(entry.tempPath, entry.path);
+    }
+  } catch (error) {
+    try {
+      await rollbackTransaction(journal);
+      await removeIfExists(journalPath);
+    } catch (rollbackError) {
+      // Leave the journal in place so recovery can finish the job on next start
+      console.error('Error rolling back transaction:', rollbackError);
+    }
+    throw error;
+  }
+
+  // Committed: the backups are no longer needed
+  await removeIfExists(journalPath);
+  for (const entry of journal.entries) {
+    if (entry.backupPath) {
+      await removeIfExists(entry.backupPath);
+    }
+  }
+};
+
+/**
+ * Roll back a transaction left unfinished by a crash, if there is one.
+ * Returns true when a transaction was rolled back.
+ */
+export const recoverTransaction = async (journalPath) => {
+  let journal;
+  try {
+    journal = JSON.parse(await fs.readFile(journalPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+
+  await rollbackTransaction(journal);
+  await removeIfExists(journalPath);
+  return true;
+};
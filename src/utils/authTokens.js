@@ -0,0 +1,155 @@
+import jwt from 'jsonwebtoken';
+import { createHash, randomBytes, randomUUID } from 'crypto';
+
+// Development fallback, refused in production (see assertSecureConfiguration)
+export const DEFAULT_JWT_SECRET = 'your-secret-key';
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 7;
+
+// Storage key prefixes of issued refresh tokens and revoked access tokens
+const REFRESH_TOKEN_PREFIX = 'auth/refreshTokens/';
+const REVOKED_TOKEN_PREFIX = 'auth/revokedTokens/';
+
+export const getJwtSecret = () => process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+
+// Lifetime of access tokens (ACCESS_TOKEN_TTL, in jsonwebtoken's format, defaults to 15m)
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL;
+
+// Lifetime of refresh tokens (REFRESH_TOKEN_TTL_DAYS, defaults to 7)
+const getRefreshTokenTtlMs = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10);
+  return (Number.isInteger(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+};
+
+// Refresh tokens are only stored hashed, so a leaked data directory doesn't leak sessions
+const hashToken = (token) => createHash('sha256').update(String(token)).digest('hex');
+
+const isExpired = (entry) => new Date(entry.expiresAt) <= new Date();
+
+/**
+ * Sign a short-lived access token. Every token gets its own id (jti) so it can be revoked.
+ */
+export const signAccessToken = (claims) => {
+  const token = jwt.sign(claims, getJwtSecret(), {
+    expiresIn: getAccessTokenTtl(),
+    jwtid: randomUUID()
+  });
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+};
+
+/**
+ * Verify an access token, returning its payload. Throws if it is invalid or expired.
+ */
+export const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+/**
+ * Delete revoked and refresh token entries that have expired anyway
+ */
+const purgeExpired = async (storage, prefix) => {
+  for (const key of await storage.list(prefix)) {
+    const entry = await storage.read(key);
+    if (entry && isExpired(entry)) {
+      await storage.remove(key);
+    }
+  }
+};
+
+/**
+ * Put an access token on the denylist until it would have expired
+ */
+export const revokeAccessToken = async (storage, { jti, exp }) => {
+  if (!jti) {
+    return;
+  }
+  await purgeExpired(storage, REVOKED_TOKEN_PREFIX);
+  await storage.write(`${REVOKED_TOKEN_PREFIX}${jti}`, {
+    revokedAt: new Date().toISOString(),
+    expiresAt: new Date(exp * 1000).toISOString()
+  });
+};
+
+/**
+ * Check whether an access token is on the denylist
+ */
+export const isAccessTokenRevoked = async (storage, { jti }) =>
+  Boolean(jti) && storage.has(`${REVOKED_TOKEN_PREFIX}${jti}`);
+
+/**
+ * Issue a refresh token. Tokens issued by rotating another one share its family,
+ * so the whole chain can be revoked when a used token shows up again.
+ */
+export const issueRefreshToken = async (storage, claims, family = randomUUID()) => {
+  await purgeExpired(storage, REFRESH_TOKEN_PREFIX);
+
+  const token = randomBytes(48).toString('base64url');
+  const entry = {
+    family,
+    claims,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()).toISOString(),
+    usedAt: null
+  };
+  await storage.write(`${REFRESH_TOKEN_PREFIX}${hashToken(token)}`, entry);
+  return { token, expiresAt: entry.expiresAt };
+};
+
+/**
+ * Revoke every refresh token of a family
+ */
+export const revokeRefreshTokenFamily = async (storage, family) => {
+  for (const key of await storage.list(REFRESH_TOKEN_PREFIX)) {
+    const entry = await storage.read(key);
+    if (entry?.family === family) {
+      await storage.remove(key);
+    }
+  }
+};
+
+/**
+ * Revoke every refresh token (e.g. after a password change)
+ */
+export const revokeAllRefreshTokens = async (storage) => {
+  for (const key of await storage.list(REFRESH_TOKEN_PREFIX)) {
+    await storage.remove(key);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new one. A refresh token can only be used once:
+ * presenting a used token again means it leaked, so its whole family is revoked.
+ *
+ * @returns {Promise<{ claims: object, refreshToken: { token, expiresAt } } | null>}
+ *   null if the token is unknown, expired or was already used
+ */
+export const rotateRefreshToken = async (storage, token) => {
+  const key = `${REFRESH_TOKEN_PREFIX}${hashToken(token)}`;
+  const entry = await storage.read(key);
+  if (!entry) {
+    return null;
+  }
+  if (isExpired(entry)) {
+    await storage.remove(key);
+    return null;
+  }
+  if (entry.usedAt) {
+    console.warn(`Refresh token reuse detected, revoking token family ${entry.family}`);
+    await revokeRefreshTokenFamily(storage, entry.family);
+    return null;
+  }
+
+  await storage.write(key, { ...entry, usedAt: new Date().toISOString() });
+  const refreshToken = await issueRefreshToken(storage, entry.claims, entry.family);
+  return { claims: entry.claims, refreshToken };
+};
+
+/**
+ * Revoke a refresh token and the rest of its family (logout)
+ */
+export const revokeRefreshToken = async (storage, token) => {
+  const entry = await storage.read(`${REFRESH_TOKEN_PREFIX}${hashToken(token)}`);
+  if (entry) {
+    await revokeRefreshTokenFamily(storage, entry.family);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,72 @@
+import { randomUUID } from 'crypto';
+
+// Storage key of a contact form message
+const getMessageKey = (id) => `messages/${id}`;
+
+// Message ids are UUIDs; anything else (e.g. an id with path segments) names no message
+const isMessageId = (id) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+
+/**
+ * Store a message sent with the contact form, unread
+ */
+export const createMessage = async (storage, { name, email, subject, message }) => {
+  const contactMessage = {
+    id: randomUUID(),
+    name,
+    email,
+    subject: subject || '',
+    message,
+    createdAt: new Date().toISOString(),
+    readAt: null
+  };
+
+  await storage.write(getMessageKey(contactMessage.id), contactMessage);
+  return contactMessage;
+};
+
+/**
+ * List messages, newest first. With unread, only the unread (true) or read (false) ones.
+ */
+export const listMessages = async (storage, { unread } = {}) => {
+  const messages = [];
+  for (const key of await storage.list('messages/')) {
+    const message = await storage.read(key);
+    if (message && (unread === undefined || unread === !message.readAt)) {
+      messages.push(message);
+    }
+  }
+  return messages.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Get a message, or null if it doesn't exist
+ */
+export const getMessage = async (storage, id) => (isMessageId(id) ? storage.read(getMessageKey(id)) : null);
+
+/**
+ * Mark a message read or unread. Returns the message, or null if it doesn't exist.
+ */
+export const markMessage = async (storage, id, read) => {
+  const message = await getMessage(storage, id);
+  if (!message) {
+    return null;
+  }
+
+  const updated = {
+    ...message,
+    readAt: read ? message.readAt || new Date().toISOString() : null
+  };
+  await storage.write(getMessageKey(id), updated);
+  return updated;
+};
+
+/**
+ * Delete a message. Returns false if it doesn't exist.
+ */
+export const deleteMessage = async (storage, id) => {
+  if (!isMessageId(id) || !(await storage.has(getMessageKey(id)))) {
+    return false;
+  }
+  await storage.remove(getMessageKey(id));
+  return true;
+};
\ No newline at end of file
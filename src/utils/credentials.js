@@ -0,0 +1,75 @@
+import { hashPassword, verifyPassword } from './passwords.js';
+import { DEFAULT_JWT_SECRET } from './authTokens.js';
+
+// Development fallback for the first admin password, refused in production
+export const DEFAULT_ADMIN_PASSWORD = 'admin123';
+
+// Storage key of the admin credentials
+const CREDENTIALS_KEY = 'auth/credentials';
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+/**
+ * Get the stored admin credentials. The first time, they are created from
+ * ADMIN_PASSWORD (hashed, the plaintext is never stored).
+ */
+export const getAdminCredentials = async (storage) => {
+  const credentials = await storage.read(CREDENTIALS_KEY);
+  if (credentials) {
+    return credentials;
+  }
+
+  const password = process.env.ADMIN_PASSWORD || DEFAULT_ADMIN_PASSWORD;
+  if (isProduction() && password === DEFAULT_ADMIN_PASSWORD) {
+    throw new Error('ADMIN_PASSWORD must be set to a non-default value in production');
+  }
+
+  const created = {
+    username: 'admin',
+    passwordHash: await hashPassword(password),
+    updatedAt: new Date().toISOString()
+  };
+  await storage.write(CREDENTIALS_KEY, created);
+  console.log('Created admin credentials from ADMIN_PASSWORD');
+  return created;
+};
+
+/**
+ * Check a password against the stored admin credentials
+ */
+export const verifyAdminPassword = async (storage, password) => {
+  const { passwordHash } = await getAdminCredentials(storage);
+  return verifyPassword(password, passwordHash);
+};
+
+/**
+ * Replace the admin password
+ */
+export const changeAdminPassword = async (storage, newPassword) => {
+  const credentials = await getAdminCredentials(storage);
+  await storage.write(CREDENTIALS_KEY, {
+    ...credentials,
+    passwordHash: await hashPassword(newPassword),
+    updatedAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Refuse to run in production with the development secrets: the default JWT
+ * secret, or admin credentials that are (or would be created from) the default password.
+ * Throws an error describing the problem.
+ */
+export const assertSecureConfiguration = async (storage) => {
+  if (!isProduction()) {
+    return;
+  }
+
+  if (!process.env.JWT_SECRET || process.env.JWT_SECRET === DEFAULT_JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set to a non-default value in production');
+  }
+
+  await storage.init();
+  if (await verifyAdminPassword(storage, DEFAULT_ADMIN_PASSWORD)) {
+    throw new Error('The admin password is still the default one, set ADMIN_PASSWORD or change it');
+  }
+};
\ No newline at end of file
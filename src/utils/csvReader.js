@@ -0,0 +1,77 @@
+import csv from 'csv-parser';
+import { Readable } from 'stream';
+
+const BOM = '\uFEFF';
+
+/**
+ * Normalize a CSV header to a snake_case key, e.g. "Company Name" -> "company_name"
+ */
+export const normalizeHeader = (header) =>
+  header
+    .replace(BOM, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+// Number of line breaks inside the (quoted) values of a row
+const countEmbeddedLineBreaks = (values) =>
+  values.reduce((count, value) => count + (value.match(/\n/g) || []).length, 0);
+
+const toStream = (input) => {
+  if (input instanceof Readable) {
+    return input;
+  }
+  return Readable.from([Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8')]);
+};
+
+/**
+ * Read an RFC 4180 CSV document (quoted fields, escaped quotes, embedded line
+ * breaks, CRLF or LF line endings, optional UTF-8 BOM) from a Buffer, string or stream.
+ *
+ * The first row is the header row; its names are normalized with normalizeHeader.
+ * Rows whose number of fields doesn't match the header are not returned but
+ * reported in `errors` with the line they start on. Blank lines are skipped.
+ *
+ * @returns {Promise<{ headers: string[], rows: Array<Object>, errors: Array<{ line: number, message: string }> }>}
+ */
+export const readCsv = (input) => new Promise((resolve, reject) => {
+  let headers = null;
+  const rows = [];
+  const errors = [];
+  let line = 1;
+
+  toStream(input)
+    .pipe(csv({ headers: false }))
+    .on('data', (record) => {
+      const values = Object.values(record);
+      const rowLine = line;
+      line += 1 + countEmbeddedLineBreaks(values);
+
+      // Blank line
+      if (values.length === 0 || (values.length === 1 && values[0].trim() === '')) {
+        return;
+      }
+
+      if (!headers) {
+        headers = values.map(normalizeHeader);
+        return;
+      }
+
+      if (values.length !== headers.length) {
+        errors.push({
+          line: rowLine,
+          message: `Expected ${headers.length} fields but found ${values.length}`
+        });
+        return;
+      }
+
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = values[index].trim();
+      });
+      rows.push(row);
+    })
+    .on('end', () => resolve({ headers: headers || [], rows, errors }))
+    .on('error', reject);
+});
@@ -1,12 +1,15 @@
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { getStorage } from '../storage/index.js';
+import { PortfolioSections } from '../constants/portfolioSections.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Get the data directory path
-const getDataDirPath = () => join(__dirname, '../../data');
+const SECTIONS = PortfolioSections;
+
+// Get the example data directory path
 const getExampleDataDirPath = () => join(__dirname, '../../data_example');
 
 // Placeholder data templates
@@ -79,6 +82,19 @@ const placeholderData = {
       }
     ]
   },
+  education: {
+    degrees: [
+      {
+        "degree": "Bachelor of Science",
+        "school": "Your University",
+        "field": "Computer Science",
+        "startDate": "2018-09",
+        "endDate": "2022-06",
+        "isCurrent": false,
+        "description": "Description 1"
+      }
+    ]
+  },
   projects: {
     projects: [
       {
@@ -114,106 +130,94 @@ const placeholderData = {
 };
 
 /**
- * Initialize the data directory with placeholder data
+ * Initialize the data storage with example or placeholder data
  */
-export const initializeDataDirectory = async () => {
-  const dataDirPath = getDataDirPath();
+export const initializeDataDirectory = async (storage = getStorage()) => {
   const exampleDataDirPath = getExampleDataDirPath();
   
-  try {
-    // Check if data directory exists
-    await fs.access(dataDirPath);
-    console.log('Data directory already exists');
+  await storage.init();
+
+  // Check if data has already been initialized. Other documents (e.g. the admin
+  // credentials, created at startup) don't count: only the sections do.
+  if (await checkDataDirectory(storage)) {
+    console.log(`Data storage (${storage.backend}) already initialized`);
     return;
-  } catch (error) {
-    // Directory doesn't exist, create it
-    console.log('Creating data directory...');
-    await fs.mkdir(dataDirPath, { recursive: true });
   }
 
+  console.log(`Initializing data storage (${storage.backend})...`);
+
   // Check if example data exists and copy it instead of using placeholder data
   try {
     await fs.access(exampleDataDirPath);
     console.log('Example data found, copying from data_example/...');
-    await copyExampleData();
+    await copyExampleData(storage);
   } catch (error) {
     // No example data, use placeholder data
-    console.log('No example data found, creating placeholder data files...');
-    await createPlaceholderData();
+    console.log('No example data found, creating placeholder data...');
+    await createPlaceholderData(storage);
   }
   
-  console.log('Data directory initialization completed!');
-  console.log('Please update the data in the data/ folder with your actual information.');
+  console.log('Data storage initialization completed!');
+  console.log('Please update the portfolio data with your actual information.');
 };
 
 /**
- * Copy data from example folder
+ * Copy data from example folder (sections that don't exist yet)
  */
-const copyExampleData = async () => {
-  const dataDirPath = getDataDirPath();
+const copyExampleData = async (storage) => {
   const exampleDataDirPath = getExampleDataDirPath();
-  const sections = ['personalInfo', 'about', 'skills', 'experience', 'projects', 'contact'];
   
-  for (const section of sections) {
+  for (const section of SECTIONS) {
     const sourcePath = join(exampleDataDirPath, `${section}.json`);
-    const destPath = join(dataDirPath, `${section}.json`);
+    if (await storage.has(section)) {
+      continue;
+    }
     
     try {
       const data = await fs.readFile(sourcePath, 'utf8');
-      await fs.writeFile(destPath, data, 'utf8');
+      await storage.write(section, JSON.parse(data));
       console.log(`Copied ${section}.json from example data`);
     } catch (error) {
       console.error(`Error copying ${section}.json:`, error);
       // Fallback to placeholder data for this section
-      await createPlaceholderDataForSection(section);
+      await createPlaceholderDataForSection(storage, section);
     }
   }
 };
 
 /**
- * Create placeholder data files
+ * Create placeholder data for all sections that don't exist yet
  */
-const createPlaceholderData = async () => {
-  const dataDirPath = getDataDirPath();
+const createPlaceholderData = async (storage) => {
   const sections = Object.keys(placeholderData);
   
   for (const section of sections) {
-    await createPlaceholderDataForSection(section);
+    if (!(await storage.has(section))) {
+      await createPlaceholderDataForSection(storage, section);
+    }
   }
 };
 
 /**
  * Create placeholder data for a specific section
  */
-const createPlaceholderDataForSection = async (section) => {
-  const dataDirPath = getDataDirPath();
-  const filePath = join(dataDirPath, `${section}.json`);
-  const data = JSON.stringify(placeholderData[section], null, 2);
-  
+const createPlaceholderDataForSection = async (storage, section) => {
   try {
-    await fs.writeFile(filePath, data, 'utf8');
-    console.log(`Created ${section}.json with placeholder data`);
+    await storage.write(section, placeholderData[section]);
+    console.log(`Created ${section} with placeholder data`);
   } catch (error) {
-    console.error(`Error creating ${section}.json:`, error);
+    console.error(`Error creating ${section}:`, error);
   }
 };
 
 /**
- * Check if data directory exists and has all required files
+ * Check if the data storage has all required sections
  */
-export const checkDataDirectory = async () => {
-  const dataDirPath = getDataDirPath();
-  const requiredFiles = ['personalInfo.json', 'about.json', 'skills.json', 'experience.json', 'projects.json', 'contact.json'];
-  
+export const checkDataDirectory = async (storage = getStorage()) => {
   try {
-    await fs.access(dataDirPath);
-    
-    // Check if all required files exist
-    for (const file of requiredFiles) {
-      try {
-        await fs.access(join(dataDirPath, file));
-      } catch (error) {
-        console.warn(`Missing file: ${file}`);
+    for (const section of SECTIONS) {
+      if (!(await storage.has(section))) {
+        console.warn(`Missing section: ${section}`);
         return false;
       }
     }
@@ -223,22 +227,3 @@ export const checkDataDirectory = async () => {
     return false;
   }
 };
-
-/**
- * Reset data directory to placeholder data (useful for development)
- */
-export const resetDataDirectory = async () => {
-  const dataDirPath = getDataDirPath();
-  
-  try {
-    // Remove existing data directory
-    await fs.rm(dataDirPath, { recursive: true, force: true });
-    console.log('Removed existing data directory');
-  } catch (error) {
-    console.log('No existing data directory to remove');
-  }
-  
-  // Reinitialize with placeholder data
-  await initializeDataDirectory();
-  console.log('Data directory reset to placeholder data');
-}; 
\ No newline at end of file
@@ -0,0 +1,12 @@
+/**
+ * Whether a dated entry (job, degree) overlaps a date range. The range bounds are
+ * YYYY or YYYY-MM and both optional; a YYYY range starts in January and ends in December.
+ * Current entries, and entries without an end date, run until today.
+ */
+export const overlapsRange = ({ startDate, endDate, isCurrent }, { from, to }) => {
+  const rangeStart = from && (from.length === 4 ? `${from}-01` : from);
+  const rangeEnd = to && (to.length === 4 ? `${to}-12` : to);
+  const entryEnd = isCurrent || !endDate ? '9999-12' : endDate;
+
+  return (!rangeStart || entryEnd >= rangeStart) && (!rangeEnd || startDate <= rangeEnd);
+};
\ No newline at end of file
@@ -0,0 +1,77 @@
+// Storage key of the draft of a section
+const getDraftKey = (section) => `drafts/${section}`;
+
+/**
+ * Save draft data of one or more sections ({ section: data }) in one transaction.
+ * A draft keeps its publish schedule when it is edited.
+ */
+export const saveDrafts = async (storage, sections, author) => {
+  const now = new Date().toISOString();
+  const drafts = {};
+  for (const [section, data] of Object.entries(sections)) {
+    const existing = await storage.read(getDraftKey(section));
+    drafts[section] = {
+      section,
+      updatedAt: now,
+      updatedBy: author,
+      publishAt: existing?.publishAt || null,
+      data
+    };
+  }
+
+  await storage.writeMany(Object.entries(drafts).map(([section, draft]) => ({
+    key: getDraftKey(section),
+    value: draft
+  })));
+  return drafts;
+};
+
+/**
+ * Get the draft of a section, or null if it has none
+ */
+export const getDraft = async (storage, section) => storage.read(getDraftKey(section));
+
+/**
+ * List the drafts of every section, with their data
+ */
+export const listDrafts = async (storage) => {
+  const drafts = [];
+  for (const key of await storage.list('drafts/')) {
+    const draft = await storage.read(key);
+    if (draft) {
+      drafts.push(draft);
+    }
+  }
+  return drafts;
+};
+
+/**
+ * Delete the drafts of some sections
+ */
+export const discardDrafts = async (storage, sections) => {
+  for (const section of sections) {
+    await storage.remove(getDraftKey(section));
+  }
+};
+
+/**
+ * Schedule (or, with publishAt null, unschedule) the publication of some drafts
+ */
+export const scheduleDrafts = async (storage, sections, publishAt) => {
+  const drafts = [];
+  for (const section of sections) {
+    const draft = await getDraft(storage, section);
+    if (draft) {
+      drafts.push({ ...draft, publishAt });
+    }
+  }
+
+  await storage.writeMany(drafts.map(draft => ({ key: getDraftKey(draft.section), value: draft })));
+  return drafts;
+};
+
+/**
+ * Drafts whose scheduled publication time has come
+ */
+export const getDueDrafts = async (storage, now = new Date()) =>
+  (await listDrafts(storage)).filter(draft => draft.publishAt && new Date(draft.publishAt) <= now);
\ No newline at end of file
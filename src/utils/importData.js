@@ -0,0 +1,178 @@
+import { getStorage } from '../storage/index.js';
+import { validateSection } from '../validation/schemas.js';
+import { mergeSectionData } from './importMerge.js';
+import { getDraft } from './drafts.js';
+import { categorizeSkill, getRoleNames, getSkillTaxonomy } from './skillTaxonomy.js';
+
+// Skill categorization used when none is sent or saved
+export const DEFAULT_CATEGORIZATION = Object.freeze({
+  useSubcategories: true,
+  minSkillsForSubcategory: 3,
+  categoryOverrides: {}
+});
+
+/**
+ * Group imported skills ({ name, level }) by the roles and subcategories of the
+ * skill taxonomy, flattening roles according to the categorization preferences.
+ *
+ * @returns {{ skillCategories: Object, categorization: Object }} a skills section
+ */
+export const groupSkills = (skills, userPreferences, taxonomy) => {
+  // Categorize skills using the managed taxonomy
+  const categorizedSkills = {};
+
+  skills.forEach(({ name, level }) => {
+    const { role, subcategory } = categorizeSkill(name, taxonomy);
+    const group = subcategory || 'Other';
+
+    categorizedSkills[role] = categorizedSkills[role] || {};
+    categorizedSkills[role][group] = [...(categorizedSkills[role][group] || []), { name, level }];
+  });
+
+  // Apply user preferences and smart defaults
+  const finalSkills = {};
+
+  // Sort roles by the order of the taxonomy
+  const roleOrder = getRoleNames(taxonomy);
+  const sortedRoles = Object.keys(categorizedSkills).sort((a, b) => roleOrder.indexOf(a) - roleOrder.indexOf(b));
+
+  sortedRoles.forEach(role => {
+    const subcategories = categorizedSkills[role];
+    const userOverride = userPreferences.categoryOverrides?.[role];
+    const totalSkills = Object.values(subcategories).flat().length;
+
+    if (userOverride === 'flat' || (!userPreferences.useSubcategories && totalSkills < userPreferences.minSkillsForSubcategory)) {
+      // Flatten the structure
+      finalSkills[role] = Object.values(subcategories).flat();
+    } else if (userOverride === 'subcategories' || (userPreferences.useSubcategories && totalSkills >= userPreferences.minSkillsForSubcategory)) {
+      // Use subcategories, but remove empty ones
+      finalSkills[role] = Object.fromEntries(
+        Object.entries(subcategories).filter(([, subcategorySkills]) => subcategorySkills.length > 0)
+      );
+    } else {
+      // Default to flat for small categories
+      finalSkills[role] = Object.values(subcategories).flat();
+    }
+  });
+
+  return {
+    skillCategories: finalSkills,
+    categorization: {
+      useSubcategories: userPreferences.useSubcategories,
+      minSkillsForSubcategory: userPreferences.minSkillsForSubcategory,
+      categoryOverrides: userPreferences.categoryOverrides || {}
+    }
+  };
+};
+
+/**
+ * Format a Joi error path like the import warnings, e.g. ['jobs', 0, 'city'] -> 'jobs[0].city'
+ */
+export const formatErrorPath = (path) =>
+  path.reduce((formatted, key) => {
+    if (typeof key === 'number') {
+      return `${formatted}[${key}]`;
+    }
+    return formatted ? `${formatted}.${key}` : key;
+  }, '');
+
+/**
+ * Validate every imported section against its schema.
+ * Returns the sanitized data and the field-level errors as { section, path, message }.
+ */
+export const validateImport = (portfolioData) => {
+  const data = {};
+  const errors = [];
+
+  for (const [section, sectionData] of Object.entries(portfolioData)) {
+    const { error, value } = validateSection(section, sectionData);
+    if (error) {
+      errors.push(...error.details.map(detail => ({
+        section,
+        path: formatErrorPath(detail.path),
+        message: detail.message
+      })));
+    }
+    data[section] = error ? sectionData : value;
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Read categorization preferences sent with an import request. Multipart forms
+ * send them as a JSON string. Returns null when none were sent.
+ * Throws if they aren't a JSON object.
+ */
+export const parseCategorization = (value) => {
+  if (!value) {
+    return null;
+  }
+  const categorization = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!categorization || typeof categorization !== 'object' || Array.isArray(categorization)) {
+    throw new Error('Categorization preferences must be a JSON object');
+  }
+  return {
+    useSubcategories: categorization.useSubcategories ?? DEFAULT_CATEGORIZATION.useSubcategories,
+    minSkillsForSubcategory: categorization.minSkillsForSubcategory ?? DEFAULT_CATEGORIZATION.minSkillsForSubcategory,
+    categoryOverrides: categorization.categoryOverrides || {}
+  };
+};
+
+/**
+ * Combine imported sections with the stored ones using each section's merge strategy.
+ * A section with a pending draft is merged with the draft, so its unpublished edits are kept.
+ * Returns the data to save, the fields where the import disagrees with edited content and
+ * the version (updatedAt) of the draft each section was merged with, null for published data.
+ */
+export const mergeWithExisting = async (storage, importedData, getMergeStrategy) => {
+  const portfolioData = {};
+  const conflicts = [];
+  const draftVersions = {};
+
+  for (const [section, imported] of Object.entries(importedData)) {
+    const draft = await getDraft(storage, section);
+    const existing = draft ? draft.data : await storage.read(section);
+    const result = mergeSectionData(section, existing, imported, getMergeStrategy(section));
+    portfolioData[section] = result.data;
+    conflicts.push(...result.conflicts);
+    draftVersions[section] = draft?.updatedAt || null;
+  }
+
+  return { portfolioData, conflicts, draftVersions };
+};
+
+/**
+ * Turn imported data into the portfolio data an import would save: transform it,
+ * merge it with the stored sections (or their drafts, see mergeWithExisting) and
+ * validate the result.
+ * Categorization preferences sent with the request win over the saved ones.
+ *
+ * @param {Object} storage storage of the profile being imported into
+ * @param {Object} options { categorization (sent with the request, or null), getMergeStrategy }
+ * @param {Function} transform ({ categorization, warnings, taxonomy }) => portfolio sections;
+ *   pushes anything it had to assume to `warnings` as { section, path, message }
+ */
+export const prepareImport = async (storage, { categorization, getMergeStrategy }, transform) => {
+  const preferences = categorization ||
+    await storage.read('categorization') ||
+    DEFAULT_CATEGORIZATION;
+  // The taxonomy is shared by every profile
+  const taxonomy = await getSkillTaxonomy(getStorage());
+
+  const warnings = [];
+  const imported = transform({ categorization: preferences, warnings, taxonomy });
+  const { portfolioData: mergedData, conflicts, draftVersions } = await mergeWithExisting(storage, imported, getMergeStrategy);
+  const { data: portfolioData, errors } = validateImport(mergedData);
+
+  return {
+    portfolioData,
+    conflicts,
+    draftVersions,
+    validation: {
+      valid: errors.length === 0,
+      errors,
+      warnings
+    }
+  };
+};
\ No newline at end of file
@@ -0,0 +1,219 @@
+import { MergeStrategies } from '../constants/mergeStrategies.js';
+
+// List sections: where their items live and which fields identify an item
+const LIST_SECTIONS = {
+  experience: {
+    listKey: 'jobs',
+    identify: (job) => [job.company, job.title, job.startDate]
+  },
+  education: {
+    listKey: 'degrees',
+    identify: (degree) => [degree.school, degree.degree, degree.startDate]
+  },
+  projects: {
+    listKey: 'projects',
+    identify: (project) => [project.name]
+  }
+};
+
+/**
+ * Normalize a name for matching, e.g. "Node.js", "node js" and "NodeJS" -> "nodejs"
+ */
+export const normalizeName = (name) =>
+  String(name ?? '').toLowerCase().replace(/[\s._\-/]+/g, '');
+
+const getItemKey = (section, item) =>
+  LIST_SECTIONS[section].identify(item).map(normalizeName).join('|');
+
+const getItemLabel = (section, item) =>
+  LIST_SECTIONS[section].identify(item).filter(Boolean).join(' / ');
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Union of two string lists, keeping the order of the existing one
+const mergeStringLists = (existing, imported) => {
+  const seen = new Set(existing.map(normalizeName));
+  return [...existing, ...imported.filter(value => !seen.has(normalizeName(value)))];
+};
+
+/**
+ * Merge the fields of an imported object into an existing one.
+ * Empty existing fields are filled in; string lists are combined; any other
+ * field where both sides differ keeps the existing (edited) value and is
+ * reported as a conflict when `conflicts` is given.
+ */
+const mergeFields = (existing, imported, { path, item, section, conflicts }) => {
+  const merged = { ...existing };
+
+  for (const [field, importedValue] of Object.entries(imported)) {
+    const existingValue = existing[field];
+    if (isEmpty(importedValue)) {
+      continue;
+    }
+    if (isEmpty(existingValue)) {
+      merged[field] = importedValue;
+    } else if (Array.isArray(existingValue) && Array.isArray(importedValue)) {
+      merged[field] = mergeStringLists(existingValue, importedValue);
+    } else if (JSON.stringify(existingValue) !== JSON.stringify(importedValue) && conflicts) {
+      conflicts.push({
+        section,
+        ...(item ? { item } : {}),
+        path: path ? `${path}.${field}` : field,
+        existing: existingValue,
+        imported: importedValue
+      });
+    }
+  }
+
+  return merged;
+};
+
+const mergeListSection = (section, existing, imported, strategy, conflicts) => {
+  const { listKey } = LIST_SECTIONS[section];
+  const items = [...(existing[listKey] || [])];
+  const indexByKey = new Map(items.map((item, index) => [getItemKey(section, item), index]));
+
+  for (const importedItem of imported[listKey] || []) {
+    const key = getItemKey(section, importedItem);
+    if (!indexByKey.has(key)) {
+      indexByKey.set(key, items.length);
+      items.push(importedItem);
+    } else if (strategy === MergeStrategies.MERGE) {
+      const index = indexByKey.get(key);
+      items[index] = mergeFields(items[index], importedItem, {
+        path: `${listKey}[${index}]`,
+        item: getItemLabel(section, importedItem),
+        section,
+        conflicts
+      });
+    }
+  }
+
+  return { ...existing, [listKey]: items };
+};
+
+// Visit every skill of a (flat or hierarchical) skillCategories object
+const forEachSkill = (skillCategories, callback) => {
+  for (const [category, value] of Object.entries(skillCategories || {})) {
+    if (Array.isArray(value)) {
+      value.forEach((skill, index) => callback(skill, [category], index));
+    } else if (value && typeof value === 'object') {
+      for (const [subcategory, skills] of Object.entries(value)) {
+        (skills || []).forEach((skill, index) => callback(skill, [category, subcategory], index));
+      }
+    }
+  }
+};
+
+const mergeSkillsSection = (existing, imported, strategy, conflicts) => {
+  const skillCategories = JSON.parse(JSON.stringify(existing.skillCategories || {}));
+  const existingByName = new Map();
+  forEachSkill(skillCategories, (skill, location, index) => {
+    existingByName.set(normalizeName(skill.name), { skill, location, index });
+  });
+
+  forEachSkill(imported.skillCategories, (skill, location) => {
+    const match = existingByName.get(normalizeName(skill.name));
+
+    if (match) {
+      if (strategy === MergeStrategies.MERGE && skill.level && match.skill.level !== skill.level) {
+        conflicts.push({
+          section: 'skills',
+          item: match.skill.name,
+          path: `skillCategories.${match.location.join('.')}[${match.index}].level`,
+          existing: match.skill.level,
+          imported: skill.level
+        });
+      }
+      return;
+    }
+
+    // New skill: add it where the import put it, creating the category if needed
+    const [category, subcategory] = location;
+    if (subcategory) {
+      if (Array.isArray(skillCategories[category])) {
+        skillCategories[category].push(skill);
+      } else {
+        skillCategories[category] = skillCategories[category] || {};
+        skillCategories[category][subcategory] = [...(skillCategories[category][subcategory] || []), skill];
+      }
+    } else if (Array.isArray(skillCategories[category]) || !skillCategories[category]) {
+      skillCategories[category] = [...(skillCategories[category] || []), skill];
+    } else {
+      skillCategories[category].Other = [...(skillCategories[category].Other || []), skill];
+    }
+    existingByName.set(normalizeName(skill.name), { skill, location, index: -1 });
+  });
+
+  return { ...existing, skillCategories };
+};
+
+/**
+ * Combine imported section data with what is already stored.
+ *
+ * - replace: the imported data replaces the section
+ * - append: only new items are added (jobs by company + title + start date,
+ *   degrees by school + degree + start date, projects by name, skills by
+ *   normalized name); for single-object sections only empty fields are filled in
+ * - merge: like append, and matching items also get their empty fields filled
+ *   in; fields that differ keep the stored value and are reported as conflicts
+ *
+ * @returns {{ data: Object, conflicts: Array<{ section, item?, path, existing, imported }> }}
+ */
+export const mergeSectionData = (section, existing, imported, strategy = MergeStrategies.REPLACE) => {
+  const conflicts = [];
+
+  if (strategy === MergeStrategies.REPLACE || !existing) {
+    return { data: imported, conflicts };
+  }
+
+  if (LIST_SECTIONS[section]) {
+    return { data: mergeListSection(section, existing, imported, strategy, conflicts), conflicts };
+  }
+
+  if (section === 'skills') {
+    return { data: mergeSkillsSection(existing, imported, strategy, conflicts), conflicts };
+  }
+
+  const data = mergeFields(existing, imported, {
+    section,
+    conflicts: strategy === MergeStrategies.MERGE ? conflicts : null
+  });
+  return { data, conflicts };
+};
+
+/**
+ * Resolve the merge strategy of every section from a request value: either a
+ * single strategy for all sections ("merge") or a map per section
+ * ({ "experience": "merge", "skills": "append" }), possibly as a JSON string
+ * when it comes from a multipart form. Sections not listed use "replace".
+ *
+ * @returns {(section: string) => string}
+ */
+export const resolveMergeStrategies = (input) => {
+  let strategies = input ?? {};
+  if (typeof strategies === 'string') {
+    const trimmed = strategies.trim();
+    strategies = trimmed.startsWith('{') ? JSON.parse(trimmed) : trimmed;
+  }
+
+  const validStrategies = Object.values(MergeStrategies);
+  const check = (strategy, label) => {
+    if (!validStrategies.includes(strategy)) {
+      throw new Error(`Invalid merge strategy${label}: ${strategy} (expected one of ${validStrategies.join(', ')})`);
+    }
+    return strategy;
+  };
+
+  if (typeof strategies === 'string') {
+    const strategy = check(strategies, '');
+    return () => strategy;
+  }
+
+  for (const [section, strategy] of Object.entries(strategies)) {
+    check(strategy, ` for ${section}`);
+  }
+  return (section) => strategies[section] || MergeStrategies.REPLACE;
+};
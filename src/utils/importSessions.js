@@ -0,0 +1,123 @@
+import { randomUUID } from 'crypto';
+
+const DEFAULT_TTL_MINUTES = 60;
+
+// Storage key of an import session
+const getSessionKey = (id) => `imports/${id}`;
+
+// Session ids are UUIDs; anything else (e.g. an id with path segments) names no session
+const isSessionId = (id) =>
+  typeof id === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+
+/**
+ * How long an uncommitted import session is kept (IMPORT_SESSION_TTL_MINUTES, defaults to 60)
+ */
+export const getSessionTtlMs = () => {
+  const minutes = parseInt(process.env.IMPORT_SESSION_TTL_MINUTES, 10);
+  return (Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_TTL_MINUTES) * 60 * 1000;
+};
+
+// A session without a valid expiry date counts as expired
+const isExpired = (session) => !(Date.parse(session.expiresAt) > Date.now());
+
+// Strip the staged data so listings stay small
+const summarizeSession = ({ portfolioData, conflicts, draftVersions, validation, errors, ...summary }) => ({
+  ...summary,
+  sections: Object.keys(portfolioData),
+  valid: validation.valid
+});
+
+/**
+ * Delete every expired import session
+ */
+export const purgeExpiredSessions = async (storage) => {
+  for (const key of await storage.list('imports/')) {
+    const session = await storage.read(key);
+    if (session && isExpired(session)) {
+      await storage.remove(key);
+    }
+  }
+};
+
+/**
+ * Stage the result of an import so it can be reviewed, edited and committed later
+ */
+export const createSession = async (storage, { portfolioData, conflicts, draftVersions = {}, validation, errors, source, author, files = [] }) => {
+  await purgeExpiredSessions(storage);
+
+  const now = Date.now();
+  const session = {
+    id: randomUUID(),
+    source,
+    author,
+    files,
+    createdAt: new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + getSessionTtlMs()).toISOString(),
+    portfolioData,
+    conflicts,
+    draftVersions,
+    validation,
+    errors
+  };
+
+  await storage.write(getSessionKey(session.id), session);
+  return session;
+};
+
+/**
+ * Get an import session, or null if it doesn't exist or has expired
+ */
+export const getSession = async (storage, id) => {
+  if (!isSessionId(id)) {
+    return null;
+  }
+  const session = await storage.read(getSessionKey(id));
+  if (!session) {
+    return null;
+  }
+  if (isExpired(session)) {
+    await storage.remove(getSessionKey(id));
+    return null;
+  }
+  return session;
+};
+
+/**
+ * List the open import sessions without their data, newest first
+ */
+export const listSessions = async (storage) => {
+  await purgeExpiredSessions(storage);
+
+  const sessions = [];
+  for (const key of await storage.list('imports/')) {
+    const session = await storage.read(key);
+    if (session) {
+      sessions.push(summarizeSession(session));
+    }
+  }
+  return sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Save changes to an import session. Editing a session extends its lifetime.
+ */
+export const saveSession = async (storage, session) => {
+  const now = Date.now();
+  const updated = {
+    ...session,
+    updatedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + getSessionTtlMs()).toISOString()
+  };
+  await storage.write(getSessionKey(session.id), updated);
+  return updated;
+};
+
+/**
+ * Delete an import session (after committing or discarding it)
+ */
+export const deleteSession = async (storage, id) => {
+  if (isSessionId(id)) {
+    await storage.remove(getSessionKey(id));
+  }
+};
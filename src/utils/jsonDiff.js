@@ -0,0 +1,53 @@
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const joinPath = (path, key) => {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+};
+
+/**
+ * Compute the differences between two JSON values.
+ * Returns a flat list of changes: { path, type: 'added' | 'removed' | 'changed', from, to }
+ */
+export const diffJson = (from, to, path = '') => {
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+    const changes = [];
+    for (const key of keys) {
+      const childPath = joinPath(path, key);
+      if (!(key in to)) {
+        changes.push({ path: childPath, type: 'removed', from: from[key] });
+      } else if (!(key in from)) {
+        changes.push({ path: childPath, type: 'added', to: to[key] });
+      } else {
+        changes.push(...diffJson(from[key], to[key], childPath));
+      }
+    }
+    return changes;
+  }
+
+  if (Array.isArray(from) && Array.isArray(to)) {
+    const changes = [];
+    const length = Math.max(from.length, to.length);
+    for (let index = 0; index < length; index++) {
+      const childPath = joinPath(path, index);
+      if (index >= to.length) {
+        changes.push({ path: childPath, type: 'removed', from: from[index] });
+      } else if (index >= from.length) {
+        changes.push({ path: childPath, type: 'added', to: to[index] });
+      } else {
+        changes.push(...diffJson(from[index], to[index], childPath));
+      }
+    }
+    return changes;
+  }
+
+  if (from === to) {
+    return [];
+  }
+
+  return [{ path, type: 'changed', from, to }];
+};
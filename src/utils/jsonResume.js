@@ -0,0 +1,223 @@
+import { SkillLevels } from '../constants/skillLevels.js';
+import { groupSkills } from './importData.js';
+import { mapLinkedInLocation, normalizeLinkedInDate } from './linkedinNormalize.js';
+
+// Schema the exported documents conform to
+export const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// Free-text JSON Resume skill levels mapped to ours
+const LEVEL_ALIASES = {
+  novice: SkillLevels.BEGINNER,
+  basic: SkillLevels.BEGINNER,
+  beginner: SkillLevels.BEGINNER,
+  intermediate: SkillLevels.INTERMEDIATE,
+  proficient: SkillLevels.INTERMEDIATE,
+  advanced: SkillLevels.ADVANCED,
+  experienced: SkillLevels.ADVANCED,
+  expert: SkillLevels.EXPERT,
+  master: SkillLevels.EXPERT
+};
+
+// Drop undefined, null and empty values so the document only has what we know
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) =>
+      value !== undefined && value !== null && value !== '' &&
+      !(Array.isArray(value) && value.length === 0) &&
+      !(typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0))
+  );
+
+// Visit every skill of a (flat or hierarchical) skillCategories object
+const listSkills = (skillCategories) =>
+  Object.values(skillCategories || {}).flatMap(value =>
+    Array.isArray(value) ? value : Object.values(value || {}).flat());
+
+// Last path segment of a profile URL, e.g. "https://github.com/jane" -> "jane"
+const getUsername = (url) => {
+  try {
+    return new URL(url).pathname.split('/').filter(Boolean).pop();
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const isGithubUrl = (url) => /^https?:\/\/(www\.)?github\.com\//i.test(url || '');
+
+/**
+ * Map portfolio sections to a JSON Resume (v1.0.0) document.
+ * Skills are exported one entry per skill, with our level.
+ */
+export const toJsonResume = (portfolioData) => {
+  const { personalInfo = {}, about, experience, education, skills, projects, contact = {} } = portfolioData;
+  const [city, ...region] = String(personalInfo.location || '').split(',').map(part => part.trim()).filter(Boolean);
+
+  return {
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics: compact({
+      name: personalInfo.name,
+      label: personalInfo.title,
+      email: contact.email,
+      phone: contact.phone,
+      summary: about?.content || personalInfo.bio,
+      location: compact({ city, region: region.join(', ') }),
+      profiles: (contact.socialLinks || []).map(link => compact({
+        network: link.platform,
+        username: getUsername(link.url),
+        url: link.url
+      }))
+    }),
+    work: (experience?.jobs || []).map(job => compact({
+      name: job.company,
+      position: job.title,
+      location: [job.city, job.country].filter(Boolean).join(', '),
+      startDate: job.startDate,
+      endDate: job.isCurrent ? undefined : job.endDate,
+      summary: job.description,
+      highlights: job.achievements
+    })),
+    education: (education?.degrees || []).map(degree => compact({
+      institution: degree.school,
+      area: degree.field,
+      studyType: degree.degree,
+      startDate: degree.startDate,
+      endDate: degree.isCurrent ? undefined : degree.endDate,
+      summary: degree.description
+    })),
+    skills: listSkills(skills?.skillCategories).map(skill => compact({
+      name: skill.name,
+      level: skill.level
+    })),
+    projects: (projects?.projects || []).map(project => compact({
+      name: project.name,
+      description: project.description,
+      url: project.url || project.github,
+      keywords: project.technologies
+    })),
+    meta: {
+      version: 'v1.0.0',
+      lastModified: new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Map a JSON Resume document to portfolio sections.
+ * Dates are normalized to YYYY-MM and skills grouped by the skill taxonomy. A skill
+ * entry with keywords ("Frontend": ["React", "Vue"]) imports each keyword as a skill.
+ * Anything that had to be assumed is added to `warnings` as { section, path, message };
+ * missing values are left out for validation to report, never invented.
+ */
+export const fromJsonResume = (resume, { categorization, warnings = [], taxonomy }) => {
+  const portfolioData = {};
+  const warn = (section, path, message) => warnings.push({ section, path, message });
+
+  // Normalize a date, keeping the original value if it can't be converted so validation reports it
+  const toDate = (section, path, value) => {
+    const result = normalizeLinkedInDate(value);
+    if (!result) {
+      return undefined;
+    }
+    if (result.warning || result.error) {
+      warn(section, path, result.warning || result.error);
+    }
+    return result.error ? String(value).trim() : result.value;
+  };
+
+  const basics = resume.basics || {};
+  if (Object.keys(basics).length > 0) {
+    const location = basics.location || {};
+    portfolioData.personalInfo = compact({
+      name: basics.name,
+      title: basics.label,
+      location: [location.city, location.region, location.countryCode].filter(Boolean).join(', '),
+      bio: basics.summary
+    });
+
+    if (basics.summary) {
+      portfolioData.about = { content: basics.summary };
+    } else {
+      warn('about', 'content', 'The resume has no summary, about section not imported');
+    }
+
+    if (basics.email || basics.phone || basics.profiles?.length) {
+      portfolioData.contact = compact({
+        email: basics.email,
+        phone: basics.phone,
+        socialLinks: (basics.profiles || [])
+          .filter(profile => profile.url)
+          .map(profile => ({ platform: String(profile.network || 'website').toLowerCase(), url: profile.url }))
+      });
+    }
+  }
+
+  if (resume.work?.length) {
+    portfolioData.experience = {
+      jobs: resume.work.map((work, index) => {
+        const path = `jobs[${index}]`;
+        const startDate = toDate('experience', `${path}.startDate`, work.startDate);
+        const endDate = toDate('experience', `${path}.endDate`, work.endDate);
+
+        const place = mapLinkedInLocation(work.location);
+        if (place.warning) {
+          warn('experience', `${path}.location`, place.warning);
+        }
+
+        return compact({
+          title: work.position,
+          company: work.name || work.company,
+          startDate,
+          endDate: endDate || '',
+          isCurrent: !!startDate && !endDate,
+          location: place.location,
+          country: place.country,
+          city: place.city,
+          description: work.summary || work.description,
+          achievements: work.highlights
+        });
+      })
+    };
+  }
+
+  if (resume.education?.length) {
+    portfolioData.education = {
+      degrees: resume.education.map((entry, index) => {
+        const startDate = toDate('education', `degrees[${index}].startDate`, entry.startDate);
+        const endDate = toDate('education', `degrees[${index}].endDate`, entry.endDate);
+        return compact({
+          degree: entry.studyType,
+          school: entry.institution,
+          field: entry.area,
+          startDate,
+          endDate,
+          isCurrent: !!startDate && !endDate,
+          description: entry.summary
+        });
+      })
+    };
+  }
+
+  if (resume.skills?.length) {
+    const skills = resume.skills.flatMap((entry, index) => {
+      const level = LEVEL_ALIASES[String(entry.level || '').trim().toLowerCase()];
+      if (entry.level && !level) {
+        warn('skills', `skills[${index}].level`, `Unknown skill level "${entry.level}", assumed intermediate`);
+      }
+      const names = entry.keywords?.length ? entry.keywords : [entry.name];
+      return names.filter(Boolean).map(name => ({ name, level: level || SkillLevels.INTERMEDIATE }));
+    });
+    portfolioData.skills = groupSkills(skills, categorization, taxonomy);
+  }
+
+  if (resume.projects?.length) {
+    portfolioData.projects = {
+      projects: resume.projects.map(project => compact({
+        name: project.name,
+        description: project.description || project.highlights?.join(' '),
+        technologies: project.keywords,
+        ...(isGithubUrl(project.url) ? { github: project.url } : { url: project.url })
+      }))
+    };
+  }
+
+  return portfolioData;
+};
\ No newline at end of file
@@ -0,0 +1,106 @@
+import AdmZip from 'adm-zip';
+import { basename } from 'path';
+import { inflateRawSync } from 'zlib';
+
+// Files of the LinkedIn "Get a copy of your data" export we know how to read
+export const LINKEDIN_EXPORT_FILES = Object.freeze({
+  'profile.csv': 'profile',
+  'positions.csv': 'positions',
+  'skills.csv': 'skills',
+  'education.csv': 'education',
+  'projects.csv': 'projects',
+  'certifications.csv': 'certifications',
+  'languages.csv': 'languages'
+});
+
+const MAX_ENTRY_SIZE = 10 * 1024 * 1024; // 10MB per extracted file, same as CSV uploads
+const MAX_TOTAL_SIZE = 50 * 1024 * 1024; // 50MB for all extracted files, same as archive uploads
+
+// ZIP compression methods: stored as is, or deflated
+const STORED = 0;
+const DEFLATED = 8;
+
+const toMB = (bytes) => bytes / (1024 * 1024);
+
+/**
+ * Decompress an archive entry, aborting as soon as it inflates to more than maxBytes:
+ * the sizes declared in the archive can't be trusted to guard against zip bombs.
+ */
+const inflateEntry = (entry, maxBytes) => {
+  const compressed = entry.getCompressedData();
+  let data;
+  if (entry.header.method === STORED) {
+    data = compressed;
+  } else if (entry.header.method === DEFLATED) {
+    try {
+      data = inflateRawSync(compressed, { maxOutputLength: maxBytes + 1 });
+    } catch (error) {
+      if (error.code !== 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error(`${entry.entryName} could not be decompressed: ${error.message}`);
+      }
+      data = null;
+    }
+  } else {
+    throw new Error(`${entry.entryName} uses an unsupported compression method`);
+  }
+
+  return data && data.length <= maxBytes ? data : null;
+};
+
+/**
+ * Get the type of a LinkedIn export file from its name, e.g. "Positions.csv" -> "positions".
+ * Returns null for files that aren't part of the known export.
+ */
+export const getLinkedInFileType = (fileName) =>
+  LINKEDIN_EXPORT_FILES[basename(fileName).toLowerCase()] || null;
+
+/**
+ * Extract the known CSV files from a LinkedIn data export archive.
+ * Only recognised files are decompressed; everything else is listed in `ignored`.
+ *
+ * @param {Buffer} buffer ZIP archive contents
+ * @returns {{ files: Array<{ originalname: string, buffer: Buffer }>, ignored: string[] }}
+ */
+export const extractLinkedInArchive = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new Error(`Invalid ZIP archive: ${error.message}`);
+  }
+
+  const files = [];
+  const ignored = [];
+  let remaining = MAX_TOTAL_SIZE;
+
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory) {
+      continue;
+    }
+
+    if (!getLinkedInFileType(entry.entryName)) {
+      ignored.push(entry.entryName);
+      continue;
+    }
+
+    // Reject files declared too large without inflating them, then enforce the limits
+    // on the bytes actually inflated
+    if (entry.header.size > MAX_ENTRY_SIZE) {
+      throw new Error(`${entry.entryName} is larger than ${toMB(MAX_ENTRY_SIZE)}MB`);
+    }
+    const data = inflateEntry(entry, Math.min(MAX_ENTRY_SIZE, remaining));
+    if (!data) {
+      throw new Error(remaining < MAX_ENTRY_SIZE
+        ? `The extracted files are larger than ${toMB(MAX_TOTAL_SIZE)}MB`
+        : `${entry.entryName} is larger than ${toMB(MAX_ENTRY_SIZE)}MB`);
+    }
+    remaining -= data.length;
+
+    files.push({
+      originalname: basename(entry.entryName),
+      buffer: data
+    });
+  }
+
+  return { files, ignored };
+};
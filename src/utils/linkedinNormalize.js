@@ -0,0 +1,92 @@
+import { LocationTypes } from '../constants/locationTypes.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const pad = (month) => String(month).padStart(2, '0');
+
+/**
+ * Normalize a LinkedIn date to YYYY-MM.
+ * Accepts "Jan 2020", "January 2020", "2020-01", "01/2020" and year-only "2020"
+ * (which becomes January with a warning).
+ *
+ * @returns {{ value: string, warning?: string } | { error: string } | null} null for empty input
+ */
+export const normalizeLinkedInDate = (input) => {
+  const value = String(input ?? '').trim();
+  if (!value) {
+    return null;
+  }
+
+  let match = value.match(/^([a-z]{3,})\.?\s+(\d{4})$/i);
+  if (match) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1;
+    if (month > 0) {
+      return { value: `${match[2]}-${pad(month)}` };
+    }
+  }
+
+  match = value.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?$/);
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    return { value: `${match[1]}-${pad(match[2])}` };
+  }
+
+  match = value.match(/^(\d{1,2})\/(\d{4})$/);
+  if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) {
+    return { value: `${match[2]}-${pad(match[1])}` };
+  }
+
+  match = value.match(/^(\d{4})$/);
+  if (match) {
+    return { value: `${match[1]}-01`, warning: `Only the year is known ("${value}"), assumed January` };
+  }
+
+  return { error: `Unrecognised date "${value}", expected a month and year such as "Jan 2020"` };
+};
+
+/**
+ * Map a LinkedIn location such as "Berlin, Germany (Hybrid)" or "Remote" to a
+ * location type, city and country. Places without a work arrangement are
+ * assumed to be on-site, with a warning.
+ *
+ * @returns {{ location?: string, city?: string, country?: string, warning?: string }}
+ */
+export const mapLinkedInLocation = (input) => {
+  const value = String(input ?? '').trim();
+  if (!value) {
+    return {};
+  }
+
+  const lower = value.toLowerCase();
+  let location = null;
+  if (/\bremote\b/.test(lower)) {
+    location = LocationTypes.REMOTE;
+  } else if (/\bhybrid\b/.test(lower)) {
+    location = LocationTypes.HYBRID;
+  } else if (/\bon[\s-]?site\b/.test(lower)) {
+    location = LocationTypes.ON_SITE;
+  }
+
+  // Strip the work arrangement, e.g. "Berlin, Germany (Remote)" -> "Berlin, Germany"
+  const place = value
+    .replace(/\(?\b(remote|hybrid|on[\s-]?site)\b\)?/gi, '')
+    .replace(/\s*[-–·]\s*$/, '')
+    .trim();
+  const parts = place.split(',').map(part => part.trim()).filter(Boolean);
+
+  const result = {};
+  if (parts.length > 0) {
+    result.city = parts[0].replace(/\s+(Area|Metropolitan Area|Metro Area)$/i, '');
+    if (parts.length > 1) {
+      result.country = parts[parts.length - 1];
+    }
+  }
+
+  if (location) {
+    result.location = location;
+  } else if (parts.length > 0) {
+    result.location = LocationTypes.ON_SITE;
+    result.warning = `No work arrangement in location "${value}", assumed on-site`;
+  }
+
+  return result;
+};
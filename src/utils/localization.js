@@ -0,0 +1,117 @@
+const DEFAULT_LOCALE = 'en';
+
+// Localized text fields of each section, and where the items holding them live
+// (listKey null: on the section data itself)
+const LOCALIZED_FIELDS = {
+  personalInfo: { listKey: null, fields: ['bio'] },
+  about: { listKey: null, fields: ['content'] },
+  experience: { listKey: 'jobs', fields: ['description', 'achievements'] },
+  projects: { listKey: 'projects', fields: ['description'] }
+};
+
+// Sections with localized text
+export const LocalizedSections = Object.freeze(Object.keys(LOCALIZED_FIELDS));
+
+/**
+ * Locale of text stored as a single string, and the fallback of missing
+ * translations (DEFAULT_LOCALE, defaults to "en")
+ */
+export const getDefaultLocale = () => process.env.DEFAULT_LOCALE || DEFAULT_LOCALE;
+
+/**
+ * Locales the portfolio is translated to, the default one first
+ * (SUPPORTED_LOCALES, comma separated)
+ */
+export const getSupportedLocales = () => [...new Set([
+  getDefaultLocale(),
+  ...(process.env.SUPPORTED_LOCALES || '').split(',').map(locale => locale.trim()).filter(Boolean)
+])];
+
+// "pt-BR" -> "pt"
+const getLanguage = (locale) => locale.split('-')[0];
+
+/**
+ * Supported locale matching a requested one, ignoring case and falling back to
+ * its language ("de-AT" -> "de"), or null if there is none
+ */
+export const matchLocale = (requested, supported = getSupportedLocales()) => {
+  const lowerCase = requested.toLowerCase();
+  return supported.find(locale => locale.toLowerCase() === lowerCase) ||
+    supported.find(locale => locale.toLowerCase() === getLanguage(lowerCase)) ||
+    null;
+};
+
+/**
+ * Whether a field value holds translations by locale ({ en: '...', de: '...' })
+ * rather than a single string or list
+ */
+export const isLocalizedValue = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Whether a translation has any text
+const hasText = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+// Text of a field in a locale: its translation, else the one of its language,
+// the default locale's or the first there is (empty translations count as missing)
+const localizeValue = (value, locale) => {
+  if (!isLocalizedValue(value)) {
+    return value;
+  }
+  const translation = [locale, getLanguage(locale), getDefaultLocale(), ...Object.keys(value)]
+    .find(candidate => hasText(value[candidate]));
+  return translation ? value[translation] : Object.values(value)[0];
+};
+
+// Apply fn(value) to every localized field of section data, returning new data
+const mapLocalizedFields = (section, data, fn) => {
+  const { listKey, fields } = LOCALIZED_FIELDS[section];
+  const mapItem = (item) => {
+    const mapped = { ...item };
+    for (const field of fields) {
+      if (field in mapped) {
+        mapped[field] = fn(mapped[field]);
+      }
+    }
+    return mapped;
+  };
+  return listKey ? { ...data, [listKey]: (data[listKey] || []).map(mapItem) } : mapItem(data);
+};
+
+/**
+ * Section data with its localized text in one locale (see localizeValue for missing
+ * translations). Without a locale the data is returned as is, with every translation.
+ */
+export const localizeSection = (section, data, locale) => {
+  if (!data || !locale || !LOCALIZED_FIELDS[section]) {
+    return data;
+  }
+  return mapLocalizedFields(section, data, value => localizeValue(value, locale));
+};
+
+/**
+ * Translations missing from the localized text of section data: a field needs one for
+ * every locale once it has text. A single string counts as the default locale's text.
+ *
+ * @returns {Array} [{ path, missing: [locales] }], e.g. { path: 'jobs[0].description', missing: ['de'] }
+ */
+export const findMissingTranslations = (section, data, locales = getSupportedLocales()) => {
+  if (!data || !LOCALIZED_FIELDS[section]) {
+    return [];
+  }
+
+  const { listKey, fields } = LOCALIZED_FIELDS[section];
+  const items = listKey ? (data[listKey] || []).map((item, index) => [`${listKey}[${index}].`, item]) : [['', data]];
+  const missingTranslations = [];
+  for (const [pathPrefix, item] of items) {
+    for (const field of fields) {
+      const value = item[field];
+      const translated = isLocalizedValue(value)
+        ? Object.keys(value).filter(locale => hasText(value[locale]))
+        : (hasText(value) ? [getDefaultLocale()] : []);
+      const missing = translated.length > 0 ? locales.filter(locale => !translated.includes(locale)) : [];
+      if (missing.length > 0) {
+        missingTranslations.push({ path: `${pathPrefix}${field}`, missing });
+      }
+    }
+  }
+  return missingTranslations;
+};
\ No newline at end of file
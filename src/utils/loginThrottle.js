@@ -0,0 +1,65 @@
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 15 * 60 * 1000;
+// Failed logins of a client that is not locked out are forgotten after this long without one
+const FORGET_AFTER_MS = 15 * 60 * 1000;
+// Clients tracked before forgotten ones are swept
+const SWEEP_THRESHOLD = 10000;
+
+// Failed logins per client: { failures, lockedUntil, lastFailureAt }. Kept in memory, a restart clears them.
+const attempts = new Map();
+
+const isForgotten = (entry, now) =>
+  entry.lockedUntil <= now && entry.lastFailureAt + FORGET_AFTER_MS <= now;
+
+const sweep = (now) => {
+  for (const [client, entry] of attempts) {
+    if (isForgotten(entry, now)) {
+      attempts.delete(client);
+    }
+  }
+};
+
+// Failed logins allowed before a client is locked out (LOGIN_MAX_ATTEMPTS, defaults to 5)
+const getMaxAttempts = () => {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10);
+  return Number.isInteger(maxAttempts) && maxAttempts > 0 ? maxAttempts : DEFAULT_MAX_ATTEMPTS;
+};
+
+/**
+ * Milliseconds a client still has to wait before it may try to log in again (0 if it may)
+ */
+export const getLockoutRemainingMs = (client) => {
+  const entry = attempts.get(client);
+  return entry ? Math.max(0, entry.lockedUntil - Date.now()) : 0;
+};
+
+/**
+ * Record a failed login. Once the limit is reached, every further failure locks
+ * the client out for twice as long, starting at one minute and capped at 15 minutes.
+ * Failures are forgotten once the client is no longer locked out and has not failed for 15 minutes.
+ */
+export const recordLoginFailure = (client) => {
+  const now = Date.now();
+  if (attempts.size >= SWEEP_THRESHOLD) {
+    sweep(now);
+  }
+
+  const existing = attempts.get(client);
+  const entry = existing && !isForgotten(existing, now) ? existing : { failures: 0, lockedUntil: 0 };
+  entry.failures += 1;
+  entry.lastFailureAt = now;
+
+  const excess = entry.failures - getMaxAttempts();
+  if (excess >= 0) {
+    entry.lockedUntil = now + Math.min(BASE_LOCKOUT_MS * 2 ** excess, MAX_LOCKOUT_MS);
+  }
+  attempts.set(client, entry);
+};
+
+/**
+ * Forget the failed logins of a client after a successful login
+ */
+export const resetLoginFailures = (client) => {
+  attempts.delete(client);
+};
\ No newline at end of file
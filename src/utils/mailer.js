@@ -0,0 +1,43 @@
+import nodemailer from 'nodemailer';
+
+let transport = null;
+
+/**
+ * Whether contact messages should be emailed (SMTP_HOST is set)
+ */
+export const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+// SMTP transport from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS, created on first use
+const getTransport = () => {
+  if (!transport) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transport;
+};
+
+/**
+ * Email a contact form message to CONTACT_EMAIL_TO, or else to the given fallback
+ * address (the portfolio's contact email). Replies go to the sender.
+ */
+export const sendContactMessageEmail = async (message, fallbackTo) => {
+  const to = process.env.CONTACT_EMAIL_TO || fallbackTo;
+  if (!to) {
+    throw new Error('No recipient for contact messages, set CONTACT_EMAIL_TO');
+  }
+
+  await getTransport().sendMail({
+    from: process.env.CONTACT_EMAIL_FROM || process.env.SMTP_USER || to,
+    to,
+    replyTo: `"${message.name.replace(/["\\]/g, '')}" <${message.email}>`,
+    subject: message.subject ? `[Portfolio] ${message.subject}` : `[Portfolio] Message from ${message.name}`,
+    text: `${message.message}\n\n— ${message.name} <${message.email}>, ${message.createdAt}`
+  });
+};
\ No newline at end of file
@@ -0,0 +1,241 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import { join, resolve } from 'path';
+import sharp from 'sharp';
+import { getDataDirPath, getStorage } from '../storage/index.js';
+import { MediaTypes } from '../constants/mediaTypes.js';
+import { listDrafts } from './drafts.js';
+import { listRevisionData } from './revisionHistory.js';
+
+const DEFAULT_MAX_SIZE_MB = 5;
+const THUMBNAIL_WIDTH = 400;
+
+// URL path uploaded files are served under
+export const MEDIA_URL_PATH = '/media';
+
+// Storage key of the metadata of an uploaded file
+const getMediaKey = (id) => `media/${id}`;
+
+// Media ids are UUIDs; anything else (e.g. an id with path segments) names no media
+const isMediaId = (value) =>
+  typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+// Section fields that take an external URL or a media id, and the items that have them
+const MEDIA_FIELDS = {
+  personalInfo: { field: 'photo', items: (data) => [data] },
+  projects: { field: 'image', items: (data) => data.projects || [] }
+};
+
+/**
+ * Directory uploaded files are stored in (MEDIA_DIR, defaults to uploads/ in the data directory)
+ */
+export const getMediaDirPath = () =>
+  process.env.MEDIA_DIR ? resolve(process.env.MEDIA_DIR) : join(getDataDirPath(), 'uploads');
+
+/**
+ * Largest upload accepted, in bytes (MEDIA_MAX_SIZE_MB, defaults to 5)
+ */
+export const getMaxMediaSize = () => {
+  const megabytes = parseFloat(process.env.MEDIA_MAX_SIZE_MB);
+  return Math.floor((megabytes > 0 ? megabytes : DEFAULT_MAX_SIZE_MB) * 1024 * 1024);
+};
+
+// Add the URLs a media file and its thumbnail are served at
+const withUrls = (media) => ({
+  ...media,
+  url: `${MEDIA_URL_PATH}/${media.file}`,
+  thumbnailUrl: `${MEDIA_URL_PATH}/${media.thumbnail}`
+});
+
+/**
+ * Store an uploaded image and generate its thumbnail. The type is checked from
+ * the file content, not the name or the declared type.
+ * Throws an error with code 'UNSUPPORTED_MEDIA' if the file isn't a supported image.
+ */
+export const saveMedia = async (storage, { buffer, originalname }, author) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    metadata = null;
+  }
+  const contentType = metadata && `image/${metadata.format}`;
+  if (!MediaTypes[contentType]) {
+    const error = new Error(`Unsupported file type, expected one of ${Object.keys(MediaTypes).join(', ')}`);
+    error.code = 'UNSUPPORTED_MEDIA';
+    throw error;
+  }
+
+  const id = randomUUID();
+  const media = {
+    id,
+    filename: originalname,
+    file: `${id}.${MediaTypes[contentType]}`,
+    thumbnail: `${id}-thumb.webp`,
+    contentType,
+    size: buffer.length,
+    width: metadata.width,
+    height: metadata.height,
+    createdAt: new Date().toISOString(),
+    createdBy: author
+  };
+
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .webp()
+    .toBuffer();
+
+  const dir = getMediaDirPath();
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(join(dir, media.file), buffer);
+  await fs.writeFile(join(dir, media.thumbnail), thumbnail);
+  await storage.write(getMediaKey(id), media);
+
+  return withUrls(media);
+};
+
+/**
+ * List uploaded media, newest first
+ */
+export const listMedia = async (storage) => {
+  const media = [];
+  for (const key of await storage.list('media/')) {
+    const item = await storage.read(key);
+    if (item) {
+      media.push(withUrls(item));
+    }
+  }
+  return media.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Get uploaded media, or null if it doesn't exist
+ */
+export const getMedia = async (storage, id) => {
+  const media = isMediaId(id) ? await storage.read(getMediaKey(id)) : null;
+  return media && withUrls(media);
+};
+
+// Whether a profile still has a record of the media: profiles cloned with their media
+// share its files (root profile: "media/<id>", others: "profiles/<slug>/media/<id>")
+const isMediaRecorded = async (id) => {
+  const storage = getStorage();
+  const mediaKey = getMediaKey(id);
+  const keys = [...await storage.list(mediaKey), ...await storage.list('profiles/')];
+  return keys.some(key => key === mediaKey || key.endsWith(`/${mediaKey}`));
+};
+
+/**
+ * Delete uploaded media, and its files unless another profile still has the media.
+ * Returns false if it doesn't exist.
+ */
+export const deleteMedia = async (storage, id) => {
+  const media = await getMedia(storage, id);
+  if (!media) {
+    return false;
+  }
+
+  await storage.remove(getMediaKey(id));
+  if (!(await isMediaRecorded(id))) {
+    const dir = getMediaDirPath();
+    await fs.rm(join(dir, media.file), { force: true });
+    await fs.rm(join(dir, media.thumbnail), { force: true });
+  }
+  return true;
+};
+
+/**
+ * Ids of the uploaded media used by portfolio sections ({ section: data })
+ */
+export const getMediaReferences = (sections) => {
+  const ids = new Set();
+  for (const [section, data] of Object.entries(sections)) {
+    if (data && MEDIA_FIELDS[section]) {
+      const { field, items } = MEDIA_FIELDS[section];
+      for (const item of items(data)) {
+        const value = item?.[field];
+        if (isMediaId(value)) {
+          ids.add(value);
+        }
+      }
+    }
+  }
+  return ids;
+};
+
+/**
+ * Delete those of the given media that are no longer used by a published section, a draft
+ * or a retained revision, e.g. the image of a project deleted so long ago that its revisions
+ * are gone. Media that were never used are kept (they may be about to be).
+ */
+export const removeOrphanedMedia = async (storage, candidateIds) => {
+  if (candidateIds.size === 0) {
+    return [];
+  }
+
+  const sections = {};
+  for (const section of Object.keys(MEDIA_FIELDS)) {
+    sections[section] = await storage.read(section);
+  }
+  const used = getMediaReferences(sections);
+  for (const draft of await listDrafts(storage)) {
+    getMediaReferences({ [draft.section]: draft.data }).forEach(id => used.add(id));
+  }
+  // Rolling back to a revision brings its images back
+  for (const section of Object.keys(MEDIA_FIELDS)) {
+    for (const data of await listRevisionData(storage, section)) {
+      getMediaReferences({ [section]: data }).forEach(id => used.add(id));
+    }
+  }
+
+  const removed = [];
+  for (const id of candidateIds) {
+    if (!used.has(id) && await deleteMedia(storage, id)) {
+      removed.push(id);
+    }
+  }
+  return removed;
+};
+
+/**
+ * Delete every uploaded file of a storage (e.g. of a profile being deleted)
+ */
+export const deleteAllMedia = async (storage) => {
+  for (const media of await listMedia(storage)) {
+    await deleteMedia(storage, media.id);
+  }
+};
+
+/**
+ * Add the URLs to show to media fields of section data: "<field>Url" and
+ * "<field>ThumbnailUrl" next to each field holding a media id or external URL.
+ * Unknown media ids resolve to null.
+ */
+export const resolveMediaUrls = async (storage, section, data) => {
+  if (!data || !MEDIA_FIELDS[section]) {
+    return data;
+  }
+  const { field } = MEDIA_FIELDS[section];
+
+  const resolveItem = async (item) => {
+    const value = item[field];
+    if (!value) {
+      return item;
+    }
+    if (!isMediaId(value)) {
+      return { ...item, [`${field}Url`]: value, [`${field}ThumbnailUrl`]: value };
+    }
+    const media = await getMedia(storage, value);
+    return {
+      ...item,
+      [`${field}Url`]: media?.url || null,
+      [`${field}ThumbnailUrl`]: media?.thumbnailUrl || null
+    };
+  };
+
+  if (section === 'projects') {
+    return { ...data, projects: await Promise.all((data.projects || []).map(resolveItem)) };
+  }
+  return resolveItem(data);
+};
\ No newline at end of file
@@ -0,0 +1,566 @@
+import { readFileSync } from 'fs';
+import { PortfolioSections } from '../constants/portfolioSections.js';
+import { Scopes, getSectionWriteScope } from '../constants/scopes.js';
+import { MergeStrategies } from '../constants/mergeStrategies.js';
+import {
+  apiTokenSchema,
+  categorizationSchema,
+  experienceQuerySchema,
+  passwordChangeSchema,
+  projectsQuerySchema,
+  resumeOptionsSchema,
+  schemaMap,
+  searchQuerySchema
+} from '../validation/schemas.js';
+import { toJsonSchema } from '../validation/jsonSchema.js';
+
+const { version } = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+// Query schemas of the section list routes (see sectionQuery.js)
+const SECTION_QUERY_SCHEMAS = {
+  experience: experienceQuerySchema,
+  projects: projectsQuerySchema
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema) => ({ 'application/json': { schema } });
+
+const response = (description, schema = { type: 'object' }) => ({ description, content: json(schema) });
+
+const errorResponse = (description) => response(description, ref('Error'));
+
+const jsonBody = (schema, required = true) => ({ required, content: json(schema) });
+
+// Multipart body of file uploads with the import options of the LinkedIn routes
+const uploadBody = (files) => ({
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: {
+        type: 'object',
+        properties: {
+          ...files,
+          mergeStrategies: { type: 'string', description: 'Merge strategy of every section, or a JSON map per section' },
+          categorization: { type: 'string', description: 'Skill categorization preferences as JSON' }
+        }
+      }
+    }
+  }
+});
+
+const csvFiles = { files: { type: 'array', items: { type: 'string', format: 'binary' }, maxItems: 10, description: 'LinkedIn CSV exports' } };
+const zipArchive = { archive: { type: 'string', format: 'binary', description: 'LinkedIn data export archive (ZIP)' } };
+
+const pathParameter = (name, description, schema = { type: 'string' }) => ({ name, in: 'path', required: true, description, schema });
+
+const sectionParameter = pathParameter('section', 'Portfolio section', { type: 'string', enum: PortfolioSections });
+
+const langParameter = {
+  name: 'lang',
+  in: 'query',
+  description: 'Locale of localized text, overrides Accept-Language; "all" returns every translation where supported',
+  schema: { type: 'string' }
+};
+
+const publishParameter = {
+  name: 'publish',
+  in: 'query',
+  description: 'Publish right away instead of saving a draft',
+  schema: { type: 'boolean', default: false }
+};
+
+// Query parameters of a Joi schema; lists are comma separated
+const queryParameters = (schema) => Object.entries(schema.describe().keys).map(([name, description]) => {
+  const parameterSchema = toJsonSchema(schema.extract(name));
+  return {
+    name,
+    in: 'query',
+    required: description.flags?.presence === 'required',
+    schema: parameterSchema,
+    ...(parameterSchema.type === 'array' && { style: 'form', explode: false })
+  };
+});
+
+/**
+ * Describe an operation. auth: false (public), 'optional' (signed-in users see hidden
+ * content) or true, with the scopes the token needs.
+ */
+const operation = (tag, summary, { auth = false, scopes = [], description, parameters, requestBody, responses }) => ({
+  tags: [tag],
+  summary,
+  ...(description && { description }),
+  ...(parameters && { parameters }),
+  ...(requestBody && { requestBody }),
+  ...(auth && { security: auth === 'optional' ? [{}, { bearerAuth: [] }] : [{ bearerAuth: scopes }] }),
+  responses: {
+    ...responses,
+    ...(auth === true && { 401: errorResponse('Missing, invalid or expired token') }),
+    ...(auth === true && { 403: errorResponse('The token lacks a required scope') }),
+    500: errorResponse('Server error')
+  }
+});
+
+const validationError = errorResponse('Invalid request');
+const sectionWriteNote = 'Needs the write scope of every section it changes, e.g. "projects:write".';
+
+const authPaths = () => {
+  const login = operation('Auth', 'Log in with the admin password', {
+    requestBody: jsonBody({ type: 'object', properties: { password: { type: 'string' } }, required: ['password'] }),
+    responses: {
+      200: response('Access and refresh tokens', ref('Tokens')),
+      401: errorResponse('Invalid password'),
+      429: errorResponse('Too many failed attempts')
+    }
+  });
+
+  return {
+    '/api/login': { post: login },
+    '/api/auth/login': { post: login },
+    '/api/auth/refresh': {
+      post: operation('Auth', 'Exchange a refresh token for new tokens', {
+        description: 'The refresh token can\'t be used again.',
+        requestBody: jsonBody({ type: 'object', properties: { refreshToken: { type: 'string' } }, required: ['refreshToken'] }),
+        responses: {
+          200: response('New access and refresh tokens', ref('Tokens')),
+          400: errorResponse('Refresh token missing'),
+          401: errorResponse('Invalid or expired refresh token')
+        }
+      })
+    },
+    '/api/auth/logout': {
+      post: operation('Auth', 'Revoke the access token and, if given, the refresh token', {
+        auth: true,
+        requestBody: jsonBody({ type: 'object', properties: { refreshToken: { type: 'string' } } }, false),
+        responses: { 200: response('Logged out') }
+      })
+    },
+    '/api/auth/password': {
+      put: operation('Auth', 'Change the admin password', {
+        auth: true,
+        scopes: [Scopes.ACCOUNT_MANAGE],
+        description: 'Other sessions are logged out, the caller gets new tokens.',
+        requestBody: jsonBody(toJsonSchema(passwordChangeSchema)),
+        responses: {
+          200: response('Password changed', ref('Tokens')),
+          400: validationError,
+          401: errorResponse('Current password is incorrect'),
+          429: errorResponse('Too many failed attempts')
+        }
+      })
+    },
+    '/api/auth/tokens': {
+      get: operation('Auth', 'List API tokens', {
+        auth: true,
+        scopes: [Scopes.TOKENS_MANAGE],
+        responses: { 200: response('API tokens, without their secrets') }
+      }),
+      post: operation('Auth', 'Create an API token with a role or a list of scopes', {
+        auth: true,
+        scopes: [Scopes.TOKENS_MANAGE],
+        description: 'The token is only shown in this response.',
+        requestBody: jsonBody(toJsonSchema(apiTokenSchema)),
+        responses: { 201: response('The token and its details'), 400: validationError }
+      })
+    },
+    '/api/auth/tokens/{id}': {
+      delete: operation('Auth', 'Revoke an API token', {
+        auth: true,
+        scopes: [Scopes.TOKENS_MANAGE],
+        parameters: [pathParameter('id', 'API token id')],
+        responses: { 200: response('Token revoked'), 404: errorResponse('API token not found') }
+      })
+    }
+  };
+};
+
+// GET and PUT of each section, with its own schema and query parameters
+const sectionPaths = () => Object.fromEntries(PortfolioSections.map(section => [`/api/portfolio/${section}`, {
+  get: operation('Portfolio', `Get the ${section} section`, {
+    auth: 'optional',
+    description: SECTION_QUERY_SCHEMAS[section]
+      ? 'Filters, sort or pagination add a "pagination" object to the response.'
+      : undefined,
+    parameters: [
+      langParameter,
+      ...(SECTION_QUERY_SCHEMAS[section] ? queryParameters(SECTION_QUERY_SCHEMAS[section]) : [])
+    ],
+    responses: {
+      200: response('Section data', ref(section)),
+      304: { description: 'Not modified since the ETag or date of the request' },
+      400: validationError,
+      404: errorResponse('Section not found')
+    }
+  }),
+  put: operation('Portfolio', `Replace the ${section} section`, {
+    auth: true,
+    scopes: [getSectionWriteScope(section)],
+    description: 'Saved as a draft unless published right away.',
+    parameters: [publishParameter],
+    requestBody: jsonBody(ref(section)),
+    responses: { 200: response('Draft saved or section published'), 400: validationError }
+  })
+}]));
+
+const draftPaths = () => {
+  const publishBody = (withSections) => jsonBody({
+    type: 'object',
+    properties: {
+      ...(withSections && { sections: { type: 'array', items: { type: 'string', enum: PortfolioSections }, description: 'Default: every draft' } }),
+      publishAt: { type: 'string', format: 'date-time', description: 'Schedule the publication instead, if in the future' }
+    }
+  }, false);
+  const draftOperation = (method, summary, options) => operation('Drafts', summary, {
+    auth: true,
+    ...(method !== 'get' ? { description: sectionWriteNote } : { scopes: [Scopes.DRAFTS_READ] }),
+    ...options,
+    responses: { 200: response(summary), 404: errorResponse('No draft for a section'), ...options.responses }
+  });
+  const perSection = { parameters: [sectionParameter] };
+
+  return {
+    '/api/portfolio/preview': {
+      get: draftOperation('get', 'Preview the portfolio with every draft published', {})
+    },
+    '/api/portfolio/drafts': {
+      get: draftOperation('get', 'List the sections with drafts', {}),
+      delete: draftOperation('delete', 'Discard every draft', {})
+    },
+    '/api/portfolio/drafts/diff': {
+      get: draftOperation('get', 'Diff every draft against the published data', {})
+    },
+    '/api/portfolio/drafts/publish': {
+      post: draftOperation('post', 'Publish or schedule drafts', { requestBody: publishBody(true) })
+    },
+    '/api/portfolio/drafts/schedule': {
+      delete: draftOperation('delete', 'Cancel the scheduled publication of every draft', {})
+    },
+    '/api/portfolio/drafts/{section}': {
+      get: draftOperation('get', 'Get the draft of a section', perSection),
+      delete: draftOperation('delete', 'Discard the draft of a section', perSection)
+    },
+    '/api/portfolio/drafts/{section}/diff': {
+      get: draftOperation('get', 'Diff the draft of a section against the published data', perSection)
+    },
+    '/api/portfolio/drafts/{section}/publish': {
+      post: draftOperation('post', 'Publish or schedule the draft of a section', { ...perSection, requestBody: publishBody(false) })
+    },
+    '/api/portfolio/drafts/{section}/schedule': {
+      delete: draftOperation('delete', 'Cancel the scheduled publication of a draft', perSection)
+    }
+  };
+};
+
+const historyPaths = () => {
+  const revisionParameter = pathParameter('revisionId', 'Revision id');
+  return {
+    '/api/portfolio/{section}/history': {
+      get: operation('History', 'List the revisions of a section', {
+        auth: true,
+        scopes: [Scopes.HISTORY_READ],
+        parameters: [sectionParameter],
+        responses: { 200: response('Revisions, newest first'), 400: validationError }
+      })
+    },
+    '/api/portfolio/{section}/history/diff': {
+      get: operation('History', 'Diff two revisions of a section', {
+        auth: true,
+        scopes: [Scopes.HISTORY_READ],
+        parameters: [
+          sectionParameter,
+          { name: 'from', in: 'query', required: true, schema: { type: 'string' }, description: 'Revision id' },
+          { name: 'to', in: 'query', schema: { type: 'string' }, description: 'Revision id, default: the current data' }
+        ],
+        responses: { 200: response('Changes'), 400: validationError, 404: errorResponse('Revision not found') }
+      })
+    },
+    '/api/portfolio/{section}/history/{revisionId}': {
+      get: operation('History', 'Get a revision of a section', {
+        auth: true,
+        scopes: [Scopes.HISTORY_READ],
+        parameters: [sectionParameter, revisionParameter],
+        responses: { 200: response('Revision with its data'), 404: errorResponse('Revision not found') }
+      })
+    },
+    '/api/portfolio/{section}/rollback/{revisionId}': {
+      post: operation('History', 'Roll a section back to a revision', {
+        auth: true,
+        description: sectionWriteNote,
+        parameters: [sectionParameter, revisionParameter],
+        responses: { 200: response('Rolled back, with the new revision'), 404: errorResponse('Revision not found') }
+      })
+    }
+  };
+};
+
+const portfolioPaths = () => ({
+  '/api/portfolio': {
+    get: operation('Portfolio', 'Get every section', {
+      auth: 'optional',
+      description: 'Hidden content is only included for tokens with the "hidden:read" scope.',
+      parameters: [langParameter],
+      responses: {
+        200: response('Data of every section, null for missing ones', ref('Portfolio')),
+        304: { description: 'Not modified since the ETag or date of the request' }
+      }
+    }),
+    put: operation('Portfolio', 'Replace several sections', {
+      auth: true,
+      description: `Saved as drafts unless published right away. ${sectionWriteNote}`,
+      parameters: [publishParameter],
+      requestBody: jsonBody(ref('Portfolio')),
+      responses: { 200: response('Drafts saved or sections published'), 400: validationError }
+    })
+  },
+  ...sectionPaths(),
+  '/api/portfolio/skills/structure': {
+    get: operation('Portfolio', 'Get the roles and subcategories skills are grouped into', {
+      responses: { 200: response('Skill taxonomy roles') }
+    })
+  },
+  '/api/portfolio/skills/flat': {
+    get: operation('Portfolio', 'Get skills without subcategories', {
+      auth: 'optional',
+      responses: { 200: response('Skills by category'), 404: errorResponse('Skills section not found') }
+    })
+  },
+  '/api/portfolio/search': {
+    get: operation('Portfolio', 'Search every section', {
+      auth: 'optional',
+      description: 'Results are ranked; snippets are HTML with the matching words in <mark>.',
+      parameters: [...queryParameters(searchQuerySchema), langParameter],
+      responses: { 200: response('Matching items, best first'), 400: validationError }
+    })
+  },
+  '/api/portfolio/schema/{section}': {
+    get: operation('Portfolio', 'Get the JSON Schema of a section', {
+      parameters: [sectionParameter],
+      responses: { 200: response('JSON Schema (draft 2020-12)'), 400: validationError }
+    })
+  },
+  '/api/portfolio/translations': {
+    get: operation('Translations', 'List missing translations of every section', {
+      auth: true,
+      scopes: [Scopes.TRANSLATIONS_READ],
+      responses: { 200: response('Missing translations by section') }
+    })
+  },
+  '/api/portfolio/translations/{section}': {
+    get: operation('Translations', 'List missing translations of a section', {
+      auth: true,
+      scopes: [Scopes.TRANSLATIONS_READ],
+      parameters: [sectionParameter],
+      responses: { 200: response('Missing translations of the section'), 400: validationError }
+    })
+  },
+  ...draftPaths(),
+  ...historyPaths(),
+  '/api/portfolio/resume/templates': {
+    get: operation('CV', 'List the CV templates', { responses: { 200: response('Templates') } })
+  },
+  '/api/portfolio/resume': {
+    get: operation('CV', 'Render the CV', {
+      description: 'The format is chosen with the "format" parameter or the Accept header.',
+      parameters: [...queryParameters(resumeOptionsSchema), langParameter],
+      responses: {
+        200: {
+          description: 'The CV',
+          content: {
+            'text/html': { schema: { type: 'string' } },
+            'application/pdf': { schema: { type: 'string', format: 'binary' } },
+            'text/markdown': { schema: { type: 'string' } }
+          }
+        },
+        400: validationError,
+        406: errorResponse('None of the accepted formats can be rendered')
+      }
+    })
+  },
+  '/api/portfolio/export/json-resume': {
+    get: operation('JSON Resume', 'Export the portfolio as a JSON Resume document', {
+      auth: 'optional',
+      parameters: [langParameter],
+      responses: { 200: response('JSON Resume document') }
+    })
+  },
+  '/api/portfolio/import/json-resume/preview': {
+    post: operation('JSON Resume', 'Preview the import of a JSON Resume document', {
+      auth: true,
+      scopes: [Scopes.JSON_RESUME_IMPORT],
+      requestBody: jsonBody(ref('JsonResumeImport')),
+      responses: { 200: response('Portfolio data the import would save'), 400: validationError }
+    })
+  },
+  '/api/portfolio/import/json-resume': {
+    post: operation('JSON Resume', 'Import a JSON Resume document', {
+      auth: true,
+      scopes: [Scopes.JSON_RESUME_IMPORT],
+      description: 'Saved as drafts unless published right away.',
+      parameters: [publishParameter],
+      requestBody: jsonBody(ref('JsonResumeImport')),
+      responses: { 200: response('Drafts saved or sections published'), 400: validationError }
+    })
+  }
+});
+
+const linkedInPaths = () => {
+  const linkedInOperation = (summary, options) => operation('LinkedIn', summary, {
+    auth: true,
+    scopes: [Scopes.LINKEDIN_IMPORT],
+    ...options
+  });
+  const sessionParameter = pathParameter('id', 'Import session id');
+  const notFound = errorResponse('Import session not found or expired');
+
+  return {
+    '/api/linkedin/preview-csv': {
+      post: linkedInOperation('Preview the import of LinkedIn CSV files', {
+        requestBody: uploadBody(csvFiles),
+        responses: { 200: response('Portfolio data the import would save'), 400: validationError }
+      })
+    },
+    '/api/linkedin/upload-csv': {
+      post: linkedInOperation('Import LinkedIn CSV files', {
+        description: 'Saved as drafts unless published right away.',
+        parameters: [publishParameter],
+        requestBody: uploadBody(csvFiles),
+        responses: { 200: response('Drafts saved or sections published'), 400: validationError }
+      })
+    },
+    '/api/linkedin/preview-zip': {
+      post: linkedInOperation('Preview the import of a LinkedIn data export archive', {
+        requestBody: uploadBody(zipArchive),
+        responses: { 200: response('Portfolio data the import would save, and a report of the archive files'), 400: validationError }
+      })
+    },
+    '/api/linkedin/upload-zip': {
+      post: linkedInOperation('Import a LinkedIn data export archive', {
+        description: 'Saved as drafts unless published right away.',
+        parameters: [publishParameter],
+        requestBody: uploadBody(zipArchive),
+        responses: { 200: response('Drafts saved or sections published'), 400: validationError }
+      })
+    },
+    '/api/linkedin/imports': {
+      get: linkedInOperation('List open import sessions', {
+        responses: { 200: response('Import sessions') }
+      }),
+      post: linkedInOperation('Start a staged import to review before committing it', {
+        requestBody: uploadBody({ ...csvFiles, ...zipArchive }),
+        responses: { 201: response('The import session'), 400: validationError }
+      })
+    },
+    '/api/linkedin/imports/{id}': {
+      get: linkedInOperation('Get an import session with its staged data', {
+        parameters: [sessionParameter],
+        responses: { 200: response('The import session'), 404: notFound }
+      }),
+      delete: linkedInOperation('Discard an import session', {
+        parameters: [sessionParameter],
+        responses: { 200: response('Session discarded'), 404: notFound }
+      })
+    },
+    '/api/linkedin/imports/{id}/sections/{section}': {
+      put: linkedInOperation('Replace the staged data of a section', {
+        description: 'Invalid data is kept, with its errors, so it can be fixed later.',
+        parameters: [sessionParameter, sectionParameter],
+        requestBody: jsonBody({ type: 'object', description: 'Section data' }),
+        responses: { 200: response('The updated import session'), 404: notFound }
+      }),
+      delete: linkedInOperation('Leave a section out of the import', {
+        parameters: [sessionParameter, sectionParameter],
+        responses: { 200: response('The updated import session'), 404: notFound }
+      })
+    },
+    '/api/linkedin/imports/{id}/commit': {
+      post: linkedInOperation('Save the staged data of an import session', {
+        description: 'Saved as drafts unless published right away.',
+        parameters: [sessionParameter, publishParameter],
+        responses: {
+          200: response('Drafts saved or sections published'),
+          400: validationError,
+          404: notFound,
+          409: errorResponse('Drafts were edited since the import was staged')
+        }
+      })
+    },
+    '/api/linkedin/configure-categorization': {
+      get: linkedInOperation('Get the skill categorization preferences', {
+        responses: { 200: response('Preferences', ref('Categorization')) }
+      }),
+      post: linkedInOperation('Set the skill categorization preferences', {
+        requestBody: jsonBody({ type: 'object', properties: { categorization: ref('Categorization') }, required: ['categorization'] }),
+        responses: { 200: response('Preferences saved'), 400: validationError }
+      })
+    }
+  };
+};
+
+/**
+ * OpenAPI 3.1 document of the portfolio, LinkedIn import and login routes. Request and
+ * section schemas are generated from the Joi schemas, so they follow validation changes.
+ */
+export const buildOpenApiDocument = () => ({
+  openapi: '3.1.0',
+  info: {
+    title: 'Dev Portfolio API',
+    version,
+    description: 'Every portfolio and LinkedIn route also exists per profile, under /api/profiles/{slug}/portfolio and /api/profiles/{slug}/linkedin.'
+  },
+  tags: ['Auth', 'Portfolio', 'Drafts', 'History', 'Translations', 'CV', 'JSON Resume', 'LinkedIn'].map(name => ({ name })),
+  paths: {
+    ...authPaths(),
+    ...portfolioPaths(),
+    ...linkedInPaths()
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Access token from /api/login or an API token. Operations list the scopes they need.'
+      }
+    },
+    schemas: {
+      ...Object.fromEntries(Object.entries(schemaMap).map(([section, schema]) => [section, toJsonSchema(schema)])),
+      Portfolio: {
+        type: 'object',
+        properties: Object.fromEntries(PortfolioSections.map(section => [section, ref(section)]))
+      },
+      Categorization: toJsonSchema(categorizationSchema),
+      JsonResumeImport: {
+        type: 'object',
+        properties: {
+          resume: { type: 'object', description: 'JSON Resume document (https://jsonresume.org/schema)' },
+          mergeStrategies: {
+            description: 'Merge strategy of every section, or a map per section',
+            anyOf: [
+              { type: 'string', enum: Object.values(MergeStrategies) },
+              { type: 'object', additionalProperties: { type: 'string', enum: Object.values(MergeStrategies) } }
+            ]
+          },
+          categorization: ref('Categorization')
+        },
+        required: ['resume']
+      },
+      Tokens: {
+        type: 'object',
+        properties: {
+          token: { type: 'string' },
+          expiresAt: { type: 'string', format: 'date-time' },
+          refreshToken: { type: 'string' },
+          refreshExpiresAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' },
+          details: { description: 'Validation messages' }
+        },
+        required: ['error']
+      }
+    }
+  }
+});
\ No newline at end of file
@@ -0,0 +1,38 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+// scrypt cost parameters, stored with every hash so they can be raised later
+const SCRYPT_PARAMS = Object.freeze({ N: 16384, r: 8, p: 1 });
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * Hash a password with scrypt and a random salt.
+ * The result is self-describing: "scrypt$<N>$<r>$<p>$<salt>$<hash>" (salt and hash base64)
+ */
+export const hashPassword = async (password) => {
+  const salt = randomBytes(SALT_LENGTH);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scryptAsync(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Check a password against a hash made by hashPassword, in constant time
+ */
+export const verifyPassword = async (password, passwordHash) => {
+  const [algorithm, N, r, p, salt, hash] = String(passwordHash).split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return timingSafeEqual(actual, expected);
+};
\ No newline at end of file
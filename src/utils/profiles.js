@@ -0,0 +1,154 @@
+import { createScopedStorage } from '../storage/scopedStorage.js';
+import { initializeDataDirectory } from './dataInitializer.js';
+import { deleteAllMedia } from './media.js';
+import { invalidateStorage } from './sectionCache.js';
+import { PortfolioSections } from '../constants/portfolioSections.js';
+
+// The profile that owns the root of the storage (the data of a single-portfolio setup)
+export const ROOT_PROFILE = 'default';
+
+// Storage key of the profile registry
+const REGISTRY_KEY = 'profiles';
+
+// Key prefix of a profile's documents
+const getProfilePrefix = (slug) => `profiles/${slug}/`;
+
+/**
+ * Profile served by /api/portfolio (DEFAULT_PROFILE, defaults to the root profile)
+ */
+export const getDefaultProfile = () => process.env.DEFAULT_PROFILE || ROOT_PROFILE;
+
+/**
+ * Get the storage of a profile: the root profile uses the storage itself,
+ * every other profile its own namespace in it
+ */
+export const getProfileStorage = (storage, slug) =>
+  slug === ROOT_PROFILE ? storage : createScopedStorage(storage, getProfilePrefix(slug));
+
+// Documents that belong to a profile: its sections, their drafts and history, its uploaded
+// media and its import preferences. Shared documents such as the skill taxonomy stay with
+// the root storage.
+const isProfileDocument = (key) =>
+  PortfolioSections.includes(key) ||
+  key.startsWith('history/') ||
+  key.startsWith('drafts/') ||
+  key.startsWith('media/') ||
+  key === 'categorization';
+
+const readRegistry = async (storage) => (await storage.read(REGISTRY_KEY)) || { profiles: [] };
+
+/**
+ * List every profile, the root profile first
+ */
+export const listProfiles = async (storage) => {
+  const { profiles } = await readRegistry(storage);
+  return [
+    { slug: ROOT_PROFILE, name: 'Default' },
+    ...profiles
+  ];
+};
+
+/**
+ * Get a profile, or null if it doesn't exist
+ */
+export const getProfile = async (storage, slug) =>
+  (await listProfiles(storage)).find(profile => profile.slug === slug) || null;
+
+const registerProfile = async (storage, profile) => {
+  const registry = await readRegistry(storage);
+  await storage.write(REGISTRY_KEY, { profiles: [...registry.profiles, profile] });
+  return profile;
+};
+
+/**
+ * Create a profile and initialize its data like a new data directory
+ * (example data if available, placeholder data otherwise)
+ */
+export const createProfile = async (storage, { slug, name, author }) => {
+  await initializeDataDirectory(getProfileStorage(storage, slug));
+
+  return registerProfile(storage, {
+    slug,
+    name: name || slug,
+    createdAt: new Date().toISOString(),
+    createdBy: author
+  });
+};
+
+/**
+ * Create a profile as a copy of another one, including its revision history and media
+ * (both profiles share the media files, see deleteMedia)
+ */
+export const cloneProfile = async (storage, sourceSlug, { slug, name, author }) => {
+  const source = getProfileStorage(storage, sourceSlug);
+  const target = getProfileStorage(storage, slug);
+
+  const entries = [];
+  for (const key of (await source.list()).filter(isProfileDocument)) {
+    entries.push({ key, value: await source.read(key) });
+  }
+  await target.writeMany(entries);
+
+  return registerProfile(storage, {
+    slug,
+    name: name || slug,
+    createdAt: new Date().toISOString(),
+    createdBy: author,
+    clonedFrom: sourceSlug
+  });
+};
+
+/**
+ * Delete a profile with all of its data. The root profile can't be deleted.
+ */
+export const deleteProfile = async (storage, slug) => {
+  if (slug === ROOT_PROFILE) {
+    throw new Error(`The ${ROOT_PROFILE} profile can't be deleted`);
+  }
+
+  const profileStorage = getProfileStorage(storage, slug);
+  await deleteAllMedia(profileStorage);
+  await profileStorage.clear();
+  invalidateStorage(profileStorage);
+
+  const registry = await readRegistry(storage);
+  await storage.write(REGISTRY_KEY, {
+    profiles: registry.profiles.filter(profile => profile.slug !== slug)
+  });
+};
+
+/**
+ * Reset the root profile to the data of a new data directory (useful for development).
+ * Only its own documents and media are removed: credentials, API tokens, shared documents
+ * and the other profiles are left alone.
+ */
+export const resetDataDirectory = async (storage) => {
+  await deleteAllMedia(storage);
+  for (const key of (await storage.list()).filter(isProfileDocument)) {
+    await storage.remove(key);
+  }
+  invalidateStorage(storage);
+  console.log('Removed existing data');
+
+  await initializeProfiles(storage);
+  console.log('Data storage reset to placeholder data');
+};
+
+/**
+ * Initialize the storage of every profile, creating the configured default profile if needed
+ */
+export const initializeProfiles = async (storage) => {
+  await initializeDataDirectory(storage);
+
+  const defaultProfile = getDefaultProfile();
+  if (!(await getProfile(storage, defaultProfile))) {
+    console.log(`Creating default profile "${defaultProfile}"`);
+    await createProfile(storage, { slug: defaultProfile, author: 'system' });
+  }
+
+  for (const profile of await listProfiles(storage)) {
+    if (profile.slug !== ROOT_PROFILE) {
+      await initializeDataDirectory(getProfileStorage(storage, profile.slug));
+    }
+  }
+};
\ No newline at end of file
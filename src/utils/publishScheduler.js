@@ -0,0 +1,55 @@
+import { getDueDrafts } from './drafts.js';
+import { getProfileStorage, listProfiles } from './profiles.js';
+import { publishDrafts } from './sectionData.js';
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+
+// How often scheduled drafts are checked (PUBLISH_CHECK_INTERVAL_SECONDS, defaults to 30)
+const getIntervalMs = () => {
+  const seconds = parseInt(process.env.PUBLISH_CHECK_INTERVAL_SECONDS, 10);
+  return (Number.isInteger(seconds) && seconds > 0 ? seconds : DEFAULT_INTERVAL_SECONDS) * 1000;
+};
+
+/**
+ * Publish every draft whose scheduled time has come, in every profile
+ */
+export const publishDueDrafts = async (storage) => {
+  for (const profile of await listProfiles(storage)) {
+    const profileStorage = getProfileStorage(storage, profile.slug);
+    const due = await getDueDrafts(profileStorage);
+    if (due.length === 0) {
+      continue;
+    }
+
+    const sections = due.map(draft => draft.section);
+    try {
+      await publishDrafts(sections, { author: 'scheduler', source: 'scheduled-publish' }, profileStorage);
+      console.log(`Published scheduled drafts of ${profile.slug}: ${sections.join(', ')}`);
+    } catch (error) {
+      console.error(`Error publishing scheduled drafts of ${profile.slug}:`, error);
+    }
+  }
+};
+
+/**
+ * Check for due drafts periodically. Returns a function that stops the scheduler.
+ */
+export const startPublishScheduler = (storage) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    // Skip a tick rather than publishing the same drafts twice
+    if (running) return;
+    running = true;
+    try {
+      await publishDueDrafts(storage);
+    } catch (error) {
+      console.error('Error checking scheduled drafts:', error);
+    } finally {
+      running = false;
+    }
+  }, getIntervalMs());
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  return () => clearInterval(timer);
+};
\ No newline at end of file
@@ -0,0 +1,269 @@
+import { ResumeTemplates } from '../constants/resumeTemplates.js';
+import { filterHiddenContent } from './visibility.js';
+import { overlapsRange } from './dateRange.js';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const SECTION_TITLES = {
+  about: 'About',
+  experience: 'Experience',
+  education: 'Education',
+  skills: 'Skills',
+  projects: 'Projects'
+};
+
+// "2020-01" -> "Jan 2020"
+const formatMonth = (value) => {
+  const [year, month] = value.split('-');
+  return `${MONTHS[Number(month) - 1]} ${year}`;
+};
+
+const formatDates = ({ startDate, endDate, isCurrent }) => {
+  if (!startDate) {
+    return '';
+  }
+  const end = isCurrent || !endDate ? 'Present' : formatMonth(endDate);
+  return `${formatMonth(startDate)} – ${end}`;
+};
+
+// Skills of a category, whether it is flat or has subcategories
+const listCategorySkills = (value) =>
+  (Array.isArray(value) ? value : Object.values(value || {}).flat()).map(skill => skill.name);
+
+// Sections to render: the template's, or the requested ones in the template's order
+const getSectionOrder = (template, sections) => {
+  if (!sections) {
+    return template.sections;
+  }
+  return [
+    ...template.sections.filter(section => sections.includes(section)),
+    ...sections.filter(section => !template.sections.includes(section))
+  ];
+};
+
+const buildSection = (id, data, options) => {
+  const title = SECTION_TITLES[id];
+
+  if (id === 'about') {
+    return data?.content ? { id, title, text: data.content } : null;
+  }
+
+  if (id === 'experience') {
+    const entries = (data?.jobs || [])
+      .filter(job => overlapsRange(job, options))
+      .map(job => ({
+        heading: job.title,
+        subheading: [job.company, [job.city, job.country].filter(Boolean).join(', ')].filter(Boolean).join(' · '),
+        dates: formatDates(job),
+        text: job.description,
+        bullets: job.achievements || [],
+        tags: job.skills || []
+      }));
+    return entries.length > 0 ? { id, title, entries } : null;
+  }
+
+  if (id === 'education') {
+    const entries = (data?.degrees || [])
+      .filter(degree => overlapsRange(degree, options))
+      .map(degree => ({
+        heading: [degree.degree, degree.field].filter(Boolean).join(', '),
+        subheading: degree.school,
+        dates: formatDates(degree),
+        text: degree.description,
+        bullets: [],
+        tags: []
+      }));
+    return entries.length > 0 ? { id, title, entries } : null;
+  }
+
+  if (id === 'projects') {
+    const entries = (data?.projects || []).map(project => ({
+      heading: project.name,
+      subheading: [project.url, project.github].filter(Boolean).join(' · '),
+      dates: '',
+      text: project.description,
+      bullets: [],
+      tags: project.technologies || []
+    }));
+    return entries.length > 0 ? { id, title, entries } : null;
+  }
+
+  if (id === 'skills') {
+    const groups = Object.entries(data?.skillCategories || {})
+      .map(([name, value]) => ({ name, skills: listCategorySkills(value) }))
+      .filter(group => group.skills.length > 0);
+    return groups.length > 0 ? { id, title, groups } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Build the content of a CV from portfolio sections ({ section: data }).
+ * Hidden content is always left out, the CV is meant to be handed out.
+ *
+ * @param {Object} options { template, sections, from, to, locale }: sections to include
+ *   (default: the template's), the YYYY or YYYY-MM range jobs and degrees must overlap
+ *   and the locale the (already localized) text is in
+ * @returns {Object} { template, locale, name, title, location, contact, sections: [...] }
+ */
+export const buildResume = (portfolioData, options = {}) => {
+  const template = ResumeTemplates[options.template];
+  const visible = Object.fromEntries(
+    Object.entries(portfolioData).map(([section, data]) => [section, filterHiddenContent(section, data)])
+  );
+  const personalInfo = visible.personalInfo || {};
+  const contact = visible.contact || {};
+
+  return {
+    template,
+    locale: options.locale || 'en',
+    name: personalInfo.name || '',
+    title: personalInfo.title || '',
+    location: personalInfo.location || '',
+    contact: {
+      email: contact.email || '',
+      phone: contact.phone || '',
+      links: contact.socialLinks || []
+    },
+    sections: getSectionOrder(template, options.sections)
+      .map(section => buildSection(section, visible[section], options))
+      .filter(Boolean)
+  };
+};
+
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_[\]#<>|])/g, '\\$1');
+
+/**
+ * Render a CV (see buildResume) as Markdown
+ */
+export const renderResumeMarkdown = (resume) => {
+  const lines = [`# ${escapeMarkdown(resume.name)}`, ''];
+
+  const headline = [resume.title, resume.location].filter(Boolean).map(escapeMarkdown).join(' · ');
+  if (headline) {
+    lines.push(headline, '');
+  }
+  const contact = [
+    resume.contact.email,
+    resume.contact.phone,
+    ...resume.contact.links.map(link => `[${escapeMarkdown(link.platform)}](${link.url})`)
+  ].filter(Boolean);
+  if (contact.length > 0) {
+    lines.push(contact.join(' · '), '');
+  }
+
+  for (const section of resume.sections) {
+    lines.push(`## ${section.title}`, '');
+
+    if (section.text) {
+      lines.push(escapeMarkdown(section.text), '');
+    }
+
+    if (section.groups) {
+      if (resume.template.inlineSkills) {
+        lines.push(section.groups.flatMap(group => group.skills).map(escapeMarkdown).join(', '), '');
+      } else {
+        lines.push(...section.groups.map(group =>
+          `- **${escapeMarkdown(group.name)}:** ${group.skills.map(escapeMarkdown).join(', ')}`), '');
+      }
+    }
+
+    for (const entry of section.entries || []) {
+      lines.push(`### ${escapeMarkdown(entry.heading)}`, '');
+      const details = [entry.subheading, entry.dates].filter(Boolean).map(escapeMarkdown).join(' · ');
+      if (details) {
+        lines.push(`*${details}*`, '');
+      }
+      if (entry.text) {
+        lines.push(escapeMarkdown(entry.text), '');
+      }
+      if (entry.bullets.length > 0) {
+        lines.push(...entry.bullets.map(bullet => `- ${escapeMarkdown(bullet)}`), '');
+      }
+      if (entry.tags.length > 0) {
+        lines.push(entry.tags.map(tag => `\`${tag}\``).join(' '), '');
+      }
+    }
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Only link http(s) and mailto URLs
+const safeHref = (url) => (/^(https?:|mailto:)/i.test(url) ? escapeHtml(url) : '#');
+
+const renderHtmlEntry = (entry) => [
+  '<article>',
+  `<h3>${escapeHtml(entry.heading)}</h3>`,
+  (entry.subheading || entry.dates)
+    ? `<p class="meta">${[entry.subheading, entry.dates].filter(Boolean).map(escapeHtml).join(' · ')}</p>`
+    : '',
+  entry.text ? `<p>${escapeHtml(entry.text)}</p>` : '',
+  entry.bullets.length > 0 ? `<ul>${entry.bullets.map(bullet => `<li>${escapeHtml(bullet)}</li>`).join('')}</ul>` : '',
+  entry.tags.length > 0 ? `<p class="tags">${entry.tags.map(escapeHtml).join(' · ')}</p>` : '',
+  '</article>'
+].filter(Boolean).join('\n');
+
+const renderHtmlSection = (section, template) => {
+  const body = [];
+  if (section.text) {
+    body.push(`<p>${escapeHtml(section.text)}</p>`);
+  }
+  if (section.groups) {
+    body.push(template.inlineSkills
+      ? `<p>${section.groups.flatMap(group => group.skills).map(escapeHtml).join(', ')}</p>`
+      : `<ul class="skills">${section.groups.map(group =>
+        `<li><strong>${escapeHtml(group.name)}:</strong> ${group.skills.map(escapeHtml).join(', ')}</li>`).join('')}</ul>`);
+  }
+  body.push(...(section.entries || []).map(renderHtmlEntry));
+
+  return `<section id="${section.id}">\n<h2>${escapeHtml(section.title)}</h2>\n${body.join('\n')}\n</section>`;
+};
+
+/**
+ * Render a CV (see buildResume) as a standalone HTML page, styled by its template
+ */
+export const renderResumeHtml = (resume) => {
+  const { css } = resume.template;
+  const contact = [
+    resume.contact.email && `<a href="mailto:${escapeHtml(resume.contact.email)}">${escapeHtml(resume.contact.email)}</a>`,
+    resume.contact.phone && escapeHtml(resume.contact.phone),
+    ...resume.contact.links.map(link => `<a href="${safeHref(link.url)}">${escapeHtml(link.platform)}</a>`)
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(resume.locale)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(resume.name)} – CV</title>
+<style>
+body { font-family: ${css.fontFamily}; font-size: ${css.fontSize}; line-height: 1.4; color: #222; max-width: 800px; margin: 2em auto; padding: 0 1em; }
+h1 { margin: 0; color: ${css.accentColor}; }
+h2 { border-bottom: 1px solid ${css.accentColor}; color: ${css.accentColor}; font-size: 1.2em; margin-top: 1.5em; }
+h3 { margin: 1em 0 0; font-size: 1em; }
+a { color: ${css.accentColor}; }
+.meta, .tags, .contact { color: #555; margin: 0.2em 0; }
+.skills { list-style: none; padding: 0; }
+@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(resume.name)}</h1>
+${[resume.title, resume.location].some(Boolean) ? `<p class="meta">${[resume.title, resume.location].filter(Boolean).map(escapeHtml).join(' · ')}</p>` : ''}
+${contact.length > 0 ? `<p class="contact">${contact.join(' · ')}</p>` : ''}
+</header>
+${resume.sections.map(section => renderHtmlSection(section, resume.template)).join('\n')}
+</body>
+</html>
+`;
+};
\ No newline at end of file
@@ -0,0 +1,109 @@
+import PDFDocument from 'pdfkit';
+
+const MUTED_COLOR = '#555555';
+const TEXT_COLOR = '#222222';
+
+const writeHeader = (doc, resume, style) => {
+  doc.font(style.boldFont).fontSize(style.fontSize * 2).fillColor(style.accentColor).text(resume.name);
+
+  const headline = [resume.title, resume.location].filter(Boolean).join(' · ');
+  if (headline) {
+    doc.font(style.font).fontSize(style.fontSize * 1.2).fillColor(TEXT_COLOR).text(headline);
+  }
+
+  const contact = [resume.contact.email, resume.contact.phone, ...resume.contact.links.map(link => link.url)]
+    .filter(Boolean);
+  if (contact.length > 0) {
+    doc.font(style.font).fontSize(style.fontSize).fillColor(MUTED_COLOR).text(contact.join(' · '));
+  }
+};
+
+const writeSectionTitle = (doc, title, style) => {
+  doc.moveDown(1);
+  doc.font(style.boldFont).fontSize(style.fontSize * 1.3).fillColor(style.accentColor).text(title.toUpperCase());
+
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(0.5)
+    .strokeColor(style.accentColor)
+    .stroke();
+  doc.moveDown(0.5);
+};
+
+const writeEntry = (doc, entry, style) => {
+  doc.moveDown(0.4);
+  doc.font(style.boldFont).fontSize(style.fontSize * 1.1).fillColor(TEXT_COLOR).text(entry.heading);
+
+  const details = [entry.subheading, entry.dates].filter(Boolean).join(' · ');
+  if (details) {
+    doc.font(style.font).fontSize(style.fontSize).fillColor(MUTED_COLOR).text(details);
+  }
+
+  doc.font(style.font).fontSize(style.fontSize).fillColor(TEXT_COLOR);
+  if (entry.text) {
+    doc.text(entry.text);
+  }
+  if (entry.bullets.length > 0) {
+    doc.list(entry.bullets, { bulletRadius: 1.5, textIndent: 10 });
+  }
+  if (entry.tags.length > 0) {
+    doc.fillColor(MUTED_COLOR).text(entry.tags.join(' · '));
+  }
+};
+
+const writeSkills = (doc, section, template) => {
+  const { pdf: style } = template;
+  doc.font(style.font).fontSize(style.fontSize).fillColor(TEXT_COLOR);
+
+  if (template.inlineSkills) {
+    doc.text(section.groups.flatMap(group => group.skills).join(', '));
+    return;
+  }
+  for (const group of section.groups) {
+    doc.font(style.boldFont).text(`${group.name}: `, { continued: true })
+      .font(style.font).text(group.skills.join(', '));
+  }
+};
+
+/**
+ * Render a CV (see buildResume) as a PDF document, styled by its template.
+ * Uses the standard PDF fonts, which only cover Latin (WinAnsi) characters.
+ *
+ * @returns {Promise<Buffer>}
+ */
+export const renderResumePdf = (resume) => new Promise((resolve, reject) => {
+  const { pdf: style } = resume.template;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `${resume.name} – CV`, Author: resume.name }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    writeHeader(doc, resume, style);
+
+    for (const section of resume.sections) {
+      writeSectionTitle(doc, section.title, style);
+
+      if (section.text) {
+        doc.font(style.font).fontSize(style.fontSize).fillColor(TEXT_COLOR).text(section.text);
+      }
+      if (section.groups) {
+        writeSkills(doc, section, resume.template);
+      }
+      for (const entry of section.entries || []) {
+        writeEntry(doc, entry, style);
+      }
+    }
+
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
\ No newline at end of file
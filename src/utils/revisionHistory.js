@@ -0,0 +1,87 @@
+import { randomUUID } from 'crypto';
+
+const DEFAULT_RETENTION = 50;
+
+// Storage key holding the revisions of a section
+const getHistoryKey = (section) => `history/${section}`;
+
+/**
+ * Number of revisions kept per section (HISTORY_RETENTION, defaults to 50)
+ */
+export const getRetentionLimit = () => {
+  const limit = parseInt(process.env.HISTORY_RETENTION, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_RETENTION;
+};
+
+/**
+ * Read all stored revisions of a section, oldest first
+ */
+const readRevisions = async (storage, section) =>
+  (await storage.read(getHistoryKey(section))) || [];
+
+const createRevision = (section, data, { author = 'system', source = 'api' } = {}) => ({
+  id: randomUUID(),
+  section,
+  createdAt: new Date().toISOString(),
+  author,
+  source,
+  data
+});
+
+// Strip the payload so listings stay small
+const summarizeRevision = ({ data, ...summary }) => summary;
+
+/**
+ * Prepare a new revision of a section without writing it: returns the storage entry
+ * ({ key, value }) holding the section's history with the revision, to be written along
+ * with the section itself, and the revision's summary.
+ * When the section has no history yet, the data it held before this write
+ * is kept as a baseline revision so the very first write can be rolled back.
+ */
+export const prepareRevision = async (storage, section, data, meta = {}, previousData = null) => {
+  const revisions = await readRevisions(storage, section);
+
+  if (revisions.length === 0 && previousData !== null) {
+    revisions.push(createRevision(section, previousData, { author: 'system', source: 'baseline' }));
+  }
+
+  const revision = createRevision(section, data, meta);
+  revisions.push(revision);
+
+  return {
+    // Drop the oldest revisions beyond the retention limit
+    entry: { key: getHistoryKey(section), value: revisions.slice(-getRetentionLimit()) },
+    revision: summarizeRevision(revision)
+  };
+};
+
+/**
+ * Record a new revision of a section (see prepareRevision)
+ */
+export const recordRevision = async (storage, section, data, meta = {}, previousData = null) => {
+  const { entry, revision } = await prepareRevision(storage, section, data, meta, previousData);
+  await storage.write(entry.key, entry.value);
+  return revision;
+};
+
+/**
+ * List revisions of a section without their data, newest first
+ */
+export const listRevisions = async (storage, section) => {
+  const revisions = await readRevisions(storage, section);
+  return revisions.map(summarizeRevision).reverse();
+};
+
+/**
+ * Data of every retained revision of a section, oldest first
+ */
+export const listRevisionData = async (storage, section) =>
+  (await readRevisions(storage, section)).map(revision => revision.data);
+
+/**
+ * Get a single revision including its data, or null if it does not exist
+ */
+export const getRevision = async (storage, section, revisionId) => {
+  const revisions = await readRevisions(storage, section);
+  return revisions.find(revision => revision.id === revisionId) || null;
+};
@@ -0,0 +1,214 @@
+import { isLocalizedValue } from './localization.js';
+
+const SNIPPET_CONTEXT = 60;
+const MAX_MATCHES_PER_RESULT = 3;
+// A term that only starts a word (e.g. "reac" in "React") counts for half
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+// Searchable documents by storage namespace, section and visibility variant: { etag, documents }.
+// A section's documents are rebuilt when its data changes (its ETag differs).
+const indexes = new Map();
+
+// Words are runs of letters and digits; "+" and "#" are kept for C++ and C#
+const WORD_PATTERN = /[\p{L}\p{N}+#]+/gu;
+
+// Lowercase and strip accents so "Café" matches "cafe"
+const normalizeWord = (word) => word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+// Words of a text with their positions in it
+const tokenize = (text) =>
+  [...String(text).matchAll(WORD_PATTERN)].map(match => ({
+    word: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+
+/**
+ * Search terms of a query, e.g. "React  Node.js" -> ['react', 'node', 'js']
+ */
+export const parseSearchQuery = (query) => [...new Set(tokenize(query || '').map(token => token.word))];
+
+// Field of a document: its name, weight in the ranking and texts (one per value,
+// and per translation of localized text)
+const field = (name, weight, values) => ({
+  name,
+  weight,
+  texts: [].concat(values)
+    .flatMap(value => (isLocalizedValue(value) ? Object.values(value).flat() : value))
+    .filter(Boolean)
+    .map(text => ({ text: String(text), tokens: tokenize(text) }))
+});
+
+// Searchable documents (items) of a section: { path, title, fields }
+const buildDocuments = (section, data) => {
+  if (!data) {
+    return [];
+  }
+
+  switch (section) {
+    case 'personalInfo':
+      return [{
+        path: '',
+        title: data.name,
+        fields: [field('name', 3, data.name), field('title', 2, data.title), field('location', 1, data.location), field('bio', 1, data.bio)]
+      }];
+    case 'about':
+      return [{ path: '', title: 'About', fields: [field('content', 1, data.content)] }];
+    case 'experience':
+      return (data.jobs || []).map((job, index) => ({
+        path: `jobs[${index}]`,
+        title: `${job.title} at ${job.company}`,
+        fields: [
+          field('title', 3, job.title),
+          field('company', 2, job.company),
+          field('skills', 2, job.skills),
+          field('description', 1, job.description),
+          field('achievements', 1, job.achievements),
+          field('location', 1, [job.city, job.country])
+        ]
+      }));
+    case 'education':
+      return (data.degrees || []).map((degree, index) => ({
+        path: `degrees[${index}]`,
+        title: `${degree.degree}, ${degree.school}`,
+        fields: [
+          field('degree', 3, degree.degree),
+          field('school', 2, degree.school),
+          field('field', 2, degree.field),
+          field('description', 1, degree.description)
+        ]
+      }));
+    case 'projects':
+      return (data.projects || []).map((project, index) => ({
+        path: `projects[${index}]`,
+        title: project.name,
+        fields: [
+          field('name', 3, project.name),
+          field('technologies', 2, project.technologies),
+          field('description', 1, project.description)
+        ]
+      }));
+    case 'skills':
+      return Object.entries(data.skillCategories || {}).map(([category, value]) => ({
+        path: `skillCategories.${category}`,
+        title: category,
+        fields: [
+          field('skills', 3, (Array.isArray(value) ? value : Object.values(value || {}).flat()).map(skill => skill.name)),
+          field('category', 2, [category, ...(Array.isArray(value) ? [] : Object.keys(value || {}))])
+        ]
+      }));
+    case 'contact':
+      return [{
+        path: '',
+        title: 'Contact',
+        fields: [
+          field('email', 2, data.email),
+          field('phone', 1, data.phone),
+          field('socialLinks', 2, (data.socialLinks || []).flatMap(link => [link.platform, link.url]))
+        ]
+      }];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Searchable documents of a section, from the index or built with getData() when
+ * the section changed since it was indexed
+ *
+ * @param {string} variant variant of the data (visibility, locale), documents of each are indexed separately
+ * @param {string} etag version of the section data
+ * @param {Function} getData returns the section data as the variant may see it
+ */
+export const getSectionDocuments = (storage, section, { variant, etag }, getData) => {
+  // Profiles share one backend, so the index is keyed by the storage's key prefix as well
+  const indexKey = `${storage.prefix || ''}${section}:${variant}`;
+  const indexed = indexes.get(indexKey);
+  if (indexed && indexed.etag === etag) {
+    return indexed.documents;
+  }
+
+  const documents = buildDocuments(section, getData());
+  indexes.set(indexKey, { etag, documents });
+  return documents;
+};
+
+// How well a term matches a token: 1 exactly, PREFIX_MATCH_WEIGHT as a prefix, else 0
+const matchToken = (term, word) => {
+  if (word === term) {
+    return 1;
+  }
+  return word.startsWith(term) ? PREFIX_MATCH_WEIGHT : 0;
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Excerpt of a text around its first match, as HTML with the matching words in <mark>
+const createSnippet = ({ text, tokens }, terms) => {
+  const matching = tokens.filter(token => terms.some(term => matchToken(term, token.word) > 0));
+  const start = Math.max(0, matching[0].start - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, matching[0].end + SNIPPET_CONTEXT);
+
+  let snippet = start > 0 ? '…' : '';
+  let position = start;
+  for (const token of matching.filter(token => token.start >= start && token.end <= end)) {
+    snippet += `${escapeHtml(text.slice(position, token.start))}<mark>${escapeHtml(text.slice(token.start, token.end))}</mark>`;
+    position = token.end;
+  }
+  return `${snippet}${escapeHtml(text.slice(position, end))}${end < text.length ? '…' : ''}`;
+};
+
+// Score a document against the terms: null unless every term matches somewhere
+const scoreDocument = (document, terms) => {
+  let score = 0;
+  const matchedFields = new Map();
+
+  for (const term of terms) {
+    let termScore = 0;
+    for (const { name, weight, texts } of document.fields) {
+      for (const text of texts) {
+        const textScore = text.tokens.reduce((sum, token) => sum + matchToken(term, token.word), 0);
+        if (textScore > 0) {
+          termScore += weight * textScore;
+          matchedFields.set(name, matchedFields.get(name) || { weight, text });
+        }
+      }
+    }
+    if (termScore === 0) {
+      return null;
+    }
+    score += termScore;
+  }
+
+  return {
+    score,
+    matches: [...matchedFields.entries()]
+      .sort(([, a], [, b]) => b.weight - a.weight)
+      .slice(0, MAX_MATCHES_PER_RESULT)
+      .map(([name, { text }]) => ({ field: name, snippet: createSnippet(text, terms) }))
+  };
+};
+
+/**
+ * Search documents ({ section, documents } per section) for items matching every term.
+ * Results are ranked by score: exact matches count more than prefixes, and names and
+ * titles more than descriptions.
+ *
+ * @returns {Array} [{ section, path, title, score, matches: [{ field, snippet }] }], best first
+ */
+export const searchDocuments = (sections, terms) => {
+  const results = [];
+  for (const { section, documents } of sections) {
+    for (const document of documents) {
+      const result = scoreDocument(document, terms);
+      if (result) {
+        results.push({ section, path: document.path, title: document.title, ...result });
+      }
+    }
+  }
+  return results.sort((a, b) => b.score - a.score);
+};
\ No newline at end of file
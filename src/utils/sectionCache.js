@@ -0,0 +1,67 @@
+import { createHash } from 'crypto';
+
+const DEFAULT_CACHE_CONTROL = 'public, max-age=0, must-revalidate';
+
+// Parsed sections by storage namespace and section: { data, etag, lastModified }
+const entries = new Map();
+
+// Bumped by every invalidation, so a load that raced with a write isn't cached
+let generation = 0;
+
+// Profiles share one backend, so entries are keyed by the storage's key prefix as well
+const getCacheKey = (storage, section) => `${storage.prefix || ''}${section}`;
+
+/**
+ * Hash of a value, for ETags
+ */
+export const hashValue = (value) =>
+  createHash('sha1').update(typeof value === 'string' ? value : JSON.stringify(value)).digest('base64url');
+
+/**
+ * Cache-Control of public (anonymous) portfolio reads (CACHE_CONTROL, defaults to
+ * revalidating every time, which still saves the transfer when nothing changed)
+ */
+export const getPublicCacheControl = () => process.env.CACHE_CONTROL || DEFAULT_CACHE_CONTROL;
+
+/**
+ * Get a section from the cache, loading it with load() on a miss.
+ * load() returns { data, etag, lastModified }, or null for a missing section (not cached).
+ * Entries are shared: callers must not modify them.
+ */
+export const getCachedSection = async (storage, section, load) => {
+  const key = getCacheKey(storage, section);
+  if (entries.has(key)) {
+    return entries.get(key);
+  }
+
+  const loadedAt = generation;
+  const entry = await load();
+  if (entry && loadedAt === generation) {
+    entries.set(key, entry);
+  }
+  return entry;
+};
+
+/**
+ * Forget the cached data of some sections of a storage, after they were written
+ */
+export const invalidateSections = (storage, sections) => {
+  generation += 1;
+  for (const section of sections) {
+    entries.delete(getCacheKey(storage, section));
+  }
+};
+
+/**
+ * Forget every cached section of a storage and the storages scoped under it
+ * (e.g. after a reset, or when a profile or media it uses is deleted)
+ */
+export const invalidateStorage = (storage) => {
+  generation += 1;
+  const prefix = storage.prefix || '';
+  for (const key of entries.keys()) {
+    if (key.startsWith(prefix)) {
+      entries.delete(key);
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,136 @@
+import { getStorage } from '../storage/index.js';
+import { listRevisions, prepareRevision } from './revisionHistory.js';
+import { discardDrafts, getDraft, saveDrafts } from './drafts.js';
+import { getMediaReferences, removeOrphanedMedia } from './media.js';
+import { getCachedSection, hashValue, invalidateSections } from './sectionCache.js';
+
+// Sort dated entries (jobs, degrees): current ones first, then by startDate descending (newest first)
+const compareByRecency = (a, b) => {
+  // Handle current entries (isCurrent: true) - they should appear first
+  if (a.isCurrent && !b.isCurrent) return -1;
+  if (!a.isCurrent && b.isCurrent) return 1;
+
+  return new Date(b.startDate) - new Date(a.startDate);
+};
+
+/**
+ * Read section data with its version, through the section cache:
+ * { data, etag, lastModified } (shared, not to be modified), or null if it doesn't exist yet
+ */
+export const readSectionEntry = (section, storage) => getCachedSection(storage, section, async () => {
+  const parsedData = await storage.read(section);
+  if (parsedData === null) {
+    return null;
+  }
+
+  // Sort experience jobs and education degrees (newest first)
+  if (section === 'experience' && parsedData.jobs) {
+    parsedData.jobs.sort(compareByRecency);
+  }
+  if (section === 'education' && parsedData.degrees) {
+    parsedData.degrees.sort(compareByRecency);
+  }
+
+  // Last changed with its latest revision; data that was never edited through the API
+  // counts as changed when it was first read
+  const [latestRevision] = await listRevisions(storage, section);
+  return {
+    data: parsedData,
+    etag: hashValue(parsedData),
+    lastModified: latestRevision?.createdAt || new Date().toISOString()
+  };
+});
+
+/**
+ * Read section data, returning null if it doesn't exist yet
+ */
+export const readSectionDataIfExists = async (section, storage = getStorage()) => {
+  const entry = await readSectionEntry(section, storage);
+  return entry && structuredClone(entry.data);
+};
+
+/**
+ * Read section data. Throws an ENOENT error if it doesn't exist.
+ */
+export const readSectionData = async (section, storage = getStorage()) => {
+  const data = await readSectionDataIfExists(section, storage);
+  if (data === null) {
+    const error = new Error(`Section not found: ${section}`);
+    error.code = 'ENOENT';
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * Write several sections at once ({ section: data }), recording their revisions.
+ * Either every section and its revision is written or, if any write fails, none of them are.
+ * Media only the previous data used (e.g. the image of a deleted project) are deleted.
+ */
+export const writeSectionsData = async (sections, meta = {}, storage = getStorage()) => {
+  const entries = Object.entries(sections);
+  const previousData = {};
+  for (const [section] of entries) {
+    previousData[section] = await readSectionDataIfExists(section, storage);
+  }
+
+  // The sections and their histories are written in the same transaction
+  const writes = [];
+  const revisions = {};
+  for (const [section, data] of entries) {
+    const { entry, revision } = await prepareRevision(storage, section, data, meta, previousData[section]);
+    writes.push({ key: section, value: data }, entry);
+    revisions[section] = revision;
+  }
+
+  await storage.writeMany(writes);
+  invalidateSections(storage, entries.map(([section]) => section));
+  await removeOrphanedMedia(storage, getMediaReferences(previousData));
+  return revisions;
+};
+
+/**
+ * Write section data and record it in the revision history
+ */
+export const writeSectionData = async (section, data, meta = {}, storage = getStorage()) => {
+  const revisions = await writeSectionsData({ [section]: data }, meta, storage);
+  return revisions[section];
+};
+
+/**
+ * Save imported sections like an edit: as drafts, unless asked to publish them right
+ * away (then their drafts are discarded). Imports are merged with pending drafts
+ * (see mergeWithExisting), so the drafts' edits are kept either way.
+ * Returns { published, drafts } or { published, revisions }.
+ */
+export const saveImportedSections = async (sections, { publish = false, ...meta } = {}, storage = getStorage()) => {
+  if (!publish) {
+    const drafts = await saveDrafts(storage, sections, meta.author);
+    return {
+      published: false,
+      drafts: Object.values(drafts).map(({ data, ...summary }) => summary)
+    };
+  }
+
+  const revisions = await writeSectionsData(sections, meta, storage);
+  await discardDrafts(storage, Object.keys(sections));
+  return { published: true, revisions };
+};
+
+/**
+ * Publish the drafts of some sections: write them as the published data
+ * (one transaction, recording revisions) and delete the drafts
+ */
+export const publishDrafts = async (sections, meta = {}, storage = getStorage()) => {
+  const data = {};
+  for (const section of sections) {
+    const draft = await getDraft(storage, section);
+    if (draft) {
+      data[section] = draft.data;
+    }
+  }
+
+  const revisions = await writeSectionsData(data, meta, storage);
+  await discardDrafts(storage, Object.keys(data));
+  return revisions;
+};
\ No newline at end of file
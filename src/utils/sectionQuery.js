@@ -0,0 +1,98 @@
+import { experienceQuerySchema, projectsQuerySchema, validateWith } from '../validation/schemas.js';
+import { overlapsRange } from './dateRange.js';
+
+// Whether any of an item's values (skills, technologies) is one of the wanted ones, ignoring case
+const includesAny = (values, wanted) => {
+  const lowerCaseValues = (values || []).map(value => value.toLowerCase());
+  return wanted.some(value => lowerCaseValues.includes(value.toLowerCase()));
+};
+
+// Sections whose lists can be queried: where the list lives, the query schema,
+// the comma separated parameters and which items match a query
+const QUERYABLE_SECTIONS = {
+  experience: {
+    listKey: 'jobs',
+    schema: experienceQuerySchema,
+    listParams: ['skill', 'location'],
+    matches: (job, query) =>
+      (!query.skill?.length || includesAny(job.skills, query.skill)) &&
+      (!query.location?.length || query.location.includes(job.location)) &&
+      (query.current === undefined || Boolean(job.isCurrent) === query.current) &&
+      overlapsRange(job, query)
+  },
+  projects: {
+    listKey: 'projects',
+    schema: projectsQuerySchema,
+    listParams: ['technology'],
+    matches: (project, query) => !query.technology?.length || includesAny(project.technologies, query.technology)
+  }
+};
+
+// Date fields sort newest first unless asked otherwise, text fields alphabetically
+const DATE_SORT_FIELDS = ['startDate', 'endDate'];
+
+// Value an item is sorted by; current jobs end today, after every ended one
+const getSortValue = (item, field) => {
+  if (field === 'endDate' && (item.isCurrent || !item.endDate)) {
+    return '9999-12';
+  }
+  return item[field] || '';
+};
+
+/**
+ * Read the list query of a section request (filters, sort, pagination).
+ * Returns { value: null } if the section has no queryable list or no query was made,
+ * { error } (a Joi error) if the query is invalid.
+ */
+export const parseListQuery = (section, query) => {
+  const config = QUERYABLE_SECTIONS[section];
+  if (!config) {
+    return { value: null };
+  }
+
+  const params = Object.fromEntries(Object.entries(query).map(([name, value]) => [
+    name,
+    config.listParams.includes(name) && typeof value === 'string'
+      ? value.split(',').map(item => item.trim()).filter(Boolean)
+      : value
+  ]));
+  const { error, value } = validateWith(config.schema, params);
+  if (error) {
+    return { error };
+  }
+  return { value: Object.keys(value).length > 0 ? value : null };
+};
+
+/**
+ * Filter, sort and paginate the list of section data (see parseListQuery).
+ * Without a sort field the stored order is kept (jobs are already newest first)
+ * and order is ignored.
+ *
+ * @returns {{ data: Object, pagination: { total, offset, limit } }} the section data with
+ *   the requested page of its list, and the number of items matching the filters
+ */
+export const applyListQuery = (section, data, query) => {
+  const { listKey, matches } = QUERYABLE_SECTIONS[section];
+  const items = (data[listKey] || []).filter(item => matches(item, query));
+
+  if (query.sort) {
+    const order = query.order || (DATE_SORT_FIELDS.includes(query.sort) ? 'desc' : 'asc');
+    const direction = order === 'asc' ? 1 : -1;
+    items.sort((a, b) =>
+      direction * String(getSortValue(a, query.sort)).localeCompare(String(getSortValue(b, query.sort)), undefined, { sensitivity: 'base' }));
+  }
+
+  const offset = query.offset || 0;
+  const limit = query.limit ?? null;
+  return {
+    data: {
+      ...data,
+      [listKey]: items.slice(offset, limit === null ? undefined : offset + limit)
+    },
+    pagination: {
+      total: items.length,
+      offset,
+      limit
+    }
+  };
+};
\ No newline at end of file
@@ -0,0 +1,162 @@
+// Matches below this confidence are not used, the skill goes to the fallback role instead
+export const MIN_CONFIDENCE = 0.5;
+
+// Confidence of the different kinds of matches
+const EXACT_MATCH = 1;
+const EXACT_ALIAS_MATCH = 0.95;
+const PARTIAL_MATCH_BASE = 0.5;
+const PARTIAL_MATCH_RANGE = 0.4;
+const ALIAS_PENALTY = 0.05;
+
+/**
+ * Split a skill name or keyword into lowercase tokens on whitespace and
+ * separators, keeping symbols that are part of technology names
+ * (dots, "#" and "+"):
+ * "Node.js / Express" -> ['node.js', 'express'], "C#" -> ['c#'], "CI-CD" -> ['ci', 'cd']
+ */
+export const tokenize = (text) =>
+  String(text ?? '')
+    .toLowerCase()
+    .split(/[\s,;:|/\\()[\]{}_\-–]+/)
+    .map(token => token.replace(/\.+$/, ''))
+    .filter(Boolean);
+
+// Other spellings a token is considered equal to: "node.js" also matches "nodejs" and "node"
+const tokenVariants = (token) => {
+  const variants = new Set([token]);
+  if (token.includes('.') && token.length > 1) {
+    variants.add(token.replace(/\./g, ''));
+    if (token.endsWith('.js')) {
+      variants.add(token.slice(0, -'.js'.length));
+    }
+  }
+  return variants;
+};
+
+const tokensEqual = (a, b) => {
+  const variantsOfA = tokenVariants(a);
+  return [...tokenVariants(b)].some(variant => variantsOfA.has(variant));
+};
+
+/**
+ * Find a phrase (a list of tokens) as a whole-word, contiguous run in a list of tokens.
+ * Returns the index it starts at, or -1.
+ */
+const findPhrase = (tokens, phrase) => {
+  if (phrase.length === 0 || phrase.length > tokens.length) {
+    return -1;
+  }
+  for (let start = 0; start <= tokens.length - phrase.length; start++) {
+    if (phrase.every((token, offset) => tokensEqual(tokens[start + offset], token))) {
+      return start;
+    }
+  }
+  // The name may write a multi-word keyword as one word, e.g. "GitHubActions" or "PowerBI"
+  if (phrase.length > 1) {
+    const joined = phrase.join('');
+    return tokens.findIndex(token => tokensEqual(token, joined));
+  }
+  return -1;
+};
+
+/**
+ * Score how well a skill name matches a keyword phrase, or return null if it doesn't.
+ * A name that is exactly the keyword scores 1; a keyword found as whole words
+ * inside a longer name scores lower the more extra words the name has.
+ */
+const scorePhrase = (nameTokens, phrase) => {
+  if (findPhrase(nameTokens, phrase) === -1) {
+    return null;
+  }
+  const matchedTokens = Math.min(phrase.length, nameTokens.length);
+  if (matchedTokens === nameTokens.length) {
+    return EXACT_MATCH;
+  }
+  return PARTIAL_MATCH_BASE + PARTIAL_MATCH_RANGE * (matchedTokens / nameTokens.length);
+};
+
+/**
+ * Score a skill name against one taxonomy keyword and its aliases.
+ * Returns the best match as { keyword, via, alias?, confidence } or null.
+ */
+const matchKeyword = (nameTokens, keyword, aliases = []) => {
+  let best = null;
+
+  const confidence = scorePhrase(nameTokens, tokenize(keyword));
+  if (confidence !== null) {
+    best = { keyword, via: 'keyword', confidence };
+  }
+
+  for (const alias of aliases) {
+    const aliasConfidence = scorePhrase(nameTokens, tokenize(alias));
+    if (aliasConfidence === null) {
+      continue;
+    }
+    const score = aliasConfidence === EXACT_MATCH ? EXACT_ALIAS_MATCH : aliasConfidence - ALIAS_PENALTY;
+    if (!best || score > best.confidence) {
+      best = { keyword, via: 'alias', alias, confidence: score };
+    }
+  }
+
+  return best;
+};
+
+const findAliases = (aliases, keyword) => {
+  const key = Object.keys(aliases || {}).find(canonical => canonical.toLowerCase() === keyword.toLowerCase());
+  return key ? aliases[key] : [];
+};
+
+/**
+ * Classify a skill against a (sorted) taxonomy using whole-word token matching
+ * and the taxonomy's aliases.
+ *
+ * Returns every candidate category, best first, each as
+ * { role, subcategory, keyword, via: 'keyword' | 'alias', alias?, confidence }.
+ * Ties keep taxonomy order.
+ */
+export const classifySkillCandidates = (skillName, taxonomy) => {
+  const nameTokens = tokenize(skillName);
+  const candidates = [];
+
+  for (const role of taxonomy.roles) {
+    for (const subcategory of role.subcategories) {
+      let best = null;
+      for (const keyword of subcategory.keywords) {
+        const match = matchKeyword(nameTokens, keyword, findAliases(taxonomy.aliases, keyword));
+        if (match && (!best || match.confidence > best.confidence)) {
+          best = match;
+        }
+      }
+      if (best) {
+        candidates.push({ role: role.name, subcategory: subcategory.name, ...best });
+      }
+    }
+  }
+
+  // Array.prototype.sort is stable, so equal scores stay in taxonomy order
+  return candidates
+    .map(candidate => ({ ...candidate, confidence: Math.round(candidate.confidence * 100) / 100 }))
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Classify a skill, explaining the decision.
+ *
+ * @returns {{ skill, tokens, role, subcategory, confidence, match, candidates }}
+ *   `match` is the candidate that was used, or null when nothing matched with
+ *   at least MIN_CONFIDENCE and the fallback role was used
+ */
+export const classifySkill = (skillName, taxonomy, fallbackRole) => {
+  const candidates = classifySkillCandidates(skillName, taxonomy);
+  const match = candidates.find(candidate => candidate.confidence >= MIN_CONFIDENCE) || null;
+
+  return {
+    skill: skillName,
+    tokens: tokenize(skillName),
+    role: match ? match.role : fallbackRole,
+    subcategory: match ? match.subcategory : null,
+    confidence: match ? match.confidence : 0,
+    match,
+    candidates
+  };
+};
@@ -0,0 +1,133 @@
+import { classifySkill } from './skillClassifier.js';
+
+// Storage key of the managed skill taxonomy
+const TAXONOMY_KEY = 'skillTaxonomy';
+
+// Role and subcategory used for skills that match nothing in the taxonomy
+export const FALLBACK_CATEGORY = 'Other';
+
+const role = (name, order, subcategories) => ({
+  name,
+  order,
+  subcategories: Object.entries(subcategories).map(([subcategory, keywords], index) => ({
+    name: subcategory,
+    order: index,
+    keywords
+  }))
+});
+
+/**
+ * Taxonomy used until one has been saved: roles with their subcategories and
+ * matching keywords, plus aliases mapping a canonical keyword to its other names
+ */
+export const DEFAULT_SKILL_TAXONOMY = Object.freeze({
+  roles: [
+    role('Frontend Development', 0, {
+      'Languages': ['javascript', 'typescript', 'html', 'css'],
+      'Frameworks': ['react', 'vue', 'angular', 'svelte', 'next.js', 'nuxt.js'],
+      'Styling': ['sass', 'less', 'bootstrap', 'tailwind', 'styled-components'],
+      'Build Tools': ['webpack', 'vite', 'parcel', 'gulp']
+    }),
+    role('Backend Development', 1, {
+      'Languages': ['python', 'java', 'c#', 'go', 'php', 'ruby', 'node.js'],
+      'Frameworks': ['express', 'django', 'spring', 'fastapi', 'laravel', 'asp.net'],
+      'APIs': ['rest', 'graphql', 'grpc', 'soap'],
+      'Architecture': ['microservices', 'monolith', 'serverless', 'event-driven']
+    }),
+    role('Data & Analytics', 2, {
+      'Databases': ['mongodb', 'postgresql', 'mysql', 'sqlite', 'redis', 'elasticsearch'],
+      'Big Data': ['hadoop', 'spark', 'kafka', 'airflow', 'snowflake'],
+      'Analytics': ['tableau', 'power bi', 'python pandas', 'numpy'],
+      'Machine Learning': ['tensorflow', 'pytorch', 'scikit-learn', 'keras']
+    }),
+    role('DevOps & Infrastructure', 3, {
+      'Cloud': ['aws', 'azure', 'google cloud', 'gcp'],
+      'Containers': ['docker', 'kubernetes', 'podman', 'rancher'],
+      'CI/CD': ['jenkins', 'gitlab ci', 'github actions', 'circleci'],
+      'Monitoring': ['prometheus', 'grafana', 'elk stack', 'datadog']
+    }),
+    role('Tools & Platforms', 4, {
+      'Version Control': ['git', 'github', 'gitlab', 'bitbucket'],
+      'Project Management': ['jira', 'confluence', 'notion', 'trello'],
+      'Development': ['vs code', 'intellij', 'postman', 'swagger'],
+      'Testing': ['jest', 'cypress', 'selenium', 'junit']
+    }),
+    role('Other', 5, {
+      'General': ['leadership', 'communication', 'problem solving', 'teamwork'],
+      'Soft Skills': ['presentation', 'negotiation', 'mentoring', 'collaboration'],
+      'Domain Knowledge': ['finance', 'healthcare', 'ecommerce', 'education'],
+      'Certifications': ['pmp', 'scrum', 'agile', 'six sigma']
+    })
+  ],
+  aliases: {
+    'javascript': ['js', 'ecmascript'],
+    'typescript': ['ts'],
+    'go': ['golang'],
+    'c#': ['csharp'],
+    'postgresql': ['postgres'],
+    'mongodb': ['mongo'],
+    'kubernetes': ['k8s'],
+    'node.js': ['node', 'nodejs'],
+    'aws': ['amazon web services'],
+    'google cloud': ['google cloud platform'],
+    'vs code': ['visual studio code', 'vscode']
+  }
+});
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0) || a.name.localeCompare(b.name);
+
+/**
+ * Sort roles and their subcategories by their order
+ */
+export const sortTaxonomy = (taxonomy) => ({
+  ...taxonomy,
+  roles: [...taxonomy.roles]
+    .sort(byOrder)
+    .map(taxonomyRole => ({
+      ...taxonomyRole,
+      subcategories: [...taxonomyRole.subcategories].sort(byOrder)
+    }))
+});
+
+/**
+ * Get the skill taxonomy, falling back to the default one
+ */
+export const getSkillTaxonomy = async (storage) => {
+  const taxonomy = await storage.read(TAXONOMY_KEY);
+  return sortTaxonomy(taxonomy || JSON.parse(JSON.stringify(DEFAULT_SKILL_TAXONOMY)));
+};
+
+/**
+ * Save the skill taxonomy (already validated)
+ */
+export const saveSkillTaxonomy = async (storage, taxonomy) => {
+  const sorted = sortTaxonomy(taxonomy);
+  await storage.write(TAXONOMY_KEY, sorted);
+  return sorted;
+};
+
+/**
+ * Names of the roles in display order, always ending with the fallback role
+ */
+export const getRoleNames = (taxonomy) => {
+  const names = sortTaxonomy(taxonomy).roles.map(taxonomyRole => taxonomyRole.name);
+  return names.includes(FALLBACK_CATEGORY) ? names : [...names, FALLBACK_CATEGORY];
+};
+
+/**
+ * Classify a skill against the taxonomy and explain why it landed in its category
+ * (matched keyword or alias, confidence and the other candidate categories)
+ */
+export const explainSkillCategory = (skillName, taxonomy) =>
+  classifySkill(skillName, sortTaxonomy(taxonomy), FALLBACK_CATEGORY);
+
+/**
+ * Find the role and subcategory of a skill. Skills that match nothing with
+ * enough confidence go to the fallback role.
+ *
+ * @returns {{ role: string, subcategory: string | null }}
+ */
+export const categorizeSkill = (skillName, taxonomy) => {
+  const { role, subcategory } = explainSkillCategory(skillName, taxonomy);
+  return { role, subcategory };
+};
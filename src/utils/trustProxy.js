@@ -0,0 +1,18 @@
+/**
+ * Express "trust proxy" setting from TRUST_PROXY: which proxies in front of the API
+ * may tell the client address (X-Forwarded-For) that logins are throttled and contact
+ * messages rate limited by. Unset, no proxy is trusted and the address of the
+ * connection is used. "true" trusts every proxy, a number the given count of hops,
+ * anything else is a comma separated list of addresses or subnets
+ * (e.g. "loopback, 10.0.0.0/8").
+ */
+export const getTrustProxySetting = () => {
+  const value = process.env.TRUST_PROXY?.trim();
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
\ No newline at end of file
@@ -0,0 +1,53 @@
+// List sections whose items can be hidden, and where their items live
+const LIST_KEYS = {
+  experience: 'jobs',
+  education: 'degrees',
+  projects: 'projects'
+};
+
+// Drop hidden items from a list and the (then always false) flag from the rest
+const visibleItems = (items) =>
+  (items || [])
+    .filter(item => !item?.hidden)
+    .map(({ hidden, ...item }) => item);
+
+const filterSkillCategories = (skillCategories) =>
+  Object.fromEntries(Object.entries(skillCategories || {}).map(([category, value]) => [
+    category,
+    Array.isArray(value)
+      ? visibleItems(value)
+      : Object.fromEntries(Object.entries(value || {}).map(([subcategory, skills]) => [
+        subcategory,
+        visibleItems(skills)
+      ]))
+  ]));
+
+const filterContact = ({ hiddenFields = [], socialLinks, ...contact }) => {
+  const visible = { ...contact, socialLinks: visibleItems(socialLinks) };
+  for (const field of hiddenFields) {
+    delete visible[field];
+  }
+  return visible;
+};
+
+/**
+ * Remove everything marked hidden from section data, for public responses:
+ * hidden jobs, degrees, projects, skills and social links, and contact fields
+ * listed in hiddenFields. The visibility flags themselves are removed as well.
+ */
+export const filterHiddenContent = (section, data) => {
+  if (!data) {
+    return data;
+  }
+  if (LIST_KEYS[section]) {
+    const listKey = LIST_KEYS[section];
+    return { ...data, [listKey]: visibleItems(data[listKey]) };
+  }
+  if (section === 'skills') {
+    return { ...data, skillCategories: filterSkillCategories(data.skillCategories) };
+  }
+  if (section === 'contact') {
+    return filterContact(data);
+  }
+  return data;
+};
\ No newline at end of file
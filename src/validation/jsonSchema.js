@@ -0,0 +1,131 @@
+// JSON Schema dialect of the generated schemas (also the one of OpenAPI 3.1)
+export const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// JSON Schema keywords of Joi's min/max rules, by type
+const LIMIT_KEYWORDS = {
+  string: { min: 'minLength', max: 'maxLength' },
+  number: { min: 'minimum', max: 'maximum' },
+  array: { min: 'minItems', max: 'maxItems' },
+  object: { min: 'minProperties', max: 'maxProperties' }
+};
+
+// JSON Schema formats of Joi's string rules
+const STRING_FORMATS = {
+  email: 'email',
+  uri: 'uri',
+  guid: 'uuid'
+};
+
+// Joi describes regular expressions as "/source/flags"
+const toPattern = (regex) => regex.slice(1, regex.lastIndexOf('/'));
+
+// Pattern keys must match, from a regular expression or a string schema with a pattern rule
+const getKeyPattern = ({ regex, schema }) =>
+  regex || schema?.rules?.find(rule => rule.name === 'pattern')?.args.regex;
+
+const convertObject = ({ keys, patterns }) => {
+  const schema = { type: 'object' };
+  if (keys) {
+    schema.properties = Object.fromEntries(Object.entries(keys).map(([key, description]) => [key, convert(description)]));
+    const required = Object.keys(keys).filter(key => keys[key].flags?.presence === 'required');
+    if (required.length > 0) {
+      schema.required = required;
+    }
+  }
+
+  // Maps (skill categories, translations): keys matching a pattern, or any key
+  for (const pattern of patterns || []) {
+    const keyPattern = getKeyPattern(pattern);
+    if (keyPattern) {
+      schema.patternProperties = { ...schema.patternProperties, [toPattern(keyPattern)]: convert(pattern.rule) };
+      schema.additionalProperties = false;
+    } else {
+      schema.additionalProperties = convert(pattern.rule);
+    }
+  }
+  return schema;
+};
+
+const convertType = (description) => {
+  switch (description.type) {
+    case 'string':
+    case 'boolean':
+      return { type: description.type };
+    case 'number':
+      return { type: description.rules?.some(rule => rule.name === 'integer') ? 'integer' : 'number' };
+    case 'array': {
+      const items = (description.items || []).map(convert);
+      if (items.length === 0) {
+        return { type: 'array' };
+      }
+      return { type: 'array', items: items.length === 1 ? items[0] : { anyOf: items } };
+    }
+    case 'object':
+      return convertObject(description);
+    case 'alternatives':
+      // Nested alternatives (e.g. a string that may be empty) are flattened into one list
+      return {
+        anyOf: description.matches.flatMap(match => {
+          const schema = convert(match.schema);
+          return Object.keys(schema).length === 1 && schema.anyOf ? schema.anyOf : [schema];
+        })
+      };
+    default:
+      return {};
+  }
+};
+
+// Add values Joi allows besides the valid ones (allow('', null)) that the schema doesn't accept yet
+const withAllowedValues = (schema, values) => {
+  const acceptsEmptyString = schema.type === 'string' && !schema.minLength && !schema.pattern && !schema.format;
+  const extra = values.filter(value => !(value === '' && acceptsEmptyString));
+  if (extra.length === 0) {
+    return schema;
+  }
+  return { anyOf: [...(schema.anyOf || [schema]), { enum: extra }] };
+};
+
+// Convert a Joi schema description (schema.describe())
+const convert = (description) => {
+  const { flags = {}, rules = [], allow = [] } = description;
+  let schema = convertType(description);
+
+  for (const { name, args } of rules) {
+    const limitKeyword = LIMIT_KEYWORDS[description.type]?.[name];
+    if (limitKeyword) {
+      schema[limitKeyword] = args.limit;
+    } else if (name === 'pattern') {
+      schema.pattern = toPattern(args.regex);
+    } else if (name === 'unique') {
+      schema.uniqueItems = true;
+    } else if (STRING_FORMATS[name]) {
+      schema.format = STRING_FORMATS[name];
+    }
+  }
+
+  if (flags.only) {
+    schema.enum = allow;
+  } else if (allow.length > 0) {
+    schema = withAllowedValues(schema, allow);
+  }
+
+  // Exactly one of some keys, e.g. a role or a list of scopes
+  for (const { rel, peers } of description.dependencies || []) {
+    if (rel === 'xor') {
+      schema.oneOf = peers.map(peer => ({ required: [peer] }));
+    }
+  }
+
+  if (flags.default !== undefined && typeof flags.default !== 'function') {
+    schema.default = flags.default;
+  }
+  return schema;
+};
+
+/**
+ * JSON Schema of a Joi schema, so clients can validate forms with the rules of the API
+ * (lengths, date patterns, allowed values) instead of copies of them. Covers the Joi
+ * features the API's schemas use. Rules JSON Schema can't express, such as comparing
+ * two fields, are left out: the API may still reject data the schema accepts.
+ */
+export const toJsonSchema = (schema) => convert(schema.describe());
\ No newline at end of file
@@ -1,18 +1,47 @@
 import Joi from 'joi';
 import { LocationTypes } from '../constants/locationTypes.js';
 import { SkillLevels } from '../constants/skillLevels.js';
+import { Roles } from '../constants/roles.js';
+import { AllScopes } from '../constants/scopes.js';
+import { DEFAULT_RESUME_TEMPLATE, ResumeFormats, ResumeSections, ResumeTemplates } from '../constants/resumeTemplates.js';
+
+// Image field: an external URL or the id of uploaded media (POST /api/media)
+const mediaReferenceSchema = Joi.alternatives().try(
+  Joi.string().uri(),
+  Joi.string().guid()
+).allow('');
+
+// Text that can be translated: a single string (in the default locale), or its
+// translations by locale, e.g. { en: '...', de: '...' }
+const localized = (schema) => Joi.alternatives().try(
+  schema,
+  // Keys that aren't locale codes (e.g. "EN") are rejected rather than stripped
+  Joi.object().pattern(Joi.string().pattern(/^[a-z]{2,3}(-[A-Z]{2})?$/), schema).min(1).prefs({ stripUnknown: false })
+);
 
 // Personal Info Schema
 export const personalInfoSchema = Joi.object({
   name: Joi.string().min(2).max(100).required(),
   title: Joi.string().min(2).max(100),
   location: Joi.string().min(2).max(100).allow(''),
-  bio: Joi.string().min(10).max(500).allow('')
+  bio: localized(Joi.string().min(10).max(500).allow('')),
+  photo: mediaReferenceSchema
 });
 
 // About Schema
 export const aboutSchema = Joi.object({
-  content: Joi.string().required().min(10).max(1000)
+  content: localized(Joi.string().min(10).max(1000)).required()
+});
+
+// Skill categorization preferences: whether roles are split into subcategories,
+// from how many skills on, and roles always kept flat or split
+export const categorizationSchema = Joi.object({
+  useSubcategories: Joi.boolean().default(true),
+  minSkillsForSubcategory: Joi.number().integer().min(1).max(10).default(3),
+  categoryOverrides: Joi.object().pattern(
+    Joi.string(),
+    Joi.string().valid('flat', 'subcategories')
+  ).default({})
 });
 
 // Skills Schema - Supports both flat and hierarchical structures
@@ -24,7 +53,8 @@ export const skillsSchema = Joi.object({
       Joi.array().items(
         Joi.object({
           name: Joi.string().required().min(1).max(100),
-          level: Joi.string().valid(...Object.values(SkillLevels)).required()
+          level: Joi.string().valid(...Object.values(SkillLevels)).required(),
+          hidden: Joi.boolean()
         })
       ),
       // Hierarchical structure: object with subcategories
@@ -33,20 +63,14 @@ export const skillsSchema = Joi.object({
         Joi.array().items(
           Joi.object({
             name: Joi.string().required().min(1).max(100),
-            level: Joi.string().valid(...Object.values(SkillLevels)).required()
+            level: Joi.string().valid(...Object.values(SkillLevels)).required(),
+            hidden: Joi.boolean()
           })
         )
       )
     )
   ).required(),
-  categorization: Joi.object({
-    useSubcategories: Joi.boolean().default(true),
-    minSkillsForSubcategory: Joi.number().integer().min(1).max(10).default(3),
-    categoryOverrides: Joi.object().pattern(
-      Joi.string(),
-      Joi.string().valid('flat', 'subcategories')
-    ).default({})
-  }).optional()
+  categorization: categorizationSchema.optional()
 });
 
 // Experience Schema
@@ -59,23 +83,41 @@ const jobSchema = Joi.object({
   location: Joi.string().valid(...Object.values(LocationTypes)).required(),
   country: Joi.string().required().min(2).max(100),
   city: Joi.string().required().min(2).max(100),
-  description: Joi.string().allow('').max(500),
-  achievements: Joi.array().items(Joi.string().min(1).max(200)).default([]),
-  skills: Joi.array().items(Joi.string().min(1).max(50)).default([])
+  description: localized(Joi.string().allow('').max(500)),
+  achievements: localized(Joi.array().items(Joi.string().min(1).max(200))).default([]),
+  skills: Joi.array().items(Joi.string().min(1).max(50)).default([]),
+  hidden: Joi.boolean() // Only shown to admins
 });
 
 export const experienceSchema = Joi.object({
   jobs: Joi.array().items(jobSchema).min(0).required()
 });
 
+// Education Schema
+const degreeSchema = Joi.object({
+  degree: Joi.string().required().min(2).max(100),
+  school: Joi.string().required().min(2).max(100),
+  field: Joi.string().allow('').max(100),
+  startDate: Joi.string().required().pattern(/^\d{4}-\d{2}$/), // YYYY-MM
+  endDate: Joi.string().allow('', null).pattern(/^\d{4}-\d{2}$/), // YYYY-MM or empty
+  isCurrent: Joi.boolean().default(false),
+  description: Joi.string().allow('').max(500),
+  hidden: Joi.boolean() // Only shown to admins
+});
+
+export const educationSchema = Joi.object({
+  degrees: Joi.array().items(degreeSchema).min(0).required()
+});
+
 // Projects Schema
 const projectSchema = Joi.object({
   name: Joi.string().required().min(2).max(100),
-  description: Joi.string().required().min(10).max(500),
+  description: localized(Joi.string().min(10).max(500)).required(),
   technologies: Joi.array().items(Joi.string().min(1).max(50)).default([]),
   url: Joi.string().uri().allow(''),
   github: Joi.string().uri().allow(''),
-  image: Joi.string().uri().allow('')
+  image: mediaReferenceSchema,
+  hidden: Joi.boolean() // Only shown to admins
 });
 
 export const projectsSchema = Joi.object({
@@ -89,9 +131,109 @@ export const contactSchema = Joi.object({
   socialLinks: Joi.array().items(
     Joi.object({
       platform: Joi.string().required(),
-      url: Joi.string().uri().required()
+      url: Joi.string().uri().required(),
+      hidden: Joi.boolean() // Only shown to admins
     })
-  ).default([])
+  ).default([]),
+  // Contact fields only shown to admins, e.g. ["phone"]
+  hiddenFields: Joi.array().items(Joi.string().valid('email', 'phone')).unique()
+});
+
+// Skill Taxonomy Schema (managed by admins, not a portfolio section)
+export const taxonomySubcategorySchema = Joi.object({
+  name: Joi.string().required().min(1).max(100),
+  order: Joi.number().integer().min(0),
+  keywords: Joi.array().items(Joi.string().min(1).max(100)).default([])
+});
+
+export const taxonomyRoleSchema = Joi.object({
+  name: Joi.string().required().min(1).max(100),
+  order: Joi.number().integer().min(0),
+  subcategories: Joi.array().items(taxonomySubcategorySchema).unique('name').default([])
+});
+
+export const skillTaxonomySchema = Joi.object({
+  roles: Joi.array().items(taxonomyRoleSchema).unique('name').required(),
+  aliases: Joi.object().pattern(
+    Joi.string().min(1).max(100),
+    Joi.array().items(Joi.string().min(1).max(100))
+  ).default({})
+});
+
+// Profile schema: lowercase URL-friendly slug, e.g. "jane-doe"
+export const profileSchema = Joi.object({
+  slug: Joi.string().required().pattern(/^[a-z0-9](?:[a-z0-9-]{0,48}[a-z0-9])?$/)
+    .messages({ 'string.pattern.base': '"slug" must contain only lowercase letters, digits and dashes' }),
+  name: Joi.string().max(100).allow('')
+});
+
+// Admin password change schema
+export const passwordChangeSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().required().min(12).max(200)
+    .invalid(Joi.ref('currentPassword'))
+    .messages({ 'any.invalid': '"newPassword" must be different from the current password' })
+});
+
+// API token schema: a token gets either a role or an explicit list of scopes
+export const apiTokenSchema = Joi.object({
+  name: Joi.string().required().min(1).max(100),
+  role: Joi.string().valid(...Object.values(Roles)),
+  scopes: Joi.array().items(Joi.string().valid(...AllScopes)).min(1).unique(),
+  expiresInDays: Joi.number().integer().min(1).max(365)
+}).xor('role', 'scopes');
+
+// List queries of the experience and projects routes: filters, sort and pagination.
+// List parameters are comma separated, dates YYYY or YYYY-MM.
+const listQueryFields = {
+  order: Joi.string().valid('asc', 'desc'),
+  limit: Joi.number().integer().min(1).max(100),
+  offset: Joi.number().integer().min(0)
+};
+
+export const experienceQuerySchema = Joi.object({
+  skill: Joi.array().items(Joi.string().min(1).max(50)),
+  location: Joi.array().items(Joi.string().valid(...Object.values(LocationTypes))),
+  current: Joi.boolean(),
+  from: Joi.string().pattern(/^\d{4}(-\d{2})?$/),
+  to: Joi.string().pattern(/^\d{4}(-\d{2})?$/),
+  sort: Joi.string().valid('startDate', 'endDate', 'title', 'company'),
+  ...listQueryFields
+});
+
+export const projectsQuerySchema = Joi.object({
+  technology: Joi.array().items(Joi.string().min(1).max(50)),
+  sort: Joi.string().valid('name'),
+  ...listQueryFields
+});
+
+// Portfolio search query
+export const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().required().min(1).max(200),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+// Contact form message. "website" is a honeypot: hidden in the form, only bots fill it in.
+export const contactMessageSchema = Joi.object({
+  name: Joi.string().trim().required().min(1).max(100),
+  email: Joi.string().trim().required().email(),
+  subject: Joi.string().trim().max(200).allow(''),
+  message: Joi.string().trim().required().min(10).max(5000),
+  website: Joi.string().allow('')
+});
+
+// Contact message update (admin inbox)
+export const contactMessageUpdateSchema = Joi.object({
+  read: Joi.boolean().required()
+});
+
+// CV rendering options; dates are YYYY or YYYY-MM
+export const resumeOptionsSchema = Joi.object({
+  format: Joi.string().valid(...Object.keys(ResumeFormats)),
+  template: Joi.string().valid(...Object.keys(ResumeTemplates)).default(DEFAULT_RESUME_TEMPLATE),
+  sections: Joi.array().items(Joi.string().valid(...ResumeSections)).min(1).unique(),
+  from: Joi.string().pattern(/^\d{4}(-\d{2})?$/),
+  to: Joi.string().pattern(/^\d{4}(-\d{2})?$/)
 });
 
 // Map of section names to their schemas
@@ -100,10 +242,17 @@ export const schemaMap = {
   about: aboutSchema,
   skills: skillsSchema,
   experience: experienceSchema,
+  education: educationSchema,
   projects: projectsSchema,
   contact: contactSchema
 };
 
+// Validate data against any schema
+export const validateWith = (schema, data) => schema.validate(data, {
+  abortEarly: false, // Return all errors, not just the first one
+  stripUnknown: true // Remove unknown fields
+});
+
 // Validation middleware
 export const validateSection = (section, data) => {
   const schema = schemaMap[section];
@@ -111,10 +260,5 @@ export const validateSection = (section, data) => {
     throw new Error(`No schema found for section: ${section}`);
   }
   
-  return schema.validate(data, {
-    abortEarly: false, // Return all errors, not just the first one
-    stripUnknown: true // Remove unknown fields
-  });
+  return validateWith(schema, data);
 };
-
- 
\ No newline at end of file